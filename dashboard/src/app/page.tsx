@@ -6,6 +6,7 @@ import { FeedbackMetricsChart } from '@/components/FeedbackMetricsChart';
 import { FeedbackTrendsChart } from '@/components/FeedbackTrendsChart';
 import { SectionEnergyChart } from '@/components/SectionEnergyChart';
 import { ComplianceByRegionChart } from '@/components/ComplianceByRegionChart';
+import { ComplianceTrendChart } from '@/components/ComplianceTrendChart';
 
 function loadJson<T>(filename: string): T {
   const filePath = path.join(process.cwd(), 'public', 'data', filename);
@@ -48,6 +49,10 @@ export default function DashboardPage() {
           <ComplianceByRegionChart data={versionCompliance} />
         </div>
 
+        <div className="mt-8">
+          <ComplianceTrendChart data={versionCompliance} />
+        </div>
+
         <div className="mt-8">
           <FeedbackMetricsChart data={feedbackMetrics} />
         </div>
@@ -83,6 +88,11 @@ export interface VersionCompliance {
     sessionsDelivered: number;
     urgency: string;
   }>;
+  history: Array<{ date: string; compliancePct: number; onLatest: number; totalTrainers: number }>;
+  thresholds: {
+    targetPct: number;
+    alerts: Array<{ level: string; belowPct: number }>;
+  };
 }
 
 export interface FeedbackMetrics {
@@ -0,0 +1,99 @@
+'use client';
+
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine,
+} from 'recharts';
+import type { VersionCompliance } from '@/app/page';
+
+// Alert lines from least to most severe; anything past WARNING is red
+const ALERT_COLORS: Record<string, string> = { WARNING: '#f59e0b' };
+
+function formatDay(date: string) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+export function ComplianceTrendChart({ data }: { data: VersionCompliance }) {
+  const chartData = data.history.map((h) => ({
+    label: formatDay(h.date),
+    compliance: h.compliancePct,
+    onLatest: h.onLatest,
+    total: h.totalTrainers,
+  }));
+  const { targetPct, alerts } = data.thresholds;
+  const alertLabel = alerts.map((a) => `${a.belowPct}%`).join(' and ');
+
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-900/80 p-6">
+      <h2 className="text-lg font-semibold text-white">
+        Compliance over time
+      </h2>
+      <p className="mt-1 text-sm text-slate-300">
+        % on latest version, weekly from version history then per run · target {targetPct}%
+        {alerts.length > 0 && ` · alerts below ${alertLabel}`}
+      </p>
+      <div className="mt-6 h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={chartData}
+            margin={{ top: 8, right: 24, left: 0, bottom: 0 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#475569" />
+            <XAxis
+              dataKey="label"
+              tick={{ fill: '#e2e8f0', fontSize: 13 }}
+            />
+            <YAxis
+              tick={{ fill: '#e2e8f0', fontSize: 13 }}
+              domain={[0, 100]}
+              tickFormatter={(v) => `${v}%`}
+            />
+            <ReferenceLine y={targetPct} stroke="#10b981" strokeDasharray="4 4" />
+            {alerts.map((a) => (
+              <ReferenceLine
+                key={`${a.level}-${a.belowPct}`}
+                y={a.belowPct}
+                stroke={ALERT_COLORS[a.level] ?? '#ef4444'}
+                strokeDasharray="4 4"
+              />
+            ))}
+            <Tooltip
+              contentStyle={{
+                backgroundColor: '#1e293b',
+                border: '1px solid #475569',
+                borderRadius: '8px',
+                fontSize: '14px',
+                color: '#f8fafc',
+              }}
+              labelStyle={{ color: '#f8fafc', fontWeight: 500 }}
+              itemStyle={{ color: '#e2e8f0' }}
+              formatter={(value: number) => [`${value}%`, 'Compliance']}
+              labelFormatter={(label, payload) =>
+                payload[0]?.payload
+                  ? `${label} — ${payload[0].payload.onLatest}/${payload[0].payload.total} on latest`
+                  : label
+              }
+            />
+            <Line
+              type="monotone"
+              dataKey="compliance"
+              stroke="#3b82f6"
+              strokeWidth={2}
+              dot={{ fill: '#3b82f6' }}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
@@ -13,14 +13,22 @@
  *   node scripts/adapt-content.js --input section2.md --output-dir custom/path
  *   node scripts/adapt-content.js --input section2.md --audience beginners
  *   node scripts/adapt-content.js --input section2.md --audience advanced
+ *   node scripts/adapt-content.js --input section2.md --prompts path/to/templates/prompts
+ *
+ * The system and user prompts, including each audience's persona and
+ * adaptations, live in templates/prompts/adaptation-system.txt and
+ * adaptation.txt (lib/prompt-templates.js). Each variant's header records
+ * the prompt versions it was generated with.
  */
 
-import dotenv from 'dotenv';
-dotenv.config();
+import dotenv from "dotenv";
+dotenv.config({ quiet: true });
 
 import fs from "fs";
 import path from "path";
 
+import { DEFAULT_PROMPTS_DIR, loadPrompt, renderPrompt, describePromptVersions } from "./lib/prompt-templates.js";
+
 // ── CLI argument parsing ─────────────────────────────────────────────────────
 
 const args = process.argv.slice(2);
@@ -34,6 +42,7 @@ function getArg(flag, defaultValue) {
 const INPUT_PATH  = getArg("--input",      null);
 const OUTPUT_DIR  = getArg("--output-dir", "output");
 const AUDIENCE    = getArg("--audience",   "both");   // "beginners" | "advanced" | "both"
+const PROMPTS_DIR = getArg("--prompts",    DEFAULT_PROMPTS_DIR);
 
 // ── Native fetch API client ──────────────────────────────────────────────────
 
@@ -75,122 +84,40 @@ async function claudeComplete({ system, userMessage, maxTokens = 4000 }) {
 }
 
 // ── Audience profiles ────────────────────────────────────────────────────────
-// These are passed to Claude as detailed personas. The more specific the
-// profile, the more consistent the adaptation across different sections.
+// The persona and adaptations Claude works from for each audience are in
+// templates/prompts/adaptation.txt, one section per key below.
 
 const AUDIENCE_PROFILES = {
   beginners: {
     label: "Beginners",
     filename_suffix: "beginners",
-    persona: `
-AUDIENCE: Developers with limited API experience
-- May have used REST APIs but haven't built systems that call external services programmatically
-- Comfortable reading code but not necessarily writing it from scratch under time pressure
-- Unfamiliar with concepts like async/await patterns, JSON schema, or message-based APIs
-- May not know what an SDK is or why you'd use one
-- Prone to anxiety when things don't work immediately — need reassurance that errors are normal
-- Benefit from analogies that connect new concepts to things they already know
-- Need to understand WHY before they can absorb HOW
-`.trim(),
-    adaptations: `
-ADAPTATIONS TO MAKE:
-1. ANALOGIES: Add at least one analogy per major concept that connects to everyday experience
-   - Example: The two-round-trip pattern → "Like placing an order at a restaurant: you tell the waiter what you want (round 1), the kitchen prepares it, the waiter brings it back (round 2). The chef never comes to your table."
-2. SLOWER PACING: Break multi-step concepts into numbered steps. Never assume "this is obvious."
-3. CODE COMMENTS: Add explanatory comments to every non-trivial line of code. Comments should explain intent, not just what the code does.
-   - Instead of: # Create client  →  # Create the API client that handles authentication and talking to Claude
-4. REASSURANCE: Add brief normalising phrases where learners typically get stuck or feel lost.
-   - "This is the part that surprises almost everyone the first time."
-   - "If you got an error here, that's expected — keep reading."
-5. EXPLICIT TRANSITIONS: State clearly when one concept ends and another begins.
-   - "Now that you understand X, let's look at Y."
-6. VOCABULARY: Define any technical term the first time it appears. Use plain English alternatives where possible.
-7. CONTEXT: Add "why this matters" framing before each new concept. Don't assume motivation is obvious.
-8. SIMPLIFY CODE EXAMPLES: Remove advanced patterns (list comprehensions, complex one-liners) and replace with explicit loops and variables. Prioritise readability over concision.
-`.trim(),
   },
 
   advanced: {
     label: "Advanced",
     filename_suffix: "advanced",
-    persona: `
-AUDIENCE: Senior developers with strong API and systems experience
-- Comfortable with async patterns, JSON schema, REST APIs, and SDK usage
-- Have likely used OpenAI function calling or similar tool-use patterns
-- Read code faster than prose — prefer to see the code first, explanation after if at all
-- Will feel condescended to by over-explanation; lose trust in material that explains the obvious
-- Interested in edge cases, failure modes, production considerations, and performance implications
-- Want to know what's different about Claude's approach vs alternatives they already know
-- Motivated by knowing what can go wrong, not just what should go right
-`.trim(),
-    adaptations: `
-ADAPTATIONS TO MAKE:
-1. COMPRESS BASICS: Remove or heavily condense explanations of concepts a senior dev already knows.
-   - Remove: what JSON is, what an API key is, what a function is
-   - Compress: basic API call patterns (one sentence max)
-2. LEAD WITH CODE: Show the code first. Explanation comes after, and only if the code isn't self-explanatory.
-3. ADD EDGE CASES: For each major pattern, add a subsection on what breaks it or where it fails in production.
-   - Parallel tool calls where one result is slow
-   - max_tokens truncation mid-tool-use block
-   - Claude requesting a tool that wasn't defined
-   - Schema validation failures and how to catch them
-4. PRODUCTION CONTEXT: Add notes on what this looks like at scale.
-   - Token costs of tool schemas on every request
-   - Retry strategies when tool execution fails
-   - Observability: what to log for debugging tool use issues
-5. COMPARE TO ALTERNATIVES: Where relevant, note how Claude's approach differs from OpenAI function calling or other patterns they may know.
-6. REMOVE REASSURANCE: Cut normalising phrases — they read as patronising to this audience.
-7. COMPRESS EXERCISES: Describe the exercise goal and constraints; skip the hand-holding setup instructions.
-8. ADVANCED CODE PATTERNS: Use idiomatic Python where appropriate. List comprehensions, generators, and concise patterns are fine.
-`.trim(),
   },
 };
 
 // ── Prompt builder ───────────────────────────────────────────────────────────
 
 function buildAdaptationPrompt(content, audienceKey) {
-  const profile = AUDIENCE_PROFILES[audienceKey];
-
-  return `You are adapting a facilitator guide section for a Claude API tool use workshop. 
-Your job is to rewrite the provided section for a specific audience while preserving all the technical accuracy and core content.
-
-## Target Audience
-
-${profile.persona}
-
-## How to Adapt This Content
-
-${profile.adaptations}
-
-## What to PRESERVE (do not change these)
-- All technical content: code examples, API patterns, exact parameter names, error types
-- The section structure and sequence of concepts
-- Trainer scripts marked with "Say this:" or in green boxes — adapt the FRAMING but keep the instructional intent
-- All timing guidance and section labels
-- Bug descriptions and fix explanations (Exercise sections)
-- Any code that participants will run — functional correctness is non-negotiable
-
-## What to CHANGE
-- Explanation depth and pacing (as specified in adaptations above)
-- Code comment density and style
-- Analogies and framing (add or remove as appropriate for this audience)
-- Transition language and signposting
-- The amount of "why" context before each concept
-
-## Output Format
-- Output valid markdown only
-- Begin with a metadata header block:
-  \`\`\`
-  <!-- AUDIENCE: ${profile.label} -->
-  <!-- ADAPTED: [today's date] -->
-  <!-- SOURCE: [infer section name from content] -->
-  \`\`\`
-- Then the adapted content
-- Do not add commentary about what you changed — just output the adapted section
-
-## Section to Adapt
+  return renderPrompt(PROMPTS_DIR, "adaptation", {
+    label:     AUDIENCE_PROFILES[audienceKey].label,
+    beginners: audienceKey === "beginners",
+    advanced:  audienceKey === "advanced",
+    content,
+  });
+}
 
-${content}`;
+// Claude writes the AUDIENCE / ADAPTED / SOURCE block; the prompt versions
+// are added by the script so they're always right
+function stampPromptVersions(adapted, prompts) {
+  const lines = adapted.split("\n");
+  let end = 0;
+  while (end < lines.length && /^\s*<!--.*-->\s*$/.test(lines[end])) end++;
+  lines.splice(end, 0, `<!-- PROMPTS: ${describePromptVersions(prompts)} -->`);
+  return lines.join("\n");
 }
 
 // ── Section name extractor ───────────────────────────────────────────────────
@@ -342,6 +269,14 @@ async function main() {
     process.exit(1);
   }
 
+  try {
+    ["adaptation-system", "adaptation"].forEach(name => loadPrompt(PROMPTS_DIR, name));
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    console.error("Run with --prompts path/to/templates/prompts to specify a custom path.");
+    process.exit(1);
+  }
+
   // Load content
   console.log(`\n[1/4] Loading content...`);
   const content = fs.readFileSync(INPUT_PATH, "utf-8");
@@ -373,23 +308,21 @@ async function main() {
     const profile = AUDIENCE_PROFILES[audienceKey];
     console.log(`\n  → Adapting for ${profile.label}...`);
 
-    const prompt = buildAdaptationPrompt(content, audienceKey);
-
     try {
+      const system = renderPrompt(PROMPTS_DIR, "adaptation-system", {});
+      const prompt = buildAdaptationPrompt(content, audienceKey);
       const adapted = await claudeComplete({
-        system: `You are an expert instructional designer specialising in technical developer education. 
-You adapt training materials for different audience levels with surgical precision — 
-changing exactly what needs to change for the audience, and preserving everything else.
-You never add commentary about your own output. You output only the adapted content.`,
-        userMessage: prompt,
-        maxTokens: 6000,
+        system:      system.text,
+        userMessage: prompt.text,
+        maxTokens:   6000,
       });
 
-      results[audienceKey] = adapted;
+      results[audienceKey] = stampPromptVersions(adapted, [system, prompt]);
       console.log(`    Done. ${adapted.split(/\s+/).length} words generated.`);
 
     } catch (error) {
       console.error(`\n  Error generating ${audienceKey} variant: ${error.message}`);
+      (error.problems || []).forEach(p => console.error(`    - ${p}`));
       process.exit(1);
     }
   }
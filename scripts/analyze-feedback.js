@@ -3,31 +3,160 @@
 /**
  * analyze-feedback.js
  *
- * Reads trainer session feedback (feedback.csv) and guide context
- * (feedback_meta.json), sends both to Claude, and outputs a structured
- * markdown report with actionable insights for content maintainers.
+ * Reads trainer session feedback (feedback.csv), guide context
+ * (feedback_meta.json) and the shared release manifest (releases.json),
+ * sends them to Claude, and outputs a structured markdown report with
+ * actionable insights for content maintainers.
+ *
+ * Claude returns the analysis through a tool call checked against the
+ * schema in lib/analysis.js (retried when it doesn't match). The report is
+ * rendered from it, and the same data is saved as JSON next to the report
+ * (output/feedback-analysis.json when printing to stdout).
  *
  * Usage:
  *   node scripts/analyze-feedback.js
  *   node scripts/analyze-feedback.js --csv path/to/feedback.csv
+ *   node scripts/analyze-feedback.js --sources path/to/feedback-sources.json  (several files, mapped; replaces --csv)
  *   node scripts/analyze-feedback.js --meta path/to/feedback_meta.json
+ *   node scripts/analyze-feedback.js --releases path/to/releases.json  (default: next to meta)
  *   node scripts/analyze-feedback.js --output path/to/report.md
+ *   node scripts/analyze-feedback.js --json path/to/analysis.json  (default: next to --output)
  *   node scripts/analyze-feedback.js --since 2026-02-01   (filter by date)
  *   node scripts/analyze-feedback.js --version 1.1        (filter by guide version)
+ *   node scripts/analyze-feedback.js --dashboard dashboard/public/data  (also write dashboard data)
+ *   node scripts/analyze-feedback.js --dashboard dashboard/public/data --export-only
+ *   node scripts/analyze-feedback.js --trainers path/to/trainer-versions.json  (default: next to meta)
+ *   node scripts/analyze-feedback.js --question-log path/to/question-log.json  (default: output/question-log.json)
+ *   node scripts/analyze-feedback.js --strict             (fail on any invalid CSV row)
+ *   node scripts/analyze-feedback.js --no-llm             (statistics-only report, no API key)
+ *   node scripts/analyze-feedback.js --alert-rules path/to/alert-rules.json  (default: next to the CSV)
+ *   node scripts/analyze-feedback.js --no-fail-on-critical  (exit 0 even when a CRITICAL alert fires)
+ *   node scripts/analyze-feedback.js --token-budget 50000 (estimated prompt tokens per Claude call)
+ *   node scripts/analyze-feedback.js --chunk-by version   (how to split sets over budget; default week)
+ *   node scripts/analyze-feedback.js --run-history path/to/run-history.json  (default: output/run-history.json)
+ *   node scripts/analyze-feedback.js --scorecards output/scorecards  (one markdown file per trainer)
+ *   node scripts/analyze-feedback.js --scorecards output/scorecards --coaching  (add Claude's coaching notes)
+ *   node scripts/analyze-feedback.js --prompts path/to/templates/prompts  (default: templates/prompts)
+ *
+ * --export-only writes the dashboard files and stops before calling Claude,
+ * so it needs no API key. The trainer records supply sessions delivered for
+ * the feedback submission rate.
+ *
+ * --no-llm writes a deterministic report from the pre-computed statistics
+ * (completion, energy, bugs, versions, setup issues, questions, targets)
+ * without calling Claude. Claude's narrative, when it runs, is placed
+ * above the same statistics.
+ *
+ * The prompt's size is estimated before anything is sent. Past
+ * --token-budget, the sessions are chunked by week or version
+ * (lib/chunking.js), each chunk is summarised by Claude, and the summaries
+ * are merged in a final synthesis call; the report lists each stage.
+ *
+ * The prompts are template files in templates/prompts
+ * (lib/prompt-templates.js), filled in from the statistics and the
+ * versions actually in the data. The prompt versions behind a report or
+ * scorecard are recorded in its header, and in the analysis JSON.
+ *
+ * Guide versions are compared pairwise by lib/version-comparison.js —
+ * bootstrap intervals, differences within shared delivery formats and team
+ * contexts, effect sizes — and Claude is given those numbers rather than
+ * raw per-version averages.
+ *
+ * Every report is recorded in the run history (lib/run-history.js) with
+ * its filters, period, metrics and findings, and opens with the changes
+ * since the last run: metric deltas, new bugs and questions, and priority
+ * actions that keep coming back.
+ *
+ * --scorecards writes a scorecard per trainer (lib/scorecards.js): their
+ * completion, energy curve, setup issue rate and unanswered questions
+ * against the cohort median, repeated patterns and a trend across their
+ * sessions. --coaching asks Claude for a coaching note on each, drawn from
+ * the trainer's own notes and highlights.
+ *
+ * Each run adds the sessions' unanswered questions to the question log,
+ * clustered with similar ones from earlier runs (lib/question-log.js).
+ * The FAQ SLA on the dashboard is computed from the log; scripts/questions.js
+ * moves clusters through the FAQ lifecycle.
+ *
+ * Every CSV row is checked against the column schema in lib/feedback.js
+ * (types, ranges such as energy 1–5 and percentages 0–100, dates). Rows
+ * that fail are listed by line number and left out; --strict exits 1
+ * instead.
+ *
+ * Before reporting, the feedback, feedback_meta.json, the release manifest
+ * and trainer-versions.json are checked against each other
+ * (lib/data-consistency.js, the same checks as scripts/validate.js); a
+ * version the manifest doesn't publish, a session dated before its release
+ * or a trainer record that contradicts itself stops the run.
+ *
+ * --sources reads feedback from several CSV, JSON or JSONL files instead
+ * of one CSV. Its config maps each file's columns, value spellings and
+ * date format onto the canonical schema (lib/feedback-sources.js), and
+ * sessions found in more than one file are kept once by session_id. The
+ * alert rules then default to the config's directory.
+ *
+ * The immediate-action signals from SYSTEMS.md (exercise completion below
+ * 50% in consecutive sessions, 3+ trainers asking the same question within
+ * a week, setup issues above 20%, compliance below 70% when trainer
+ * records are present) are checked by lib/alert-rules.js and listed at the
+ * top of the report with the rows that triggered them.
+ *
+ * Exit codes: 0 success; 1 bad input or a failed API call; 2 when a
+ * CRITICAL alert fired (unless --no-fail-on-critical).
  */
-import dotenv from 'dotenv';
-dotenv.config();
+import dotenv from "dotenv";
+dotenv.config({ quiet: true });
 
 import fs from "fs";
 import path from "path";
 
+import {
+  loadReleaseManifest,
+  validateReleaseManifest,
+  latestVersion,
+  findRelease,
+  normalizeVersion,
+  releasesBehind,
+} from "./lib/releases.js";
+import { writeDashboardFiles, DEFAULT_DASHBOARD_DIR } from "./lib/dashboard-data.js";
+import { readFeedbackCsv, describeInvalidRows } from "./lib/feedback.js";
+import { loadSourcesConfig, readFeedbackSources } from "./lib/feedback-sources.js";
+import {
+  ANALYSIS_TOOL,
+  CHUNK_SUMMARY_TOOL,
+  COACHING_TOOL,
+  validateAnalysis,
+  renderAnalysisMarkdown,
+  renderChunkSummary,
+  renderCoachingNote,
+} from "./lib/analysis.js";
+import { CHUNK_MODES, estimateTokens, planChunks, weekOf } from "./lib/chunking.js";
+import {
+  loadQuestionLog,
+  saveQuestionLog,
+  ingestQuestions,
+  questionSla,
+  clusterTrainers,
+  clusterAsks,
+  STATUS_LABELS,
+} from "./lib/question-log.js";
+import { loadAlertRules, evaluateAlerts } from "./lib/alert-rules.js";
+import { loadRunHistory, saveRunHistory, recordRun, diffRuns, renderChangesMarkdown } from "./lib/run-history.js";
+import { buildScorecards, renderScorecardMarkdown, scorecardFilename } from "./lib/scorecards.js";
+import { compareAllVersions, renderComparisonMarkdown, describeComparisons, versionsIn, MIN_SESSIONS } from "./lib/version-comparison.js";
+import { DEFAULT_PROMPTS_DIR, loadPrompt, renderPrompt, describePromptVersions } from "./lib/prompt-templates.js";
+import { checkDataFiles, findingLocation } from "./lib/data-consistency.js";
+
 // ── Minimal Anthropic API client (native fetch, no SDK required) ─────────────
 
-async function claudeComplete({ system, userMessage, maxTokens = 4000 }) {
+const CLAUDE_MODEL = "claude-sonnet-4-5-20250929";
+
+async function claudeMessages({ system, messages, tools, toolChoice, maxTokens = 4000 }) {
   const apiKey = process.env.ANTHROPIC_API_KEY;
   if (!apiKey) {
     console.error("\nError: ANTHROPIC_API_KEY environment variable is not set.");
     console.error("Set it with:  export ANTHROPIC_API_KEY='your-key-here'");
+    console.error("Or run with --no-llm for the statistics-only report.");
     process.exit(1);
   }
 
@@ -39,10 +168,12 @@ async function claudeComplete({ system, userMessage, maxTokens = 4000 }) {
       "anthropic-version":    "2023-06-01",
     },
     body: JSON.stringify({
-      model:      "claude-sonnet-4-5-20250929",
+      model:      CLAUDE_MODEL,
       max_tokens: maxTokens,
       system,
-      messages:   [{ role: "user", content: userMessage }],
+      messages,
+      ...(tools      ? { tools } : {}),
+      ...(toolChoice ? { tool_choice: toolChoice } : {}),
     }),
   });
 
@@ -53,11 +184,7 @@ async function claudeComplete({ system, userMessage, maxTokens = 4000 }) {
     throw new Error(`API error ${response.status}: ${body}`);
   }
 
-  const data = await response.json();
-  return data.content
-    .filter(block => block.type === "text")
-    .map(block => block.text)
-    .join("\n");
+  return response.json();
 }
 
 // ── CLI argument parsing ─────────────────────────────────────────────────────
@@ -71,60 +198,71 @@ function getArg(flag, defaultValue) {
 }
 
 const CSV_PATH  = getArg("--csv",     "feedback.csv");
+const SOURCES_PATH = getArg("--sources", null);        // null = the single --csv file
+const DATA_DIR  = path.dirname(SOURCES_PATH || CSV_PATH);
 const META_PATH = getArg("--meta",    "feedback_meta.json");
+const RELEASES_PATH = getArg("--releases", path.join(path.dirname(META_PATH), "releases.json"));
 const OUT_PATH  = getArg("--output",  null);          // null = stdout
+const JSON_PATH = getArg("--json",    OUT_PATH ? OUT_PATH.replace(/\.md$/i, "") + ".json" : "output/feedback-analysis.json");
 const SINCE     = getArg("--since",   null);           // YYYY-MM-DD filter
 const VERSION   = getArg("--version", null);           // guide version filter
-
-// ── CSV parser (no dependencies) ────────────────────────────────────────────
-
-function parseCSV(raw) {
-  const lines = raw.trim().split("\n");
-  if (lines.length < 2) throw new Error("CSV has no data rows.");
-
-  const headers = lines[0].split(",").map(h => h.trim());
-
-  return lines.slice(1).map((line, i) => {
-    // Handle quoted fields that may contain commas
-    const values = [];
-    let current = "";
-    let inQuotes = false;
-
-    for (const char of line) {
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === "," && !inQuotes) {
-        values.push(current.trim());
-        current = "";
-      } else {
-        current += char;
-      }
-    }
-    values.push(current.trim());
-
-    if (values.length !== headers.length) {
-      console.warn(`  Warning: row ${i + 2} has ${values.length} values, expected ${headers.length}. Skipping.`);
-      return null;
-    }
-
-    return headers.reduce((obj, header, idx) => {
-      obj[header] = values[idx];
-      return obj;
-    }, {});
-  }).filter(Boolean);
+const TRAINERS_PATH = getArg("--trainers", path.join(path.dirname(META_PATH), "trainer-versions.json"));
+const QUESTION_LOG_PATH = getArg("--question-log", "output/question-log.json");
+const ALERT_RULES_PATH  = getArg("--alert-rules",  path.join(DATA_DIR, "alert-rules.json"));
+const RUN_HISTORY_PATH  = getArg("--run-history",  "output/run-history.json");
+const PROMPTS_DIR       = getArg("--prompts",      DEFAULT_PROMPTS_DIR);
+const EXPORT_ONLY   = args.includes("--export-only");
+const STRICT        = args.includes("--strict");       // any invalid row fails the run
+const NO_LLM        = args.includes("--no-llm");       // statistics-only report, no API call
+const FAIL_ON_CRITICAL = !args.includes("--no-fail-on-critical");
+const TOKEN_BUDGET  = parseInt(getArg("--token-budget", "50000"));   // estimated prompt tokens per call
+const CHUNK_BY      = getArg("--chunk-by", "week");                  // week | version, past the budget
+const SCORECARDS_DIR = getArg("--scorecards", null);                 // null = no trainer scorecards
+const COACHING      = args.includes("--coaching");                   // Claude coaching note per scorecard
+const DASHBOARD_DIR = getArg("--dashboard", EXPORT_ONLY ? DEFAULT_DASHBOARD_DIR : null);
+
+// Health metric targets (SYSTEMS.md §6), shown against the actuals on the dashboard
+const TARGETS = {
+  exercise1:     70,
+  exercise2:     40,
+  closingEnergy: 3.0,
+  submissionRate: 85,
+  unansweredMax: 2,
+};
+const FAQ_SLA_DAYS = 14;
+
+if (!CHUNK_MODES.includes(CHUNK_BY)) {
+  console.error(`Error: --chunk-by must be one of: ${CHUNK_MODES.join(", ")}`);
+  process.exit(1);
+}
+if (!(TOKEN_BUDGET > 0)) {
+  console.error("Error: --token-budget must be a positive number of tokens.");
+  process.exit(1);
+}
+if (COACHING && !SCORECARDS_DIR) {
+  console.error("Error: --coaching adds a note to each trainer scorecard; use it with --scorecards path/to/dir.");
+  process.exit(1);
 }
 
 // ── Data loading and filtering ───────────────────────────────────────────────
 
 function loadData() {
-  // Load CSV
-  if (!fs.existsSync(CSV_PATH)) {
+  // Load CSV, or every file in the sources config
+  if (!SOURCES_PATH && !fs.existsSync(CSV_PATH)) {
     console.error(`Error: CSV file not found at '${CSV_PATH}'`);
     console.error("Run with --csv path/to/feedback.csv to specify a custom path.");
     process.exit(1);
   }
-  const rawCSV = fs.readFileSync(CSV_PATH, "utf-8");
-  let sessions = parseCSV(rawCSV);
+  let feedback;
+  try {
+    feedback = SOURCES_PATH ? readSources() : readFeedbackCsv(CSV_PATH);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    (e.problems || []).forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+  const validation = reportValidation(feedback);
+  let sessions = feedback.rows;
 
   // Load meta
   if (!fs.existsSync(META_PATH)) {
@@ -134,6 +272,23 @@ function loadData() {
   }
   const meta = JSON.parse(fs.readFileSync(META_PATH, "utf-8"));
 
+  // Load release manifest (shared with check-versions.js)
+  let releases;
+  try {
+    releases = loadReleaseManifest(RELEASES_PATH);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    console.error("Run with --releases path/to/releases.json to specify a custom path.");
+    process.exit(1);
+  }
+  const problems = validateReleaseManifest(releases);
+  if (problems.length > 0) {
+    console.error(`Error: Release manifest '${RELEASES_PATH}' is inconsistent:`);
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+  checkDataConsistency();
+
   // Apply filters
   if (SINCE) {
     const sinceDate = new Date(SINCE);
@@ -142,7 +297,9 @@ function loadData() {
   }
 
   if (VERSION) {
-    sessions = sessions.filter(s => s.guide_version === VERSION);
+    // Compare canonical forms so "v1.1" and "1.1.0" match "1.1"
+    const wanted = normalizeVersion(VERSION) || VERSION;
+    sessions = sessions.filter(s => (normalizeVersion(s.guide_version) || s.guide_version) === wanted);
     console.log(`  Filtered to version ${VERSION}: ${sessions.length} sessions`);
   }
 
@@ -151,7 +308,62 @@ function loadData() {
     process.exit(1);
   }
 
-  return { sessions, meta };
+  return { sessions, meta, releases, validation };
+}
+
+// Refuses to report on files that contradict each other (the same checks
+// as scripts/validate.js); warnings are only counted here
+function checkDataConsistency() {
+  const { errors, warnings } = checkDataFiles({
+    releases: RELEASES_PATH,
+    meta:     META_PATH,
+    trainers: fs.existsSync(TRAINERS_PATH) ? TRAINERS_PATH : null,
+    feedback: SOURCES_PATH ? null : CSV_PATH,
+    sources:  SOURCES_PATH,
+  });
+  if (errors.length > 0) {
+    console.error(`Error: The data files disagree in ${errors.length} place${errors.length === 1 ? "" : "s"}:`);
+    errors.forEach(f => console.error(`  - ${findingLocation(f)}: ${f.message}\n      Fix: ${f.fix}`));
+    console.error("Run node scripts/validate.js to see every finding, warnings included.");
+    process.exit(1);
+  }
+  if (warnings.length > 0) {
+    console.log(`  Data consistency: ${warnings.length} warning${warnings.length === 1 ? "" : "s"} (node scripts/validate.js lists them)`);
+  }
+}
+
+function readSources() {
+  const feedback = readFeedbackSources(loadSourcesConfig(SOURCES_PATH));
+  for (const s of feedback.sources) {
+    console.log(`  ${s.label} (${s.format}${s.mapped ? ", mapped" : ""}): ${s.total} row${s.total === 1 ? "" : "s"}, ` +
+      `${s.valid} valid, ${s.kept} kept`);
+  }
+  if (feedback.duplicates.length > 0) {
+    console.warn(`  Warning: dropped ${feedback.duplicates.length} duplicate session${feedback.duplicates.length === 1 ? "" : "s"}:`);
+    feedback.duplicates.forEach(d => console.warn(`    - ${d.session} in ${d.source} (kept from ${d.keptFrom})`));
+  }
+  return feedback;
+}
+
+// Rows that break the column schema (lib/feedback.js) are listed with the
+// line they start on. They are left out of the analysis, or fail the run
+// with --strict.
+function reportValidation({ invalid, unknownColumns, total, duplicates = [] }) {
+  if (unknownColumns.length > 0) {
+    console.warn(`  Warning: ignoring unknown column${unknownColumns.length > 1 ? "s" : ""}: ${unknownColumns.join(", ")}`);
+  }
+  if (invalid.length === 0) return { total, skipped: 0, duplicates: duplicates.length };
+
+  const lines = describeInvalidRows(invalid);
+  if (STRICT) {
+    console.error(`Error: ${invalid.length} of ${total} rows in ${SOURCES_PATH ? "the feedback sources" : `'${CSV_PATH}'`} failed validation (--strict):`);
+    lines.forEach(l => console.error(`  - ${l}`));
+    process.exit(1);
+  }
+  console.warn(`  Warning: skipping ${invalid.length} of ${total} rows that failed validation:`);
+  lines.forEach(l => console.warn(`    - ${l}`));
+  console.warn(`  Fix them in the ${SOURCES_PATH ? "source files (or their mappings)" : "CSV"}, or run with --strict to fail instead of skipping.`);
+  return { total, skipped: invalid.length, duplicates: duplicates.length };
 }
 
 // ── Pre-compute summary statistics ──────────────────────────────────────────
@@ -225,6 +437,29 @@ function computeStats(sessions) {
     };
   }
 
+  // Weekly trend (weeks start on Monday; weeks with no sessions are kept
+  // so gaps in delivery show up on the trend chart)
+  const dates = sessions.map(s => s.session_date).filter(Boolean).sort();
+  const weeklySummary = [];
+  if (dates.length > 0) {
+    const avg = arr => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null;
+    const cursor = new Date(`${weekOf(dates[0])}T00:00:00Z`);
+    const lastWeek = weekOf(dates.at(-1));
+    for (;;) {
+      const week = cursor.toISOString().split("T")[0];
+      const inWeek = sessions.filter(s => s.session_date && weekOf(s.session_date) === week);
+      weeklySummary.push({
+        week,
+        sessions:    inWeek.length,
+        avg_ex1:     avg(inWeek.map(s => parseInt(s.ex1_completion_pct || 0))),
+        avg_ex2:     avg(inWeek.map(s => parseInt(s.ex2_completion_pct || 0))),
+        avg_closing: avg(inWeek.map(s => parseFloat(s.energy_closing || 0))),
+      });
+      if (week === lastWeek) break;
+      cursor.setUTCDate(cursor.getUTCDate() + 7);
+    }
+  }
+
   // Setup issue rate
   const setupIssueCount = sessions.filter(s => s.setup_issues === "true").length;
 
@@ -257,6 +492,10 @@ function computeStats(sessions) {
     bugCounts,
     versionCounts,
     versionSummary,
+    versionComparison:  compareAllVersions(sessions),
+    weeklySummary,
+    dateRange:          { from: dates[0], to: dates.at(-1) },
+    setupIssueCount,
     setupIssueRate:     `${((setupIssueCount / count) * 100).toFixed(0)}%`,
     allQuestions,
     lostRoomAt,
@@ -264,11 +503,337 @@ function computeStats(sessions) {
   };
 }
 
+// ── Question log ─────────────────────────────────────────────────────────────
+// Adds this batch's unanswered questions to the persistent log. Re-running
+// the same sessions adds nothing, so filtered and repeated runs are safe.
+
+function updateQuestionLog(sessions) {
+  let log;
+  try {
+    log = loadQuestionLog(QUESTION_LOG_PATH);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  const added = ingestQuestions(log, sessions);
+  if (added.asks > 0) saveQuestionLog(QUESTION_LOG_PATH, log);
+  console.log(`  Question log: ${added.questions} new question${added.questions === 1 ? "" : "s"}, ` +
+    `${added.clusters} new cluster${added.clusters === 1 ? "" : "s"} (${log.clusters.length} total in ${QUESTION_LOG_PATH})`);
+  return log;
+}
+
+// ── Alerts ───────────────────────────────────────────────────────────────────
+// The immediate-action signals (lib/alert-rules.js). Compliance is only
+// checked when trainer records are there to measure it from.
+
+function loadCompliance(releases) {
+  if (!fs.existsSync(TRAINERS_PATH)) return null;
+  const { trainers = [] } = JSON.parse(fs.readFileSync(TRAINERS_PATH, "utf-8"));
+  if (trainers.length === 0) return null;
+  const outdated = trainers
+    .filter(t => releasesBehind(releases, t.current_version) !== 0)
+    .map(t => ({ name: t.name, version: normalizeVersion(t.current_version) }));
+  const current = trainers.length - outdated.length;
+  return { pct: Math.round((current / trainers.length) * 100), current, total: trainers.length, outdated };
+}
+
+function checkAlerts(sessions, questionLog, releases) {
+  let rules;
+  try {
+    rules = loadAlertRules(ALERT_RULES_PATH);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    (e.problems || []).forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+  const alerts = evaluateAlerts({ sessions, questionLog, compliance: loadCompliance(releases) }, rules);
+
+  if (alerts.length === 0) {
+    console.log("  Alerts: none");
+  } else {
+    console.log(`  Alerts: ${alerts.length} signal${alerts.length === 1 ? "" : "s"} requiring action within 48 hours`);
+    alerts.forEach(a => console.log(`    ${a.level.padEnd(8)}  ${a.title}`));
+  }
+  return alerts;
+}
+
+function buildAlertsSection(alerts) {
+  let md = `## Alerts\n\n`;
+  if (alerts.length === 0) return md + `No signals requiring immediate action.\n\n---\n\n`;
+
+  md += `Signals that need a response within 48 hours (SYSTEMS.md §6).\n\n`;
+  for (const a of alerts) {
+    md += `**${a.level}: ${a.title}**\n\n`;
+    md += a.evidence.map(e => `- ${e}`).join("\n") + "\n\n";
+    md += `Action: ${a.action}\n\n`;
+  }
+  return md + "---\n\n";
+}
+
+// A CRITICAL signal needs a response within 48 hours, so a scheduled run
+// fails on one. `npm run export-dashboard` opts out with --no-fail-on-critical.
+function setAlertExitCode(alerts) {
+  const critical = alerts.filter(a => a.level === "CRITICAL").length;
+  if (!FAIL_ON_CRITICAL || critical === 0) return;
+  console.log(`\n${critical} CRITICAL alert${critical === 1 ? "" : "s"} — exiting with code 2 (--no-fail-on-critical to exit 0)`);
+  process.exitCode = 2;
+}
+
+// ── Run history ──────────────────────────────────────────────────────────────
+// Each report is recorded with what it ran on and what it found, so the next
+// one can show what changed (lib/run-history.js).
+
+function buildRunRecord(sessions, stats, questionLog, alerts, analysis) {
+  const round1 = n => Math.round(n * 10) / 10;
+  const batch = new Set(sessions.map(s => s.session_id));
+  return {
+    date:     new Date().toISOString().split("T")[0],
+    filters:  { since: SINCE, version: VERSION },
+    period:   stats.dateRange,
+    sessions: stats.count,
+    metrics:  {
+      ex1CompletionPct:     Number(stats.avgEx1),
+      ex2CompletionPct:     Number(stats.avgEx2),
+      closingEnergy:        Number(stats.avgEnergyClosing),
+      setupIssueRatePct:    round1((stats.setupIssueCount / stats.count) * 100),
+      unansweredPerSession: round1(stats.allQuestions.length / stats.count),
+    },
+    bugs:      stats.bugCounts,
+    questions: questionLog.clusters
+      .filter(c => c.questions.some(q => q.asked.some(a => batch.has(a.session_id))))
+      .map(c => ({ id: c.id, title: c.title })),
+    alerts:    alerts.map(a => ({ rule: a.rule, level: a.level, title: a.title })),
+    findings:  analysis && {
+      confusion_points: analysis.confusion_points.map(c => c.title),
+      priority_actions: analysis.priority_actions.map(a => a.action),
+    },
+  };
+}
+
+function compareWithLastRun(run) {
+  let history;
+  try {
+    history = loadRunHistory(RUN_HISTORY_PATH);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  const changes = diffRuns(history, run);
+  if (!changes) {
+    console.log("  Changes since last run: first recorded run for these filters");
+  } else {
+    const repeated = changes.repeatedActions.length;
+    console.log(`  Changes since last run (${changes.previous.date}): ` +
+      `${changes.newBugs.length} new bug${changes.newBugs.length === 1 ? "" : "s"}, ` +
+      `${changes.newQuestions.length} new question cluster${changes.newQuestions.length === 1 ? "" : "s"}, ` +
+      `${repeated} repeated priority action${repeated === 1 ? "" : "s"}`);
+  }
+  recordRun(history, run);
+  return { history, changes };
+}
+
+// ── Dashboard export ─────────────────────────────────────────────────────────
+// Turns the same statistics into the files the dashboard reads, each checked
+// against its interface in dashboard/src/app/page.tsx before it is written.
+
+function loadSessionsDelivered() {
+  if (!fs.existsSync(TRAINERS_PATH)) {
+    console.error(`Error: Trainer records not found at '${TRAINERS_PATH}' (needed for the feedback submission rate).`);
+    console.error("Run with --trainers path/to/trainer-versions.json to specify a custom path.");
+    process.exit(1);
+  }
+  const { trainers = [] } = JSON.parse(fs.readFileSync(TRAINERS_PATH, "utf-8"));
+  return trainers.reduce((sum, t) => sum + (parseInt(t.sessions_delivered) || 0), 0);
+}
+
+// Feedback rows as a share of sessions delivered, capped at 100 — null when
+// no sessions are on record
+function submissionRatePct(stats, sessionsDelivered) {
+  if (!(sessionsDelivered > 0)) return null;
+  return Math.min(100, Math.round((stats.count / sessionsDelivered) * 100));
+}
+
+function buildDashboardData(stats, sessionsDelivered, questionLog) {
+  const generated = new Date().toISOString().split("T")[0];
+  const round1 = n => n === null ? null : Math.round(n * 10) / 10;
+  const period = stats.dateRange;
+  const questionsLogged = stats.allQuestions.length;
+
+  // The SLA covers every question in the log, not only this batch's
+  const sla = questionSla(questionLog, { slaDays: FAQ_SLA_DAYS, asOf: generated });
+
+  return {
+    "feedback-metrics.json": {
+      generated,
+      period,
+      sessionsTotal:                 stats.count,
+      exercise1CompletionPct:        Number(stats.avgEx1),
+      exercise2CompletionPct:        Number(stats.avgEx2),
+      averageClosingEnergy:          round1(Number(stats.avgEnergyClosing)),
+      feedbackSubmissionRatePct:     submissionRatePct(stats, sessionsDelivered) ?? 0,
+      unansweredQuestionsPerSession: round1(questionsLogged / stats.count),
+      setupIssueRatePct:             round1((stats.setupIssueCount / stats.count) * 100),
+      targets:                       TARGETS,
+    },
+    "feedback-trends.json": {
+      generated,
+      byWeek: stats.weeklySummary.map(w => ({
+        week:             w.week,
+        weekLabel:        new Date(`${w.week}T00:00:00Z`).toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" }),
+        sessions:         w.sessions,
+        ex1CompletionPct: round1(w.avg_ex1),
+        ex2CompletionPct: round1(w.avg_ex2),
+        avgClosingEnergy: round1(w.avg_closing),
+      })),
+      byVersion: Object.entries(stats.versionSummary)
+        .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(([version, v]) => ({
+          version,
+          sessions:         v.sessions,
+          ex1CompletionPct: Number(v.avg_ex1),
+          ex2CompletionPct: Number(v.avg_ex2),
+          avgClosingEnergy: round1(Number(v.avg_closing)),
+        })),
+    },
+    "section-energy.json": {
+      generated,
+      sections: [
+        { name: "Opening",   avgEnergy: round1(Number(stats.avgEnergyOpening)),   target: TARGETS.closingEnergy },
+        { name: "Exercises", avgEnergy: round1(Number(stats.avgEnergyExercises)), target: TARGETS.closingEnergy },
+        { name: "Closing",   avgEnergy: round1(Number(stats.avgEnergyClosing)),   target: TARGETS.closingEnergy },
+      ],
+    },
+    "faq-sla.json": {
+      generated,
+      period:                     sla.period,
+      questionsLogged:            sla.questionsLogged,
+      questionsAnsweredWithinSla: sla.questionsAnsweredWithinSla,
+      slaAdherencePct:            sla.slaAdherencePct,
+      avgDaysToAnswer:            sla.avgDaysToAnswer,
+      slaDays:                    FAQ_SLA_DAYS,
+    },
+  };
+}
+
+function exportDashboard(stats, questionLog) {
+  const files = buildDashboardData(stats, loadSessionsDelivered(), questionLog);
+  try {
+    return writeDashboardFiles(DASHBOARD_DIR, files);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    (e.problems || []).forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+}
+
+// ── Statistics report (no Claude) ────────────────────────────────────────────
+// A deterministic markdown report built from computeStats() alone. With
+// --no-llm it is the whole report; otherwise it follows Claude's narrative
+// so the numbers behind the recommendations are always in the file.
+
+function buildStatsReport(sessions, stats, sessionsDelivered, questionLog) {
+  const pct         = (n, total) => `${((n / total) * 100).toFixed(0)}%`;
+  const status      = met => met ? "✓" : "⚠ missed";
+  const perQuestion = stats.allQuestions.length / stats.count;
+  const submission  = submissionRatePct(stats, sessionsDelivered);
+
+  // [metric, actual, target, met] — met is null when it can't be measured
+  const health = [
+    ["Exercise 1 completion", `${stats.avgEx1}%`, `> ${TARGETS.exercise1}%`,
+      Number(stats.avgEx1) > TARGETS.exercise1],
+    ["Exercise 2 completion", `${stats.avgEx2}%`, `> ${TARGETS.exercise2}%`,
+      Number(stats.avgEx2) > TARGETS.exercise2],
+    ["Average closing energy", `${stats.avgEnergyClosing} / 5`, `> ${TARGETS.closingEnergy.toFixed(1)}`,
+      Number(stats.avgEnergyClosing) > TARGETS.closingEnergy],
+    ["Feedback submission rate", submission === null ? "—" : `${submission}%`, `> ${TARGETS.submissionRate}%`,
+      submission === null ? null : submission > TARGETS.submissionRate],
+    ["Unanswered questions per session", perQuestion.toFixed(1), `< ${TARGETS.unansweredMax}`,
+      perQuestion < TARGETS.unansweredMax],
+  ];
+
+  let md = `## Statistics\n\n`;
+
+  md += `### Health Against Targets\n\n`;
+  md += `| Metric | Actual | Target | Status |\n`;
+  md += `|---|---|---|---|\n`;
+  for (const [metric, actual, target, met] of health) {
+    md += `| ${metric} | ${actual} | ${target} | ${met === null ? "no trainer records" : status(met)} |\n`;
+  }
+  md += "\n";
+
+  md += `### Energy (1–5)\n\n`;
+  md += `| Format | Sessions | Opening | Exercises | Closing |\n`;
+  md += `|---|---|---|---|---|\n`;
+  for (const [fmt, data] of Object.entries(stats.energyByFormat).sort(([a], [b]) => a.localeCompare(b))) {
+    md += `| ${fmt} | ${data.sessions} | ${data.opening} | ${data.exercises} | ${data.closing} |\n`;
+  }
+  md += `| **All** | **${stats.count}** | **${stats.avgEnergyOpening}** | **${stats.avgEnergyExercises}** | **${stats.avgEnergyClosing}** |\n\n`;
+  if (stats.lostRoomAt.length > 0) {
+    const lost = {};
+    stats.lostRoomAt.forEach(at => { lost[at] = (lost[at] || 0) + 1; });
+    const where = Object.entries(lost).sort(([, a], [, b]) => b - a).map(([at, n]) => `${at} (${n})`);
+    md += `Trainers reported losing the room at: ${where.join(", ")}.\n\n`;
+  }
+
+  md += `### Hardest Bug\n\n`;
+  md += `| Bug | Sessions | Share |\n`;
+  md += `|---|---|---|\n`;
+  for (const [bug, count] of Object.entries(stats.bugCounts).sort(([, a], [, b]) => b - a)) {
+    md += `| ${bug} | ${count} | ${pct(count, stats.count)} |\n`;
+  }
+  md += "\n";
+
+  md += `### Version Performance\n\n`;
+  md += `| Version | Sessions | Ex1 | Ex2 | Closing Energy |\n`;
+  md += `|---|---|---|---|---|\n`;
+  for (const [v, data] of Object.entries(stats.versionSummary).sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))) {
+    md += `| v${v} | ${data.sessions} | ${data.avg_ex1}% | ${data.avg_ex2}% | ${data.avg_closing} |\n`;
+  }
+  md += "\n";
+
+  md += `### Version Comparison\n\n`;
+  if (stats.versionComparison.length === 0) {
+    md += `Only one guide version in these sessions — nothing to compare.\n\n`;
+  } else {
+    md += `Later version minus earlier, with 95% bootstrap intervals. "Same format" and "same team" measure the difference within ` +
+      `delivery formats and team contexts both versions were delivered to, so the mix of sessions doesn't decide the result. ` +
+      `A verdict needs every interval on the same side of zero and at least ${MIN_SESSIONS} sessions per version.\n\n`;
+    md += renderComparisonMarkdown(stats.versionComparison);
+  }
+
+  md += `### Setup Issues\n\n`;
+  md += `${stats.setupIssueCount} of ${stats.count} session${stats.count === 1 ? "" : "s"} reported setup issues (${stats.setupIssueRate}).\n\n`;
+
+  // Grouped by question-log cluster, so repeats across trainers and across
+  // earlier batches show up as one line
+  md += `### Unanswered Questions (${stats.allQuestions.length})\n\n`;
+  const batch = new Set(sessions.map(s => s.session_id));
+  const raised = questionLog.clusters.filter(c => c.questions.some(q => q.asked.some(a => batch.has(a.session_id))));
+  if (raised.length === 0) {
+    md += `None reported.\n`;
+  } else {
+    md += `| Cluster | Status | Asked | Trainers | Question |\n`;
+    md += `|---|---|---|---|---|\n`;
+    for (const c of raised) {
+      const status = STATUS_LABELS[c.status] + (c.merged_version ? ` (v${c.merged_version})` : "");
+      const wording = c.questions.length > 1 ? `${c.title} _(+${c.questions.length - 1} similar)_` : c.title;
+      md += `| ${c.id} | ${status} | ${clusterAsks(c)} | ${clusterTrainers(c).length} | ${wording} |\n`;
+    }
+    md += "\n";
+
+    const sla = questionSla(questionLog, { slaDays: FAQ_SLA_DAYS, asOf: new Date().toISOString().split("T")[0] });
+    md += `FAQ response SLA: ${sla.slaAdherencePct}% of ${sla.questionsDue} question${sla.questionsDue === 1 ? "" : "s"} due were answered within ${FAQ_SLA_DAYS} days`;
+    md += sla.overdue.length > 0 ? `; ${sla.overdue.length} overdue (\`node scripts/questions.js sla\`).\n` : ".\n";
+  }
+
+  return md;
+}
+
 // ── Build the prompt ─────────────────────────────────────────────────────────
 
-function buildPrompt(sessions, stats, meta) {
-  const sessionRows = sessions.map(s =>
-    `- ${s.session_date} | ${s.trainer_name} | v${s.guide_version} | ${s.delivery_format} | ` +
+// One session's rows in the prompt — the part that grows with the data set
+function sessionDetail(s) {
+  return `- ${s.session_date} | ${s.trainer_name} | v${s.guide_version} | ${s.delivery_format} | ` +
     `${s.participant_count} participants | ${s.team_context} team | ` +
     `Ex1: ${s.ex1_completion_pct}% | Ex2: ${s.ex2_completion_pct}% | ` +
     `Energy: ${s.energy_opening}/${s.energy_exercises}/${s.energy_closing} (open/ex/close) | ` +
@@ -276,99 +841,312 @@ function buildPrompt(sessions, stats, meta) {
     `Lost room: ${s.lost_room_at || "none"}\n` +
     `  Notes: ${s.trainer_notes}\n` +
     `  Highlight: ${s.session_highlights}\n` +
-    `  Questions: ${s.questions_unanswered || "none"}`
-  ).join("\n\n");
+    `  Questions: ${s.questions_unanswered || "none"}`;
+}
 
-  return `You are analyzing trainer session feedback for a 60-minute developer workshop on Claude API tool use. Your job is to identify patterns, surface actionable improvements, and help the content team prioritize what to fix.
+function guideContext(meta, releases) {
+  const currentVersion = latestVersion(releases);
 
-## Guide Context
+  return `## Guide Context
 
-Current version: ${meta.current_version}
+Current version: ${currentVersion}
 
 Sections:
-${meta.versions[meta.current_version]?.sections.map(s => `- ${s}`).join("\n")}
+${findRelease(releases, currentVersion).sections.map(s => `- ${s}`).join("\n")}
 
 Version history:
-${Object.entries(meta.versions).map(([v, data]) =>
-  `- v${v} (released ${data.released}): ${data.notable_changes}`
+${releases.versions.map(r =>
+  `- v${r.version} (${r.type}, released ${r.released}): ${r.notes}`
 ).join("\n")}
 
 Exercise bugs (Exercise 1):
 ${meta.exercises.exercise_1.bugs.map(b => `- ${b}`).join("\n")}
 
 Known problem areas from previous analysis:
-${meta.known_problem_areas.map(p => `- ${p}`).join("\n")}
+${meta.known_problem_areas.map(p => `- ${p}`).join("\n")}`;
+}
 
-## Pre-Computed Statistics (${stats.count} sessions, ${stats.totalParticipants} total participants)
+// "v1.0, v1.1 and v1.2"
+function listVersions(versions) {
+  const named = versions.map(v => `v${v}`);
+  return named.length > 1 ? `${named.slice(0, -1).join(", ")} and ${named.at(-1)}` : named.join("");
+}
 
-Exercise completion:
-- Exercise 1 average: ${stats.avgEx1}%
-- Exercise 2 average: ${stats.avgEx2}%
+// With chunkSummaries (map-reduce runs), the per-session lists are replaced
+// by the batch summaries so the synthesis prompt stays a fixed size
+function buildPrompt(sessions, stats, meta, releases, chunkSummaries = null) {
+  const versions = versionsIn(sessions);
+  let lostRoom = stats.lostRoomAt.join(", ");
+  if (chunkSummaries) {
+    const lost = {};
+    stats.lostRoomAt.forEach(at => { lost[at] = (lost[at] || 0) + 1; });
+    lostRoom = Object.entries(lost).sort(([, a], [, b]) => b - a).map(([at, n]) => `${at} (${n})`).join(", ");
+  }
 
-Energy averages (1-5 scale):
-- Opening: ${stats.avgEnergyOpening}
-- Exercises: ${stats.avgEnergyExercises}
-- Closing: ${stats.avgEnergyClosing}
+  return renderPrompt(PROMPTS_DIR, "analysis", {
+    guide_context:        guideContext(meta, releases),
+    session_count:        stats.count,
+    total_participants:   stats.totalParticipants,
+    avg_ex1:              stats.avgEx1,
+    avg_ex2:              stats.avgEx2,
+    avg_energy_opening:   stats.avgEnergyOpening,
+    avg_energy_exercises: stats.avgEnergyExercises,
+    avg_energy_closing:   stats.avgEnergyClosing,
+    formats:              Object.entries(stats.energyByFormat).map(([format, data]) => ({ format, ...data })),
+    bugs:                 Object.entries(stats.bugCounts).map(([bug, count]) => ({ bug, count, percent: ((count / stats.count) * 100).toFixed(0) })),
+    versions:             listVersions(versions),
+    several_versions:     versions.length > 1,
+    min_sessions:         MIN_SESSIONS,
+    version_comparison:   describeComparisons(stats.versionComparison),
+    setup_issue_rate:     stats.setupIssueRate,
+    lost_room:            lostRoom,
+    question_count:       stats.allQuestions.length,
+    questions:            stats.allQuestions.map(q => `- ${q}`).join("\n"),
+    highlights:           stats.highlights.map(h => `- ${h}`).join("\n"),
+    map_reduce:           Boolean(chunkSummaries),
+    batches:              (chunkSummaries || []).map(({ chunk, summary }, i) => ({
+      batch:    i + 1,
+      label:    chunk.label,
+      sessions: chunk.sessions.length,
+      summary:  renderChunkSummary(summary),
+    })),
+    batch_count:          chunkSummaries ? chunkSummaries.length : 0,
+    session_details:      sessions.map(sessionDetail).join("\n\n"),
+  });
+}
 
-Energy by delivery format:
-${Object.entries(stats.energyByFormat).map(([fmt, data]) =>
-  `- ${fmt} (${data.sessions} sessions): opening ${data.opening} / exercises ${data.exercises} / closing ${data.closing}`
-).join("\n")}
+// ── Structured analysis ──────────────────────────────────────────────────────
+// Claude answers through the record_analysis tool (lib/analysis.js), so the
+// report always has every section. A response that breaks the schema is
+// sent back as an error tool result listing the problems, and Claude tries
+// again — up to ANALYSIS_ATTEMPTS calls in all.
 
-Hardest bug frequency:
-${Object.entries(stats.bugCounts).map(([bug, count]) =>
-  `- ${bug}: ${count} sessions (${((count / stats.count) * 100).toFixed(0)}%)`
-).join("\n")}
+const ANALYSIS_ATTEMPTS = 3;
 
-Version performance:
-${Object.entries(stats.versionSummary).map(([v, data]) =>
-  `- v${v} (${data.sessions} sessions): Ex1 ${data.avg_ex1}% | Ex2 ${data.avg_ex2}% | avg closing energy ${data.avg_closing}`
-).join("\n")}
+// Checked before the first call, so a missing or malformed template stops
+// the run rather than the coaching notes after the report is paid for
+function checkPromptTemplates() {
+  const names = ["analysis-system", "analysis", "chunk-summary", ...(COACHING ? ["coaching"] : [])];
+  try {
+    names.forEach(name => loadPrompt(PROMPTS_DIR, name));
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    console.error("Run with --prompts path/to/templates/prompts to specify a custom path.");
+    process.exit(1);
+  }
+}
+
+// The system prompt every analyze-feedback call is sent with
+function systemPrompt() {
+  return renderPrompt(PROMPTS_DIR, "analysis-system", {});
+}
 
-Setup issue rate: ${stats.setupIssueRate} of sessions
+// tool is ANALYSIS_TOOL for the report itself, CHUNK_SUMMARY_TOOL for one
+// batch of a map-reduce run, COACHING_TOOL for a trainer scorecard; its
+// input_schema is what the answer must match
+async function requestAnalysis(prompt, system, tool = ANALYSIS_TOOL, maxTokens = 8000) {
+  const messages = [{ role: "user", content: prompt }];
+  let problems = [];
 
-Sessions where trainer lost the room: ${stats.lostRoomAt.join(", ") || "none reported"}
+  for (let attempt = 1; attempt <= ANALYSIS_ATTEMPTS; attempt++) {
+    const response = await claudeMessages({
+      system,
+      messages,
+      tools:      [tool],
+      toolChoice: { type: "tool", name: tool.name },
+      maxTokens,
+    });
+
+    const call = response.content.find(block => block.type === "tool_use" && block.name === tool.name);
+    if (!call) {
+      // Nothing to correct — ask again from the original prompt
+      problems = [`the response did not call ${tool.name}`];
+      console.warn(`  Attempt ${attempt}/${ANALYSIS_ATTEMPTS}: ${problems[0]}`);
+      continue;
+    }
 
-All unanswered questions (${stats.allQuestions.length} total):
-${stats.allQuestions.map(q => `- ${q}`).join("\n")}
+    problems = validateAnalysis(call.input, tool.input_schema);
+    if (response.stop_reason === "max_tokens") problems.unshift("the response was cut off at the token limit");
+    if (problems.length === 0) return { analysis: call.input, attempts: attempt };
+
+    console.warn(`  Attempt ${attempt}/${ANALYSIS_ATTEMPTS}: ${tool.name} input failed validation (${problems.length} problem${problems.length > 1 ? "s" : ""})`);
+    messages.push(
+      { role: "assistant", content: response.content },
+      {
+        role: "user",
+        content: [{
+          type:        "tool_result",
+          tool_use_id: call.id,
+          is_error:    true,
+          content:     `The analysis does not match the schema:\n${problems.map(p => `- ${p}`).join("\n")}\n\n` +
+                       `Call ${tool.name} again with the complete, corrected input.`,
+        }],
+      },
+    );
+  }
 
-Session highlights (what worked well):
-${stats.highlights.map(h => `- ${h}`).join("\n")}
+  const error = new Error(`Claude's ${tool.name} input failed validation after ${ANALYSIS_ATTEMPTS} attempts:`);
+  error.problems = problems;
+  throw error;
+}
 
-## Individual Session Details
+// ── Map-reduce for large feedback sets ───────────────────────────────────────
+// A prompt over the token budget is never sent whole. The sessions are
+// chunked by week or version (lib/chunking.js), each chunk is summarised
+// through CHUNK_SUMMARY_TOOL, and the summaries replace the session rows
+// in the final synthesis prompt. Statistics always cover every session.
+
+function buildChunkPrompt(chunk, index, chunks, meta, releases) {
+  return renderPrompt(PROMPTS_DIR, "chunk-summary", {
+    session_total:   chunks.reduce((n, c) => n + c.sessions.length, 0),
+    batch_count:     chunks.length,
+    guide_context:   guideContext(meta, releases),
+    batch:           index + 1,
+    label:           chunk.label,
+    batch_sessions:  chunk.sessions.length,
+    session_details: chunk.sessions.map(sessionDetail).join("\n\n"),
+  });
+}
 
-${sessionRows}
+/**
+ * Runs the analysis in one call when the prompt fits TOKEN_BUDGET, and as
+ * map-reduce when it doesn't. Returns { analysis, attempts, stages, prompts },
+ * where stages is null for a single call, else { by, chunks: [{ label,
+ * sessions, tokens }], synthesis: { sessions, tokens } } for the report,
+ * and prompts is the rendered prompts the run was built from.
+ */
+async function runAnalysis(sessions, stats, meta, releases) {
+  const system = systemPrompt();
+  const prompt = buildPrompt(sessions, stats, meta, releases);
+  const tokens = estimateTokens(system.text + prompt.text);
+  console.log(`  Prompt: ~${tokens.toLocaleString("en-US")} tokens (budget ${TOKEN_BUDGET.toLocaleString("en-US")})`);
+  if (tokens <= TOKEN_BUDGET) {
+    return { ...await requestAnalysis(prompt.text, system.text), stages: null, prompts: [system, prompt] };
+  }
 
-## Your Task
+  // Room left for session rows once the fixed part of a chunk prompt is in
+  const overhead = estimateTokens(system.text + buildChunkPrompt({ label: "", sessions: [] }, 0, [{ sessions }], meta, releases).text);
+  const chunks = planChunks(sessions, {
+    by:            CHUNK_BY,
+    budget:        TOKEN_BUDGET - overhead,
+    sessionTokens: s => estimateTokens(sessionDetail(s) + "\n\n"),
+  });
+  console.log(`  Over budget — summarising ${sessions.length} sessions in ${chunks.length} chunk${chunks.length === 1 ? "" : "s"} by ${CHUNK_BY}`);
+
+  // Checked up front so a session too big for any chunk fails before a call is paid for
+  const chunkPrompts = chunks.map((chunk, i) => buildChunkPrompt(chunk, i, chunks, meta, releases));
+  chunks.forEach((chunk, i) => { chunk.tokens = estimateTokens(system.text + chunkPrompts[i].text); });
+  const oversized = chunks.find(c => c.tokens > TOKEN_BUDGET);
+  if (oversized) {
+    const error = new Error(`Chunk ${oversized.label} is over the token budget:`);
+    error.problems = [
+      `~${oversized.tokens.toLocaleString("en-US")} tokens for a single session, budget ${TOKEN_BUDGET.toLocaleString("en-US")}`,
+      "Raise --token-budget.",
+    ];
+    throw error;
+  }
 
-Generate a structured analysis report using EXACTLY the following markdown sections. Be specific and evidence-based. Cite session counts and percentages where relevant. Do not include generic recommendations — every recommendation should be grounded in patterns visible in this data.
+  const summaries = [];
+  for (const [i, chunk] of chunks.entries()) {
+    console.log(`  Chunk ${i + 1}/${chunks.length}: ${chunk.label} (${chunk.sessions.length} session${chunk.sessions.length === 1 ? "" : "s"}, ~${chunk.tokens.toLocaleString("en-US")} tokens)`);
+    const { analysis: summary } = await requestAnalysis(chunkPrompts[i].text, system.text, CHUNK_SUMMARY_TOOL, 4000);
+    summaries.push({ chunk, summary });
+  }
 
-### Executive Summary
-Three sentences maximum. What is the overall health of the workshop program? What is the single most important thing to fix? What is the single most important thing to preserve?
+  const synthesis = buildPrompt(sessions, stats, meta, releases, summaries);
+  const synthesisTokens = estimateTokens(system.text + synthesis.text);
+  if (synthesisTokens > TOKEN_BUDGET) {
+    const error = new Error("The synthesis prompt is over the token budget:");
+    error.problems = [
+      `~${synthesisTokens.toLocaleString("en-US")} tokens for ${chunks.length} chunk summar${chunks.length === 1 ? "y" : "ies"}, budget ${TOKEN_BUDGET.toLocaleString("en-US")}`,
+      "Narrow the set with --since or --version, or raise --token-budget.",
+    ];
+    throw error;
+  }
+  console.log(`  Synthesis: ${chunks.length} summar${chunks.length === 1 ? "y" : "ies"} (~${synthesisTokens.toLocaleString("en-US")} tokens)`);
 
-### Top 3 Confusion Points
-For each confusion point:
-- What the confusion is
-- Evidence from the data (which sessions, which bugs, which questions)
-- A specific recommended fix (not "improve clarity" — a concrete change to make)
+  return {
+    ...await requestAnalysis(synthesis.text, system.text),
+    stages: {
+      by:        CHUNK_BY,
+      chunks:    chunks.map(c => ({ label: c.label, sessions: c.sessions.length, tokens: c.tokens })),
+      synthesis: { sessions: sessions.length, tokens: synthesisTokens },
+    },
+    prompts: [system, synthesis, chunkPrompts[0]],
+  };
+}
 
-### Energy Analysis
-Where are sessions losing the room? Is this a content problem, a delivery problem, or both? Use the format comparison data to separate these. Specific recommendations for any section with average closing energy below 3.0.
+function renderStagesMarkdown(stages) {
+  let md = `### Analysis Stages\n\n`;
+  md += `The sessions were too many for one prompt, so each chunk (by ${stages.by}) was summarised separately and the summaries merged in a final synthesis call. Token counts are estimates.\n\n`;
+  md += `| Stage | Sessions | Prompt tokens (est.) |\n`;
+  md += `|---|---|---|\n`;
+  stages.chunks.forEach((c, i) => {
+    md += `| Chunk ${i + 1}: ${c.label} | ${c.sessions} | ${c.tokens.toLocaleString("en-US")} |\n`;
+  });
+  md += `| Synthesis of ${stages.chunks.length} summar${stages.chunks.length === 1 ? "y" : "ies"} | ${stages.synthesis.sessions} | ${stages.synthesis.tokens.toLocaleString("en-US")} |\n`;
+  return md;
+}
 
-### FAQ Updates Needed
-Group the unanswered questions into themes. For each theme, write a draft FAQ entry (question + 2-3 sentence answer) that could be added to the facilitator guide immediately.
+// ── Trainer scorecards ───────────────────────────────────────────────────────
+// One markdown file per trainer (lib/scorecards.js). The coaching note is
+// the only part that needs Claude, and only with --coaching.
 
-### Version Correlation
-Is v1.1 performing measurably better than v1.0? What do the numbers show? What should be carried forward into v1.2?
+function describeScope() {
+  const parts = [];
+  if (SINCE)   parts.push(`since ${SINCE}`);
+  if (VERSION) parts.push(`v${normalizeVersion(VERSION) || VERSION} only`);
+  return parts.length > 0 ? parts.join(", ") : "all sessions";
+}
 
-### One Thing to Preserve
-Based on the session highlights, identify the single pattern that appears across multiple trainers and should be explicitly protected in any content updates. Explain why.
+function buildCoachingPrompt(card, cohort, meta, releases) {
+  const fmt = (v, c) => `${v.toFixed(c.decimals)}${c.unit}`;
+
+  return renderPrompt(PROMPTS_DIR, "coaching", {
+    guide_context:   guideContext(meta, releases),
+    trainer:         card.trainer,
+    session_count:   card.sessions.length,
+    sessions_plural: card.sessions.length !== 1,
+    cohort_trainers: cohort.trainers,
+    comparison:      card.comparison.map(c => ({ label: c.label, value: fmt(c.value, c), median: fmt(c.median, c), worse: c.worse })),
+    patterns:        card.patterns.map(pattern => ({ pattern })),
+    trend:           card.trend && card.trend.map(t => ({ label: t.label, earlier: fmt(t.earlier, t), later: fmt(t.later, t), direction: t.direction })),
+    session_details: card.sessions.map(sessionDetail).join("\n\n"),
+  });
+}
 
-### Priority Action List
-Exactly 3 items. Each item should be: actionable this week, specific enough that someone could start on it tomorrow, and ranked by impact. Format as:
-1. [Action] — [Why this is #1 priority] — [Estimated effort: Low/Medium/High]
-2. [Action] — [Why this is #2 priority] — [Estimated effort: Low/Medium/High]
-3. [Action] — [Why this is #3 priority] — [Estimated effort: Low/Medium/High]`;
+async function writeScorecards(sessions, meta, releases, generated) {
+  const { cohort, cards } = buildScorecards(sessions);
+  const withCoaching = COACHING && !NO_LLM;
+  if (COACHING && NO_LLM) console.log("  Scorecards: coaching notes skipped (--no-llm)");
+
+  if (!fs.existsSync(SCORECARDS_DIR)) fs.mkdirSync(SCORECARDS_DIR, { recursive: true });
+  const written = new Set();
+  for (const card of cards) {
+    let coaching = null;
+    let prompts = null;
+    if (withCoaching) {
+      try {
+        const system = systemPrompt();
+        const prompt = buildCoachingPrompt(card, cohort, meta, releases);
+        const { analysis: note } = await requestAnalysis(prompt.text, system.text, COACHING_TOOL, 2000);
+        coaching = renderCoachingNote(note);
+        prompts = describePromptVersions([system, prompt]);
+      } catch (error) {
+        console.error(error.problems ? `\nError: ${error.message}` : `\nError calling Claude API: ${error.message}`);
+        (error.problems || []).forEach(p => console.error(`  - ${p}`));
+        console.error(`Coaching note for ${card.trainer} failed; run without --coaching for the scorecards alone.`);
+        process.exit(1);
+      }
+    }
+    // Names that differ only in accents or punctuation share a slug
+    let name = scorecardFilename(card.trainer);
+    for (let i = 2; written.has(name); i++) name = scorecardFilename(card.trainer).replace(/\.md$/, `-${i}.md`);
+    written.add(name);
+    const file = path.join(SCORECARDS_DIR, name);
+    fs.writeFileSync(file, renderScorecardMarkdown(card, cohort, { generated, scope: describeScope(), prompts }, coaching), "utf-8");
+  }
+  console.log(`  Scorecards: ${cards.length} trainer${cards.length === 1 ? "" : "s"}${withCoaching ? " with coaching notes" : ""} written to ${SCORECARDS_DIR}`);
 }
 
 // ── Main ─────────────────────────────────────────────────────────────────────
@@ -380,9 +1158,9 @@ async function main() {
 
   // Load and validate data
   console.log("\n[1/4] Loading data...");
-  const { sessions, meta } = loadData();
-  console.log(`  Loaded ${sessions.length} sessions from ${CSV_PATH}`);
-  console.log(`  Guide context: v${meta.current_version} (${Object.keys(meta.versions).join(", ")} available)`);
+  const { sessions, meta, releases, validation } = loadData();
+  console.log(`  Loaded ${sessions.length} sessions from ${SOURCES_PATH || CSV_PATH}`);
+  console.log(`  Guide context: v${latestVersion(releases)} (${releases.versions.map(r => r.version).join(", ")} available)`);
 
   // Compute statistics
   console.log("\n[2/4] Computing statistics...");
@@ -392,26 +1170,50 @@ async function main() {
   console.log(`  Energy: ${stats.avgEnergyOpening} open / ${stats.avgEnergyExercises} ex / ${stats.avgEnergyClosing} close`);
   console.log(`  ${stats.allQuestions.length} unanswered questions collected`);
 
-  // Build prompt and call Claude
-  console.log("\n[3/4] Sending to Claude for analysis...");
-  const prompt = buildPrompt(sessions, stats, meta);
+  const questionLog = updateQuestionLog(sessions);
+  const alerts = checkAlerts(sessions, questionLog, releases);
 
-  let report;
-  try {
-    report = await claudeComplete({
-      system: `You are an expert instructional designer analyzing trainer feedback for a technical workshop. 
-You write clear, direct reports for content maintainers who are busy and need actionable insights, not summaries. 
-Every recommendation you make should be specific enough that someone could act on it tomorrow. 
-Never write vague guidance like "consider improving" — say exactly what to change and why.`,
-      userMessage: prompt,
-      maxTokens: 4000,
-    });
+  if (DASHBOARD_DIR) {
+    const written = exportDashboard(stats, questionLog);
+    written.forEach(f => console.log(`  Dashboard data: ${f}`));
+    if (EXPORT_ONLY) {
+      console.log("\nDone (--export-only: Claude analysis skipped).");
+      setAlertExitCode(alerts);
+      return;
+    }
+  }
 
-  } catch (error) {
-    console.error(`\nError calling Claude API: ${error.message}`);
-    process.exit(1);
+  // The statistics section needs no API call; the submission rate is left
+  // blank when there are no trainer records to compare against
+  const statsReport = buildStatsReport(sessions, stats, fs.existsSync(TRAINERS_PATH) ? loadSessionsDelivered() : null, questionLog);
+
+  // Build prompt and call Claude (skipped with --no-llm)
+  let analysis = null;
+  let stages = null;
+  let prompts = null;
+  if (NO_LLM) {
+    console.log("\n[3/4] Skipping Claude (--no-llm): statistics-only report.");
+  } else {
+    console.log("\n[3/4] Sending to Claude for analysis...");
+    checkPromptTemplates();
+
+    try {
+      const result = await runAnalysis(sessions, stats, meta, releases);
+      analysis = result.analysis;
+      stages = result.stages;
+      prompts = result.prompts;
+      console.log(`  Analysis validated${result.attempts > 1 ? ` after ${result.attempts} attempts` : ""}`);
+    } catch (error) {
+      console.error(error.problems ? `\nError: ${error.message}` : `\nError calling Claude API: ${error.message}`);
+      (error.problems || []).forEach(p => console.error(`  - ${p}`));
+      console.error("Run with --no-llm for the statistics-only report.");
+      process.exit(1);
+    }
   }
 
+  const run = buildRunRecord(sessions, stats, questionLog, alerts, analysis);
+  const { history, changes } = compareWithLastRun(run);
+
   // Build final output with header
   const now = new Date().toISOString().split("T")[0];
   const versionRange = [...new Set(sessions.map(s => s.guide_version))].sort().join(", ");
@@ -426,12 +1228,14 @@ Never write vague guidance like "consider improving" — say exactly what to cha
 **Sessions analyzed:** ${stats.count} (${dateRange})  
 **Guide versions:** ${versionRange}  
 **Total participants:** ${stats.totalParticipants}  
-
+${NO_LLM ? "**Analysis:** statistics only (--no-llm)  \n" : ""}${prompts ? `**Prompts:** ${describePromptVersions(prompts)}  \n` : ""}${stages ? `**Analysis:** map-reduce — ${stats.count} sessions in ${stages.chunks.length} chunk${stages.chunks.length === 1 ? "" : "s"} by ${stages.by}, merged in one synthesis call  \n` : ""}${validation.skipped > 0 ? `**Rows skipped (failed validation):** ${validation.skipped} of ${validation.total}  \n` : ""}${validation.duplicates > 0 ? `**Duplicate sessions dropped:** ${validation.duplicates}  \n` : ""}
 ---
 
 `;
 
-  const fullReport = header + report;
+  const fullReport = analysis
+    ? `${header}${buildAlertsSection(alerts)}${renderChangesMarkdown(changes)}${renderAnalysisMarkdown(analysis)}\n${stages ? `${renderStagesMarkdown(stages)}\n` : ""}---\n\n${statsReport}`
+    : header + buildAlertsSection(alerts) + renderChangesMarkdown(changes) + statsReport;
 
   // Output
   console.log("\n[4/4] Writing report...");
@@ -445,7 +1249,35 @@ Never write vague guidance like "consider improving" — say exactly what to cha
     console.log(fullReport);
   }
 
+  // The structured analysis, for tools that pick up the action items and
+  // FAQ drafts (shape: ANALYSIS_SCHEMA in lib/analysis.js)
+  if (analysis) {
+    const dir = path.dirname(JSON_PATH);
+    if (dir && !fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(JSON_PATH, JSON.stringify({
+      generated:         now,
+      model:             CLAUDE_MODEL,
+      prompts:           Object.fromEntries(prompts.map(p => [p.name, p.version])),
+      sessionsAnalyzed:  stats.count,
+      period:            stats.dateRange,
+      guideVersions:     versionRange.split(", "),
+      rowsSkipped:       validation.skipped,
+      versionComparison: stats.versionComparison,
+      stages,
+      changes,
+      analysis,
+    }, null, 2) + "\n", "utf-8");
+    console.log(`  Analysis JSON written to ${JSON_PATH}`);
+  }
+
+  if (SCORECARDS_DIR) await writeScorecards(sessions, meta, releases, now);
+
+  // Recorded last, so a run that failed part-way isn't compared against
+  saveRunHistory(RUN_HISTORY_PATH, history);
+  console.log(`  Run recorded in ${RUN_HISTORY_PATH} (${history.runs.length} run${history.runs.length === 1 ? "" : "s"})`);
+
   console.log("\nDone.");
+  setAlertExitCode(alerts);
 }
 
 main().catch(err => {
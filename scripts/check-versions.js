@@ -4,90 +4,358 @@
  * check-versions.js
  *
  * Reads trainer records from sample-data/trainer-versions.json,
- * compares each trainer's guide version against the current release,
+ * compares each trainer's guide version against the current release
+ * in the shared release manifest (sample-data/releases.json),
  * generates ready-to-send email notifications for out-of-date trainers,
  * and writes a full compliance report to output/version-report.md.
+ * With --send, delivers the notifications over SMTP and writes each one
+ * to an outbox directory as an .eml file.
  *
- * No external dependencies. No API calls. Pure logic.
+ * No API calls. SMTP settings are read from the environment (.env).
  *
  * Usage:
  *   node scripts/check-versions.js
  *   node scripts/check-versions.js --input sample-data/trainer-versions.json
  *   node scripts/check-versions.js --output output/version-report.md
+ *   node scripts/check-versions.js --releases sample-data/releases.json
  *   node scripts/check-versions.js --stale-days 60     (override stale threshold)
  *   node scripts/check-versions.js --quiet             (suppress email previews)
+ *   node scripts/check-versions.js --send              (deliver emails over SMTP)
+ *   node scripts/check-versions.js --dry-run           (render .eml files, send nothing)
+ *   node scripts/check-versions.js --send --outbox output/outbox
+ *   node scripts/check-versions.js --ledger path/to/notification-ledger.json
+ *   node scripts/check-versions.js --cooldown-days 14  (override duplicate-suppression window)
+ *   node scripts/check-versions.js --dashboard dashboard/public/data  (write version-compliance.json)
+ *   node scripts/check-versions.js --history path/to/compliance-history.json
+ *   node scripts/check-versions.js --audit-log path/to/trainer-audit-log.json  (default: output/trainer-audit-log.json)
+ *   node scripts/check-versions.js --schedule sample-data/schedule.csv  (or a calendar .ics)
+ *   node scripts/check-versions.js --horizon-days 21   (how far ahead to look for at-risk sessions)
+ *   node scripts/check-versions.js --reconcile         (cross-check feedback.csv against trainer records)
+ *   node scripts/check-versions.js --reconcile --feedback path/to/feedback.csv
+ *   node scripts/check-versions.js --meta path/to/feedback_meta.json  (default: next to the input file)
+ *   node scripts/check-versions.js --templates path/to/templates/email
+ *   node scripts/check-versions.js --preview-templates (render every template for every trainer)
+ *   node scripts/check-versions.js --as-of 2026-02-09 (rebuild the report for a past date)
+ *   node scripts/check-versions.js --format json       (or csv, html, md; comma-separate for several)
+ *   node scripts/check-versions.js --no-fail-on-critical  (exit 0 even when a trainer or signal is CRITICAL)
+ *   node scripts/check-versions.js --alert-rules path/to/alert-rules.json  (default: next to the input file)
+ *   node scripts/check-versions.js --question-log path/to/question-log.json  (default: output/question-log.json)
+ *
+ * Trainers must hold a certification for the current major version
+ * (see "certifications" on each trainer record). A major bump (1.x → 2.0)
+ * marks everyone without one as NOT CERTIFIED: blocked from delivering
+ * and sent a re-certification email instead of an update notice. On the
+ * manifest's first major, no certification record is needed.
+ *
+ * Every delivered notification is recorded in the notification ledger
+ * (default: output/notification-ledger.json). Reruns skip
+ * duplicates sent inside the cooldown, and trainers who keep receiving
+ * notifications without updating are escalated up the urgency ladder.
+ *
+ * Each run also saves a dated compliance snapshot to the history file
+ * (default: output/compliance-history.json). The reports
+ * show the change since last week, and alerts fire when overall or
+ * regional compliance crosses one of the compliance thresholds in the alert rules.
+ *
+ * With REGISTRATION_SECRET and REGISTRATION_URL set, each update notice
+ * carries a personal link to registration-server.js, where the trainer
+ * confirms the version they have read. Those confirmations are read back
+ * from the trainer audit log to show when each trainer last updated.
+ *
+ * Upcoming sessions are optional, read from a roster CSV or calendar .ics
+ * (default: schedule.csv next to the input file, if present). An outdated
+ * trainer who delivers soon is raised in urgency, and every upcoming
+ * session that would run on outdated materials is listed as at-risk.
+ *
+ * With --reconcile, session feedback (default: feedback.csv next to the
+ * input file) is joined to the trainer records: sessions delivered on a
+ * guide version that was already superseded on the session date, each
+ * trainer's feedback submission rate against sessions_delivered, and
+ * trainers who appear in one file but not the other.
+ *
+ * Before reporting, the trainer records are checked against the release
+ * manifest, feedback_meta.json and feedback.csv where those are present
+ * (lib/data-consistency.js, as scripts/validate.js does). Any error —
+ * an unpublished version, a current_version the history doesn't end on,
+ * a session delivered before its release — stops the run.
+ *
+ * Every run checks the signals requiring immediate action from SYSTEMS.md
+ * (lib/alert-rules.js): compliance below 70% and, when feedback.csv is
+ * there, exercise completion below 50% in consecutive sessions, 3+
+ * trainers asking the same question within a week and setup issues above
+ * 20%. Each triggered signal is listed with the rows behind it.
+ *
+ * Email wording lives in templates/email, one file per urgency tier.
+ * Trainers with a locale (and/or region) get the matching override where
+ * one exists; preferred_name sets the name used in the greeting.
+ *
+ * With --as-of, the report is rebuilt for a past date: each trainer's
+ * version_history says which version they were on that day, and only
+ * releases, certifications, notifications and confirmations dated on or
+ * before it count. Nothing is recorded or sent. Every report also shows
+ * how long each release took to reach the compliance target.
+ *
+ * Exit codes: 0 success; 1 bad input or a failed delivery; 2 when at
+ * least one trainer or signal is CRITICAL (unless --no-fail-on-critical),
+ * so CI and other tooling can gate on the result.
  */
 
+import dotenv from "dotenv";
+dotenv.config({ quiet: true });
+
 import fs from "fs";
 import path from "path";
 
+import {
+  loadReleaseManifest,
+  validateReleaseManifest,
+  latestVersion,
+  versionHistory,
+  releaseNotes,
+  parseVersion,
+  normalizeVersion,
+  compareVersions,
+} from "./lib/releases.js";
+import { smtpConfigFromEnv, buildMessage, sendMail } from "./lib/mailer.js";
+import { loadLedger, saveLedger, recordNotification, notificationsFor } from "./lib/notification-ledger.js";
+import { writeDashboardFiles } from "./lib/dashboard-data.js";
+import { loadHistory, saveHistory, recordSnapshot, previousSnapshot, baselineSnapshot } from "./lib/compliance-history.js";
+import { registrationConfigFromEnv, registrationLink } from "./lib/registration.js";
+import { DEFAULT_AUDIT_LOG_PATH, loadAuditLog, auditEntriesFor } from "./lib/trainer-audit-log.js";
+import { loadSchedule, sessionsFor, unmatchedSessions } from "./lib/schedule.js";
+import { loadFeedbackRows, readFeedbackCsv, feedbackBelongsTo } from "./lib/feedback.js";
+import { loadQuestionLog } from "./lib/question-log.js";
+import { loadAlertRules, evaluateAlerts, complianceThresholds } from "./lib/alert-rules.js";
+import { DEFAULT_TEMPLATES_DIR, TEMPLATE_NAMES, greetingName, templateChain, renderEmail } from "./lib/email-templates.js";
+import { checkDataFiles, findingLocation } from "./lib/data-consistency.js";
+
+// ═══════════════════════════════════════════════════════════════════
+//  CLI ARGUMENT PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+
+function getArg(flag, defaultValue) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1]) return args[index + 1];
+  return defaultValue;
+}
+
+const AS_OF          = getArg("--as-of",     null);          // null = today
+const INPUT_PATH     = getArg("--input",     "sample-data/trainer-versions.json");
+const OUTPUT_PATH    = getArg("--output",    AS_OF ? `output/version-report-${AS_OF}.md` : "output/version-report.md");
+const RELEASES_PATH  = getArg("--releases",  path.join(path.dirname(INPUT_PATH), "releases.json"));
+const OUTBOX_DIR     = getArg("--outbox",    "output/outbox");
+const LEDGER_PATH    = getArg("--ledger",    "output/notification-ledger.json");
+const HISTORY_PATH   = getArg("--history",   "output/compliance-history.json");
+const AUDIT_LOG_PATH = getArg("--audit-log", DEFAULT_AUDIT_LOG_PATH);
+const SCHEDULE_DEFAULT = path.join(path.dirname(INPUT_PATH), "schedule.csv");
+const SCHEDULE_PATH  = getArg("--schedule",  fs.existsSync(SCHEDULE_DEFAULT) ? SCHEDULE_DEFAULT : null);  // null = no schedule
+const FEEDBACK_PATH  = getArg("--feedback",  path.join(path.dirname(INPUT_PATH), "feedback.csv"));
+const META_PATH      = getArg("--meta",      path.join(path.dirname(INPUT_PATH), "feedback_meta.json"));
+const ALERT_RULES_PATH = getArg("--alert-rules", path.join(path.dirname(INPUT_PATH), "alert-rules.json"));
+const QUESTION_LOG_PATH = getArg("--question-log", "output/question-log.json");
+const TEMPLATES_DIR  = getArg("--templates", DEFAULT_TEMPLATES_DIR);
+const DASHBOARD_DIR  = getArg("--dashboard", null);          // null = no dashboard export
+const RECONCILE      = args.includes("--reconcile");
+const PREVIEW        = args.includes("--preview-templates");
+const QUIET          = args.includes("--quiet");
+const DRY_RUN        = args.includes("--dry-run");
+const SEND           = args.includes("--send") || DRY_RUN;
+const FORMATS        = getArg("--format", "md").split(",").map(f => f.trim().toLowerCase());
+const FAIL_ON_CRITICAL = !args.includes("--no-fail-on-critical");
+
+const REPORT_FORMATS = ["md", "json", "csv", "html"];
+const badFormats = FORMATS.filter(f => !REPORT_FORMATS.includes(f));
+if (badFormats.length > 0) {
+  console.error(`\nError: Unknown --format '${badFormats.join(", ")}'. Use one or more of: ${REPORT_FORMATS.join(", ")}`);
+  process.exit(1);
+}
+
+// A past report can't send anything or change the history it is read from
+if (AS_OF !== null) {
+  const real = new Date().toISOString().split("T")[0];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(AS_OF) || isNaN(new Date(AS_OF)) || AS_OF > real) {
+    console.error(`\nError: --as-of must be a past date in YYYY-MM-DD form, got '${AS_OF}'.`);
+    process.exit(1);
+  }
+  if (SEND || args.includes("--dashboard")) {
+    console.error("\nError: --as-of rebuilds a past report and can't be combined with --send, --dry-run or --dashboard.");
+    process.exit(1);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════
 //  VERSION CONFIG
-//  Update this block whenever a new guide version ships.
-//  All comparisons are driven from here — no other changes needed.
+//  Built from the shared release manifest (releases.json), which is
+//  also read by analyze-feedback.js. Ship a new guide version with
+//  `node scripts/release.js` — no changes needed in this file.
 // ═══════════════════════════════════════════════════════════════════
 
-const VERSION_CONFIG = {
-  // The version all trainers should be on right now
-  latest_version: "1.2",
+function loadVersionConfig(manifestPath) {
+  let manifest;
+  try {
+    manifest = loadReleaseManifest(manifestPath);
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    console.error("Usage: node check-versions.js --releases path/to/releases.json");
+    process.exit(1);
+  }
 
-  // Ordered list of all versions ever released, oldest → newest
-  // Used to calculate how many versions behind a trainer is
-  version_history: ["1.0", "1.1", "1.2"],
+  // As of a past date, only the releases that had shipped by then exist
+  if (AS_OF) {
+    manifest = { ...manifest, versions: manifest.versions.filter(v => v.released <= AS_OF) };
+    if (manifest.versions.length === 0) {
+      console.error(`\nError: No release had shipped by ${AS_OF}.`);
+      process.exit(1);
+    }
+  }
 
-  // What changed in each version — used in notification emails
-  // so trainers know what they missed
-  release_notes: {
-    "1.0": "Initial release.",
-    "1.1": "Section 6 reformatted: pitfalls moved to table format, prose reduced, " +
-           "Pitfall 4 moved to Quick Reference Card.",
-    "1.2": "Champion Quick-Start section added. Confidence note rewritten to address " +
-           "technical question anxiety. Pre-session checklist condensed.",
-  },
+  const problems = validateReleaseManifest(manifest);
+  if (problems.length > 0) {
+    console.error(`\nError: Release manifest '${manifestPath}' is inconsistent:`);
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
 
-  // Number of days since last_accessed before a trainer is flagged as stale
-  // (separate from version status — a current-version trainer can still be stale)
-  stale_threshold_days: 45,
+  return {
+    // The version all trainers should be on right now
+    latest_version: latestVersion(manifest),
+
+    // Ordered list of all versions ever released, oldest → newest
+    // Used to calculate how many versions behind a trainer is
+    version_history: versionHistory(manifest),
+
+    // What changed in each version — used in notification emails
+    // so trainers know what they missed
+    release_notes: releaseNotes(manifest),
+
+    // When each version shipped — used to tell which version was
+    // current on the date of a past session
+    release_dates: Object.fromEntries(manifest.versions.map(v => [v.version, v.released])),
+
+    // major / minor / patch per version — patch releases need no re-read
+    release_types: Object.fromEntries(manifest.versions.map(v => [v.version, v.type])),
+
+    // Number of days since last_accessed before a trainer is flagged as stale
+    // (separate from version status — a current-version trainer can still be stale)
+    stale_threshold_days: manifest.stale_threshold_days,
+
+    // Where to get the latest guide
+    guide_url: manifest.guide_url,
+
+    // Who to contact with questions
+    support_contact: manifest.support_contact,
+  };
+}
+
+const VERSION_CONFIG = loadVersionConfig(RELEASES_PATH);
+const STALE_DAYS     = parseInt(getArg("--stale-days", String(VERSION_CONFIG.stale_threshold_days)));
+const LATEST_MAJOR   = parseVersion(VERSION_CONFIG.latest_version).major;
+const REGISTRATION   = registrationConfigFromEnv();
+
+// ═══════════════════════════════════════════════════════════════════
+//  NOTIFICATION POLICY
+//  How the notification ledger shapes each run. Mirrors the
+//  escalation path in SYSTEMS.md: email → stronger email → direct
+//  contact for trainers who don't respond.
+// ═══════════════════════════════════════════════════════════════════
 
-  // Where to get the latest guide
-  guide_url: "https://drive.google.com/[your-guide-folder]",
+const NOTIFY_CONFIG = {
+  // Don't notify a trainer about a release again within this many days
+  // of an unanswered notice for it, even after escalation raises the
+  // urgency; the escalated notice goes out once the window has passed
+  cooldown_days: 7,
 
-  // Who to contact with questions
-  support_contact: "training-team@yourcompany.com",
+  // Every time a trainer collects this many unanswered notifications
+  // for the current release, they move up one urgency tier
+  escalate_after: 2,
+
+  // Escalation order. A trainer pushed past the top tier is flagged
+  // for direct contact (the email still goes out).
+  ladder: ["MEDIUM", "HIGH", "CRITICAL"],
 };
 
+const COOLDOWN_DAYS = parseInt(getArg("--cooldown-days", String(NOTIFY_CONFIG.cooldown_days)));
+
 // ═══════════════════════════════════════════════════════════════════
-//  CLI ARGUMENT PARSING
+//  SCHEDULE POLICY
+//  How a trainer's next session shapes urgency. "Contact before their
+//  next session" only works if we know when that is.
 // ═══════════════════════════════════════════════════════════════════
 
-const args = process.argv.slice(2);
+const SCHEDULE_CONFIG = {
+  // An outdated trainer delivering within this many days is CRITICAL
+  imminent_days: 7,
 
-function getArg(flag, defaultValue) {
-  const index = args.indexOf(flag);
-  if (index !== -1 && args[index + 1]) return args[index + 1];
-  return defaultValue;
-}
+  // ...and within this many days, at least HIGH
+  soon_days: 14,
+
+  // How far ahead the at-risk sessions section looks
+  horizon_days: 14,
+};
 
-const INPUT_PATH    = getArg("--input",      "sample-data/trainer-versions.json");
-const OUTPUT_PATH   = getArg("--output",     "output/version-report.md");
-const STALE_DAYS    = parseInt(getArg("--stale-days", String(VERSION_CONFIG.stale_threshold_days)));
-const QUIET         = args.includes("--quiet");
+const HORIZON_DAYS = parseInt(getArg("--horizon-days", String(SCHEDULE_CONFIG.horizon_days)));
+
+// ═══════════════════════════════════════════════════════════════════
+//  RECONCILIATION POLICY
+//  Feedback submission target from SYSTEMS.md (success metrics):
+//  more than 85% of delivered sessions should have a feedback form.
+// ═══════════════════════════════════════════════════════════════════
+
+const RECONCILE_CONFIG = {
+  submission_target_pct: 85,
+};
+
+// ═══════════════════════════════════════════════════════════════════
+//  TREND ALERTS
+//  Compliance is checked against overall and per-region compliance on
+//  every run. The thresholds (80% WARNING, 70% CRITICAL in SYSTEMS.md)
+//  come from the compliance rule in the alert rules, so the trend alert
+//  and the immediate-action signal can't disagree.
+// ═══════════════════════════════════════════════════════════════════
+
+const TREND_CONFIG = {
+  // "Last week" is the most recent snapshot at least this many days old
+  compare_days: 7,
+
+  // Primary health metric: share of trainers on the current version.
+  // Release adoption is measured as the days a release takes to get here.
+  target_pct: 90,
+};
 
 // ═══════════════════════════════════════════════════════════════════
 //  VERSION UTILITIES
 // ═══════════════════════════════════════════════════════════════════
 
 function getVersionIndex(version) {
-  const idx = VERSION_CONFIG.version_history.indexOf(version);
+  const idx = VERSION_CONFIG.version_history.indexOf(normalizeVersion(version));
   if (idx === -1) return null;  // unknown version
   return idx;
 }
 
+function isPatch(version) {
+  return VERSION_CONFIG.release_types[version] === "patch";
+}
+
+// Counts the major/minor releases a trainer has missed. Patch releases
+// need no re-read, so a trainer on 1.2 is still current when 1.2.1 ships.
 function versionsBehind(trainerVersion, latestVersion) {
   const trainerIdx = getVersionIndex(trainerVersion);
   const latestIdx  = getVersionIndex(latestVersion);
   if (trainerIdx === null) return null;  // unrecognised version
-  return Math.max(0, latestIdx - trainerIdx);
+  return VERSION_CONFIG.version_history
+    .slice(trainerIdx + 1, latestIdx + 1)
+    .filter(v => !isPatch(v))
+    .length;
+}
+
+// The version trainers should have been delivering on a given date:
+// the newest release that had shipped by then
+function versionCurrentOn(date) {
+  return [...VERSION_CONFIG.version_history]
+    .reverse()
+    .find(v => VERSION_CONFIG.release_dates[v] <= date) || null;
 }
 
 // Returns list of version strings the trainer has missed
@@ -97,126 +365,409 @@ function missedVersions(trainerVersion) {
   return VERSION_CONFIG.version_history.slice(trainerIdx + 1);
 }
 
-function statusLabel(behind) {
+// How many major versions separate the trainer from the latest release.
+// Any major gap means the guide structure has changed under them.
+function majorVersionsBehind(trainerVersion, latestVersion) {
+  if (getVersionIndex(trainerVersion) === null) return null;
+  const trainer = parseVersion(trainerVersion);
+  const latest  = parseVersion(latestVersion);
+  return Math.max(0, latest.major - trainer.major);
+}
+
+// A trainer may only deliver the current major version if they hold a
+// certification for it. Minor releases never require re-certification.
+function latestCertification(trainer) {
+  return [...(trainer.certifications || [])]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .at(-1) || null;
+}
+
+// Trainers are taken as certified on the manifest's first major, records
+// or not; each major bump after it needs a certification of its own
+function isCertifiedFor(trainer, version) {
+  const major      = parseVersion(version).major;
+  const firstMajor = parseVersion(VERSION_CONFIG.version_history[0]).major;
+  const certified  = (trainer.certifications || [])
+    .map(c => parseVersion(c.version)?.major)
+    .filter(m => m !== undefined);
+  return Math.max(firstMajor, ...certified) >= major;
+}
+
+// "v1.2" for a recognised version; the raw value in quotes otherwise,
+// so a bad record is shown exactly as it appears in the file
+function versionLabel(trainer) {
+  return getVersionIndex(trainer.current_version) !== null
+    ? `v${normalizeVersion(trainer.current_version)}`
+    : `"${trainer.current_version}"`;
+}
+
+function statusLabel(behind, majorBehind, certified) {
   if (behind === null) return "UNKNOWN";
+  if (!certified)      return "NOT CERTIFIED";
   if (behind === 0)    return "CURRENT";
-  if (behind === 1)    return "1 VERSION BEHIND";
-  return `${behind} VERSIONS BEHIND`;
+  const major = majorBehind > 0 ? " (MAJOR)" : "";
+  if (behind === 1)    return `1 VERSION BEHIND${major}`;
+  return `${behind} VERSIONS BEHIND${major}`;
 }
 
-function urgencyLevel(behind, daysSinceAccess) {
-  // CRITICAL: 2+ versions behind OR stale AND any version behind
+// Explains a current_version that can't be matched to a release, with a
+// concrete fix. Returns null when the recorded value is already canonical.
+function diagnoseVersion(recorded) {
+  const history = VERSION_CONFIG.version_history;
+  const latest  = VERSION_CONFIG.latest_version;
+  const normalised = normalizeVersion(recorded);
+
+  if (normalised === null) {
+    // Salvage typos like "1,2" or "1-1" before falling back to a list
+    const guess = normalizeVersion(String(recorded ?? "").replace(/[^\d]+/g, ".").replace(/^\.|\.$/g, ""));
+    const fix = guess && history.includes(guess)
+      ? `Set current_version to "${guess}".`
+      : `Set current_version to a released version (${history.join(", ")}).`;
+    return { known: false, problem: `"${recorded}" is not a version number`, fix };
+  }
+
+  if (!history.includes(normalised)) {
+    if (compareVersions(normalised, latest) > 0) {
+      return {
+        known: false,
+        problem: `v${normalised} has not been released (latest is v${latest})`,
+        fix: `Set current_version to "${latest}", or publish v${normalised} with release.js if it has shipped.`,
+      };
+    }
+    const closest = [...history].reverse().find(v => compareVersions(v, normalised) < 0);
+    return {
+      known: false,
+      problem: `v${normalised} is not a published release`,
+      fix: closest
+        ? `Set current_version to "${closest}" (closest earlier release), or publish v${normalised} with release.js.`
+        : `Set current_version to a released version (${history.join(", ")}).`,
+    };
+  }
+
+  if (normalised !== recorded) {
+    return { known: true, problem: `recorded as "${recorded}"`, fix: `Set current_version to "${normalised}".` };
+  }
+
+  return null;
+}
+
+function urgencyLevel(behind, daysSinceAccess, majorBehind = 0, certified = true, daysToNextSession = null) {
+  // UNKNOWN: the record can't be matched to a release, so nothing else
+  //          can be judged — surface it instead of guessing
+  // CRITICAL: not certified for the current major, a major version behind,
+  // 2+ versions behind, OR any version behind with a session this week
+  // HIGH: one version behind and stale, or delivering within two weeks
+  const sessionWithin = limit => daysToNextSession !== null && daysToNextSession <= limit;
+  if (behind === null)                          return "UNKNOWN";
+  if (!certified)                               return "CRITICAL";
+  if (majorBehind > 0)                          return "CRITICAL";
   if (behind >= 2)                              return "CRITICAL";
+  if (behind === 1 && sessionWithin(SCHEDULE_CONFIG.imminent_days)) return "CRITICAL";
   if (behind === 1 && daysSinceAccess > STALE_DAYS) return "HIGH";
+  if (behind === 1 && sessionWithin(SCHEDULE_CONFIG.soon_days))     return "HIGH";
   if (behind === 1)                             return "MEDIUM";
   if (daysSinceAccess > STALE_DAYS)             return "LOW";   // current but stale
   return "OK";
 }
 
+// Moves a trainer up the ladder for repeated non-response.
+// Returns the effective urgency and whether they've run off the top.
+function escalate(baseUrgency, unanswered) {
+  const { ladder, escalate_after } = NOTIFY_CONFIG;
+  const start = ladder.indexOf(baseUrgency);
+  if (start === -1 || unanswered < escalate_after) {
+    return { urgency: baseUrgency, directContact: false };
+  }
+
+  const target = start + Math.floor(unanswered / escalate_after);
+  const top    = ladder.length - 1;
+  return { urgency: ladder[Math.min(target, top)], directContact: target > top };
+}
+
 // ═══════════════════════════════════════════════════════════════════
 //  DATE UTILITIES
 // ═══════════════════════════════════════════════════════════════════
 
 function daysSince(dateString) {
   const past = new Date(dateString);
-  const now  = new Date();
+  const now  = AS_OF ? new Date(AS_OF) : new Date();
   // Zero out time component for clean day comparison
   past.setHours(0, 0, 0, 0);
   now.setHours(0, 0, 0, 0);
   return Math.floor((now - past) / (1000 * 60 * 60 * 24));
 }
 
-function formatDate(dateString) {
+function formatDate(dateString, locale = "en-GB") {
   const d = new Date(dateString);
-  return d.toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" });
+  return d.toLocaleDateString(locale, { day: "numeric", month: "short", year: "numeric" });
 }
 
+// The date the report is for: --as-of when given, otherwise today
 function today() {
-  return new Date().toISOString().split("T")[0];
+  return AS_OF || new Date().toISOString().split("T")[0];
+}
+
+function addDays(dateString, days) {
+  const d = new Date(dateString);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+function daysLabelUntil(days) {
+  return days === 0 ? "today" : days === 1 ? "tomorrow" : `in ${days} days`;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  POINT-IN-TIME RECORDS
+//  A trainer record holds today's state. version_history lists every
+//  version the trainer moved to and when (oldest first), which is
+//  enough to rebuild the record for any earlier date. A version can
+//  only change on an access, so a record without history is still
+//  exact for any date on or after its last_accessed.
+// ═══════════════════════════════════════════════════════════════════
+
+// null when the trainer hadn't started by that date, or the record
+// can't say what they were on
+function versionOn(record, date) {
+  const history = record.version_history || [];
+  if (history.length === 0) return record.last_accessed <= date ? record.current_version : null;
+  return history.filter(h => h.date <= date).at(-1)?.version ?? null;
+}
+
+function lastAccessOn(record, date) {
+  const accesses = [record.last_accessed, ...(record.version_history || []).map(h => h.date)]
+    .filter(d => d <= date)
+    .sort();
+  return accesses.at(-1) || null;
+}
+
+function recordAsOf(record, date) {
+  const version = versionOn(record, date);
+  if (version === null) return null;
+  return {
+    ...record,
+    current_version: version,
+    last_accessed:   lastAccessOn(record, date),
+    certifications:  (record.certifications || []).filter(c => c.date <= date),
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════
 //  EMAIL GENERATOR
-//  Produces ready-to-send plain text emails.
+//  Produces ready-to-send plain text emails from the templates in
+//  templates/email (see lib/email-templates.js for the format).
 //  Tone: direct and collegial, not corporate-form-letter.
 // ═══════════════════════════════════════════════════════════════════
 
-function generateEmail(trainer, analysis) {
-  const { behind, missed, daysSince: days, urgency } = analysis;
+// Everything a template can use. Dates are written in the trainer's locale.
+function emailVariables(trainer, analysis) {
+  const { behind, missed, daysSince: days, followUpOf, nextSession, daysToNextSession } = analysis;
+  const locale   = trainer.locale || "en-GB";
+  const lastCert = latestCertification(trainer);
+  const upcoming = nextSession && daysToNextSession <= HORIZON_DAYS;
+  const sessions = parseInt(trainer.sessions_delivered) || 0;
 
-  const greeting = `Hi ${trainer.name.split(" ")[0]},`;
-
-  // Subject line varies by urgency
-  const subjects = {
-    CRITICAL: `Action needed: your facilitator guide is ${behind} version${behind > 1 ? "s" : ""} out of date`,
-    HIGH:     `Facilitator guide update needed — v${VERSION_CONFIG.latest_version} is available`,
-    MEDIUM:   `Facilitator guide update available — v${VERSION_CONFIG.latest_version}`,
+  return {
+    name:                 trainer.name,
+    preferred_name:       greetingName(trainer),
+    current_version:      trainer.current_version,
+    latest_version:       VERSION_CONFIG.latest_version,
+    latest_major:         LATEST_MAJOR,
+    behind,
+    behind_plural:        behind > 1,
+    days_since_active:    days,
+    missed: missed.map(v => ({
+      version: v,
+      notes:   VERSION_CONFIG.release_notes[v] || "See release notes.",
+      patch:   isPatch(v),
+    })),
+    has_missed:           missed.length > 0,
+    missed_one:           missed.length === 1,
+    guide_url:            VERSION_CONFIG.guide_url,
+    support_contact:      VERSION_CONFIG.support_contact,
+    // Personal self-registration link, when the service is configured
+    registration_link:    registrationLink(REGISTRATION, trainer.email),
+    // Repeat notifications say so, rather than reading like a first contact
+    follow_up:            Boolean(followUpOf),
+    follow_up_date:       followUpOf ? formatDate(followUpOf.sent_at, locale) : null,
+    // A session coming up gives the update a real deadline
+    next_session:         Boolean(upcoming),
+    next_session_date:    upcoming ? formatDate(nextSession.date, locale) : null,
+    next_session_title:   upcoming ? nextSession.title : null,
+    days_to_next_session: upcoming ? daysToNextSession : null,
+    sessions_delivered:   sessions,
+    has_sessions:         sessions > 0,
+    sessions_plural:      sessions > 1,
+    certification_version: lastCert?.version || null,
+    certification_date:   lastCert ? formatDate(lastCert.date, locale) : null,
   };
-  const subject = subjects[urgency] || `Facilitator guide update: v${VERSION_CONFIG.latest_version} available`;
-
-  // Build the "what changed" section
-  const changeLines = missed.map(v =>
-    `  v${v}: ${VERSION_CONFIG.release_notes[v] || "See release notes."}`
-  ).join("\n");
-
-  // Body varies by how far behind they are
-  let urgencyLine = "";
-  if (urgency === "CRITICAL") {
-    urgencyLine = `You're currently on v${trainer.current_version}, which is ${behind} version${behind > 1 ? "s" : ""} behind the current release. We ask that all trainers update before their next session to ensure participants receive consistent, accurate materials.`;
-  } else if (urgency === "HIGH") {
-    urgencyLine = `You're currently on v${trainer.current_version}. Given that your last session was ${days} days ago, you may be due for a refresh before your next delivery.`;
-  } else {
-    urgencyLine = `You're currently on v${trainer.current_version}. The update is a quick read — most of the changes are in ${missed.length === 1 ? "one section" : "a few sections"}.`;
-  }
+}
 
-  const sessionLine = trainer.sessions_delivered > 0
-    ? `Your ${trainer.sessions_delivered} session${trainer.sessions_delivered > 1 ? "s" : ""} to date are logged — thank you for the effort you've put in.`
-    : "";
+// Trainers without a certification for the current major version get the
+// re-certification request instead of an update notice: delivery is
+// blocked until they re-certify, so the ask is an assessment booking.
+function templateFor(analysis) {
+  return analysis.certified ? analysis.urgency.toLowerCase() : "recertification";
+}
 
-  const body = `${greeting}
+function generateEmail(trainer, analysis, template = templateFor(analysis)) {
+  return renderEmail(TEMPLATES_DIR, template, trainer, emailVariables(trainer, analysis));
+}
 
-${urgencyLine}
+// ═══════════════════════════════════════════════════════════════════
+//  EMAIL DELIVERY
+//  Writes every notification to the outbox as an .eml file, then
+//  sends it over SMTP (skipped with --dry-run). The outcome is kept
+//  on each analysis and in outbox/send-results.json.
+// ═══════════════════════════════════════════════════════════════════
 
-Here's what changed since your version:
+function outboxFilename(trainer) {
+  const slug = trainer.email.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `${today()}-${slug}.eml`;
+}
 
-${changeLines}
+async function deliverNotifications(analyses, smtp, ledger) {
+  const outdated = analyses.filter(a => a.notify);
+  const from = { name: smtp.fromName, email: smtp.from || VERSION_CONFIG.support_contact };
 
-You can download the latest guide here:
-${VERSION_CONFIG.guide_url}
+  if (!fs.existsSync(OUTBOX_DIR)) {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+  }
 
-${sessionLine}
+  const results = [];
+  for (const a of outdated) {
+    const { trainer, email, urgency } = a;
+    const message = buildMessage({
+      from,
+      to:      { name: trainer.name, email: trainer.email },
+      subject: email.subject,
+      body:    email.body,
+    });
+
+    const emlPath = path.join(OUTBOX_DIR, outboxFilename(trainer));
+    fs.writeFileSync(emlPath, message.raw, "utf-8");
+
+    const result = {
+      trainer:    trainer.name,
+      email:      trainer.email,
+      urgency,
+      subject:    email.subject,
+      message_id: message.messageId,
+      eml:        emlPath,
+      status:     "dry-run",
+      response:   null,
+      error:      null,
+      at:         new Date().toISOString(),
+    };
+
+    if (!DRY_RUN) {
+      try {
+        result.response = await sendMail(smtp, { from: from.email, to: trainer.email, raw: message.raw });
+        result.status   = "sent";
+        recordNotification(ledger, {
+          email:           trainer.email,
+          trainer:         trainer.name,
+          urgency,
+          base_urgency:    a.baseUrgency,
+          subject:         email.subject,
+          trainer_version: trainer.current_version,
+          target_version:  VERSION_CONFIG.latest_version,
+          sent_at:         result.at,
+          message_id:      message.messageId,
+          direct_contact:  a.directContact,
+        });
+      } catch (e) {
+        result.status = "failed";
+        result.error  = e.message;
+      }
+    }
+
+    a.delivery = result;
+    results.push(result);
+  }
 
-If you have any questions or run into issues with the update, reply to this email or reach the training team at ${VERSION_CONFIG.support_contact}.
+  if (!DRY_RUN && results.some(r => r.status === "sent")) {
+    saveLedger(LEDGER_PATH, ledger);
+  }
 
-Thanks,
-Training Team`.trim();
+  const resultsPath = path.join(OUTBOX_DIR, "send-results.json");
+  fs.writeFileSync(resultsPath, JSON.stringify({ generated: today(), dry_run: DRY_RUN, results }, null, 2), "utf-8");
 
-  return { subject, body };
+  return { results, resultsPath };
 }
 
 // ═══════════════════════════════════════════════════════════════════
 //  ANALYSIS ENGINE
-//  Processes each trainer record into a structured analysis object.
+//  Processes each trainer record into a structured analysis object,
+//  taking earlier notifications from the ledger and self-registered
+//  updates from the audit log into account.
 // ═══════════════════════════════════════════════════════════════════
 
-function analyzeTrainer(trainer) {
+function analyzeTrainer(record, ledger, auditLog, schedule) {
+  // Work from the canonical version ("v1.2" → "1.2"); the recorded value
+  // is kept on versionIssue for the data-fix section of the report
+  const versionIssue = diagnoseVersion(record.current_version);
+  const trainer = versionIssue?.known
+    ? { ...record, current_version: normalizeVersion(record.current_version) }
+    : record;
+
   const behind   = versionsBehind(trainer.current_version, VERSION_CONFIG.latest_version);
+  const majorBehind = majorVersionsBehind(trainer.current_version, VERSION_CONFIG.latest_version);
+  const certified = isCertifiedFor(trainer, VERSION_CONFIG.latest_version);
   const missed   = missedVersions(trainer.current_version);
   const days     = daysSince(trainer.last_accessed);
   const isStale  = days > STALE_DAYS;
-  const urgency  = urgencyLevel(behind, days);
-  const needsUpdate = behind !== null && behind > 0;
-  const email    = needsUpdate ? generateEmail(trainer, { behind, missed, daysSince: days, urgency }) : null;
+  const upcoming = sessionsFor(schedule, trainer).filter(s => s.date >= today());
+  const nextSession = upcoming[0] || null;
+  const daysToNextSession = nextSession ? -daysSince(nextSession.date) : null;
+  const baseUrgency = urgencyLevel(behind, days, majorBehind, certified, daysToNextSession);
+  const needsUpdate = (behind !== null && behind > 0) || !certified;
+
+  // Unanswered = sent for the current release while the trainer was on
+  // the version they are still on today
+  const notices    = notificationsFor(ledger, trainer.email).filter(n => n.sent_at.slice(0, 10) <= today());
+  const unanswered = needsUpdate
+    ? notices.filter(n =>
+        n.target_version === VERSION_CONFIG.latest_version &&
+        n.trainer_version === trainer.current_version)
+    : [];
+  const { urgency, directContact } = escalate(baseUrgency, unanswered.length);
+
+  const suppressed = needsUpdate && unanswered.some(n => daysSince(n.sent_at) < COOLDOWN_DAYS);
+
+  const emailContext = {
+    behind, missed, daysSince: days, urgency, certified, followUpOf: unanswered.at(-1), nextSession, daysToNextSession,
+  };
+  // A preview renders every template itself, and reports failures per template
+  const email = needsUpdate && !PREVIEW ? generateEmail(trainer, emailContext) : null;
 
   return {
     trainer,
     behind,
+    majorBehind,
+    certified,
+    blocked: !certified,
+    certification: latestCertification(trainer),
     missed,
     daysSince: days,
     isStale,
+    upcoming,
+    nextSession,
+    daysToNextSession,
     urgency,
+    baseUrgency,
+    escalated: urgency !== baseUrgency,
+    directContact,
     needsUpdate,
-    status: statusLabel(behind),
+    notify: needsUpdate && !suppressed,
+    suppressed,
+    previousNotices: notices.length,
+    unanswered: unanswered.length,
+    firstUnanswered: unanswered[0]?.sent_at || null,
+    lastNotified: notices.at(-1)?.sent_at || null,
+    lastConfirmed: auditEntriesFor(auditLog, trainer.email).filter(e => e.at.slice(0, 10) <= today()).at(-1) || null,
+    status: statusLabel(behind, majorBehind, certified),
+    versionIssue: versionIssue && { recorded: record.current_version, ...versionIssue },
     email,
   };
 }
@@ -231,6 +782,7 @@ const URGENCY_COLOURS = {
   MEDIUM:   "\x1b[36m",  // cyan
   LOW:      "\x1b[34m",  // blue
   OK:       "\x1b[32m",  // green
+  UNKNOWN:  "\x1b[35m",  // magenta
   RESET:    "\x1b[0m",
   BOLD:     "\x1b[1m",
   DIM:      "\x1b[2m",
@@ -245,13 +797,15 @@ function printComplianceSummary(analyses, stats) {
 
   console.log("\n" + "═".repeat(64));
   console.log(coloured("  VERSION COMPLIANCE REPORT", "BOLD"));
-  console.log(coloured(`  Latest version: v${VERSION_CONFIG.latest_version}  |  Generated: ${today()}`, "DIM"));
+  console.log(coloured(AS_OF
+    ? `  Latest version: v${VERSION_CONFIG.latest_version}  |  As of: ${AS_OF} (rebuilt from version history)`
+    : `  Latest version: v${VERSION_CONFIG.latest_version}  |  Generated: ${today()}`, "DIM"));
   console.log("═".repeat(64));
 
   // ── Per-trainer status table ──────────────────────────────────
   console.log("\n  TRAINER STATUS\n");
 
-  const colW = { name: 20, region: 7, version: 9, status: 22, days: 12, urgency: 10 };
+  const colW = { name: 20, region: 7, version: 9, status: 26, days: 12, urgency: 10 };
 
   // Header
   const header = [
@@ -265,10 +819,10 @@ function printComplianceSummary(analyses, stats) {
   console.log(coloured("  " + header, "DIM"));
   console.log("  " + "─".repeat(header.length));
 
-  // Rows — sorted: CRITICAL → HIGH → MEDIUM → LOW → OK
+  // Rows — sorted: CRITICAL → HIGH → MEDIUM → LOW → OK, blocked trainers first
   const urgencyOrder = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "OK", "UNKNOWN"];
   const sorted = [...analyses].sort((a, b) =>
-    urgencyOrder.indexOf(a.urgency) - urgencyOrder.indexOf(b.urgency)
+    urgencyOrder.indexOf(a.urgency) - urgencyOrder.indexOf(b.urgency) || b.blocked - a.blocked
   );
 
   for (const a of sorted) {
@@ -277,19 +831,20 @@ function printComplianceSummary(analyses, stats) {
       : `${a.daysSince} days ago`;
 
     const staleFlag = a.isStale ? coloured(" ⚠", "MEDIUM") : "";
+    const escalatedFlag = a.escalated ? coloured(" ↑", "BOLD") : "";
 
-    const urgencyColour = { CRITICAL: "CRITICAL", HIGH: "HIGH", MEDIUM: "MEDIUM", LOW: "LOW", OK: "OK" }[a.urgency] || "DIM";
+    const urgencyColour = { CRITICAL: "CRITICAL", HIGH: "HIGH", MEDIUM: "MEDIUM", LOW: "LOW", OK: "OK", UNKNOWN: "UNKNOWN" }[a.urgency] || "DIM";
 
     const row = [
       a.trainer.name.padEnd(colW.name),
       a.trainer.region.padEnd(colW.region),
-      `v${a.trainer.current_version}`.padEnd(colW.version),
+      versionLabel(a.trainer).padEnd(colW.version),
       a.status.padEnd(colW.status),
       daysLabel.padEnd(colW.days),
       coloured(a.urgency, urgencyColour),
     ].join("  ");
 
-    console.log("  " + row + staleFlag);
+    console.log("  " + row + escalatedFlag + staleFlag);
   }
 
   // ── Summary stats ─────────────────────────────────────────────
@@ -304,7 +859,23 @@ function printComplianceSummary(analyses, stats) {
   console.log(`  One version behind:  ${coloured(pct(stats.oneBehind), stats.oneBehind > 0 ? "MEDIUM" : "OK")}`);
   console.log(`  Two+ versions behind:${coloured(" " + pct(stats.twoPlusBehind), stats.twoPlusBehind > 0 ? "CRITICAL" : "OK")}`);
   console.log(`  Stale (>${STALE_DAYS}d inactive): ${coloured(pct(stats.stale), stats.stale > 0 ? "LOW" : "OK")}`);
-  console.log(`  Notifications queued:${coloured(" " + stats.needsUpdate, "BOLD")}`);
+  if (stats.unknown > 0) {
+    console.log(`  Unknown version:     ${coloured(pct(stats.unknown), "UNKNOWN")}`);
+  }
+  console.log(`  Not certified (v${LATEST_MAJOR}.x):${coloured(" " + pct(stats.notCertified), stats.notCertified > 0 ? "CRITICAL" : "OK")}`);
+  console.log(`  Notifications queued:${coloured(" " + stats.queued, "BOLD")}`);
+  if (stats.suppressed > 0) {
+    console.log(`  Suppressed (sent <${COOLDOWN_DAYS}d ago): ${coloured(String(stats.suppressed), "DIM")}`);
+  }
+  if (stats.escalated > 0) {
+    console.log(`  Escalated (no response): ${coloured(String(stats.escalated), "HIGH")}`);
+  }
+  if (SCHEDULE_PATH) {
+    console.log(`  At-risk sessions (next ${HORIZON_DAYS}d): ${coloured(String(stats.atRisk.length), stats.atRisk.length > 0 ? "CRITICAL" : "OK")}`);
+  }
+  if (stats.recentlyConfirmed > 0) {
+    console.log(`  Self-registered (last ${TREND_CONFIG.compare_days}d): ${coloured(String(stats.recentlyConfirmed), "OK")}`);
+  }
 
   // ── By region ─────────────────────────────────────────────────
   console.log("\n" + "─".repeat(64));
@@ -319,18 +890,50 @@ function printComplianceSummary(analyses, stats) {
   }
 
   // ── Action items ──────────────────────────────────────────────
-  if (stats.twoPlusBehind > 0 || stats.oneBehind > 0) {
+  if (stats.twoPlusBehind > 0 || stats.oneBehind > 0 || stats.notCertified > 0 || stats.unknown > 0) {
     console.log("\n" + "─".repeat(64));
     console.log(coloured("  ACTION REQUIRED", "BOLD"));
     console.log("─".repeat(64) + "\n");
 
-    const critical = sorted.filter(a => a.urgency === "CRITICAL");
+    const blocked  = sorted.filter(a => a.blocked);
+    const direct   = sorted.filter(a => a.directContact);
+    const critical = sorted.filter(a => a.urgency === "CRITICAL" && !a.blocked);
     const high     = sorted.filter(a => a.urgency === "HIGH");
 
+    if (blocked.length > 0) {
+      console.log(coloured(`  BLOCKED — not certified for v${LATEST_MAJOR}.x, must not deliver:`, "CRITICAL", "BOLD"));
+      blocked.forEach(a => {
+        const cert = a.certification ? `certified v${a.certification.version} on ${formatDate(a.certification.date)}` : "no certification on record";
+        console.log(`    • ${a.trainer.name} (${a.trainer.region}) — ${versionLabel(a.trainer)}, ${cert}`);
+      });
+      console.log();
+    }
+
+    const unknown = sorted.filter(a => a.urgency === "UNKNOWN");
+    if (unknown.length > 0) {
+      console.log(coloured("  UNKNOWN — fix the trainer record before anything else:", "UNKNOWN"));
+      unknown.forEach(a => {
+        console.log(`    • ${a.trainer.name} (${a.trainer.region}) — ${a.versionIssue.problem}. ${a.versionIssue.fix}`);
+      });
+      console.log();
+    }
+
+    if (direct.length > 0) {
+      console.log(coloured("  DIRECT CONTACT — repeated notifications unanswered:", "CRITICAL", "BOLD"));
+      direct.forEach(a => {
+        console.log(`    • ${a.trainer.name} (${a.trainer.region}) — ${a.unanswered} notifications since ${formatDate(a.firstUnanswered)}, still on ${versionLabel(a.trainer)}`);
+      });
+      console.log();
+    }
+
+    const nextSessionNote = a => a.nextSession
+      ? `, next session ${formatDate(a.nextSession.date)} (${daysLabelUntil(a.daysToNextSession)})`
+      : "";
+
     if (critical.length > 0) {
       console.log(coloured("  CRITICAL — contact before their next session:", "CRITICAL"));
       critical.forEach(a => {
-        console.log(`    • ${a.trainer.name} (${a.trainer.region}) — v${a.trainer.current_version}, last active ${a.daysSince} days ago`);
+        console.log(`    • ${a.trainer.name} (${a.trainer.region}) — ${versionLabel(a.trainer)}, last active ${a.daysSince} days ago${nextSessionNote(a)}`);
       });
       console.log();
     }
@@ -338,17 +941,151 @@ function printComplianceSummary(analyses, stats) {
     if (high.length > 0) {
       console.log(coloured("  HIGH — send notification this week:", "HIGH"));
       high.forEach(a => {
-        console.log(`    • ${a.trainer.name} (${a.trainer.region}) — v${a.trainer.current_version}, last active ${a.daysSince} days ago`);
+        console.log(`    • ${a.trainer.name} (${a.trainer.region}) — ${versionLabel(a.trainer)}, last active ${a.daysSince} days ago${nextSessionNote(a)}`);
       });
       console.log();
     }
   }
+
+  // ── At-risk sessions ──────────────────────────────────────────
+  if (SCHEDULE_PATH) {
+    console.log("\n" + "─".repeat(64));
+    console.log(coloured(`  AT-RISK SESSIONS (next ${HORIZON_DAYS} days)`, "BOLD"));
+    console.log("─".repeat(64) + "\n");
+
+    if (stats.atRisk.length === 0) {
+      console.log(coloured("  No upcoming sessions on outdated materials.", "OK"));
+    }
+    for (const { session, analysis: a, daysUntil } of stats.atRisk) {
+      const when = `${formatDate(session.date)}  ${daysLabelUntil(daysUntil)}`.padEnd(26);
+      const what = session.title ? coloured(`  — ${session.title}`, "DIM") : "";
+      console.log(`  ${when}${a.trainer.name.padEnd(20)}  ${versionLabel(a.trainer).padEnd(9)}  ${coloured(a.status, a.urgency)}${what}`);
+    }
+  }
+}
+
+function describeAlert(alert) {
+  const was = alert.previousPct === null ? "" : ` (was ${alert.previousPct}%)`;
+  if (alert.state === "RECOVERED") {
+    return `${alert.scope} compliance back to ${alert.pct}%${was} — above ${alert.below}% again.`;
+  }
+  return `${alert.scope} compliance ${alert.pct}%${was} — below ${alert.below}%. ${alert.action}`;
+}
+
+function printComplianceTrend(trend) {
+  console.log("\n" + "─".repeat(64));
+  console.log(coloured("  COMPLIANCE TREND", "BOLD"));
+  console.log("─".repeat(64) + "\n");
+
+  if (!trend.baseline) {
+    console.log(coloured(AS_OF
+      ? `  No snapshot from before ${formatDate(AS_OF)} to compare with.`
+      : "  First snapshot recorded — week-over-week change starts with the next run.", "DIM"));
+  } else {
+    const days = daysSince(trend.baseline.date);
+    console.log(coloured(`  Change since ${formatDate(trend.baseline.date)} (${days} day${days === 1 ? "" : "s"} ago)`, "DIM") + "\n");
+
+    const line = (label, row) => {
+      const colour = row.change === null || row.change === 0 ? "DIM" : row.change > 0 ? "OK" : "CRITICAL";
+      const before = row.before === null ? "—" : `${row.before}%`;
+      console.log(`  ${label.padEnd(8)}  ${before.padStart(4)} → ${`${row.pct}%`.padStart(4)}  ${coloured(formatChange(row.change, " pts"), colour)}`);
+    };
+    line("Overall", trend.overall);
+    trend.regions.forEach(r => line(r.region, r));
+
+    const urgencies = trend.urgencies
+      .map(u => `${u.urgency} ${u.count} (${formatChange(u.change)})`)
+      .join("  ·  ");
+    console.log(`\n  By urgency: ${urgencies}`);
+  }
+
+  if (trend.alerts.length > 0) {
+    console.log(coloured("\n  ALERTS", "BOLD"));
+    const colour = { WARNING: "HIGH", CRITICAL: "CRITICAL", OK: "OK" };
+    for (const alert of trend.alerts) {
+      const marker = alert.fired ? "▲" : alert.state === "RECOVERED" ? "✓" : "•";
+      const label  = `${alert.state} ${alert.level}`.padEnd(18);
+      console.log(`  ${coloured(`${marker} ${label}`, colour[alert.level], alert.fired ? "BOLD" : "")}${describeAlert(alert)}`);
+    }
+  }
+}
+
+function printSignals(signals) {
+  console.log("\n" + "─".repeat(64));
+  console.log(coloured("  SIGNALS REQUIRING ACTION (within 48 hours)", "BOLD"));
+  console.log("─".repeat(64) + "\n");
+
+  if (signals.length === 0) {
+    console.log(coloured("  None.", "OK"));
+    return;
+  }
+  const colour = { WARNING: "HIGH", CRITICAL: "CRITICAL" };
+  signals.forEach((signal, i) => {
+    console.log(`${i > 0 ? "\n" : ""}  ${coloured(signal.level.padEnd(9), colour[signal.level], "BOLD")}${signal.title}`);
+    signal.evidence.forEach(e => console.log(coloured(`             ${e}`, "DIM")));
+    console.log(`             → ${signal.action}`);
+  });
+}
+
+function printReconciliation(rec) {
+  console.log("\n" + "─".repeat(64));
+  console.log(coloured(`  FEEDBACK RECONCILIATION (${rec.rows} feedback row${rec.rows === 1 ? "" : "s"})`, "BOLD"));
+  console.log("─".repeat(64) + "\n");
+
+  const target = RECONCILE_CONFIG.submission_target_pct;
+  const overall = rec.overallRatePct === null ? "—" : `${rec.overallRatePct}%`;
+  console.log(`  Feedback submission rate: ${coloured(overall, rec.overallRatePct !== null && rec.overallRatePct < target ? "HIGH" : "OK")} ${coloured(`(target >${target}%)`, "DIM")}`);
+
+  if (rec.offVersion.length > 0) {
+    console.log(coloured(`\n  Off-version deliveries (${rec.offVersion.length}):`, "CRITICAL"));
+    for (const o of rec.offVersion) {
+      const shown = normalizeVersion(o.row.guide_version) ? `v${o.row.guide_version}` : `"${o.row.guide_version}"`;
+      console.log(`    • ${o.row.session_date}  ${o.trainer.name.padEnd(20)}  ${shown} — ${o.problem.toLowerCase()}: ${o.detail}`);
+    }
+  } else {
+    console.log(coloured("\n  Every session was delivered on the version current that day.", "OK"));
+  }
+
+  const low = rec.submission.filter(s => s.belowTarget || s.overCount);
+  if (low.length > 0) {
+    console.log(coloured(`\n  Submission rate below ${target}% or over-counted (${low.length}):`, "HIGH"));
+    for (const s of low) {
+      const note = s.overCount ? coloured("  more forms than sessions — check sessions_delivered", "DIM") : "";
+      console.log(`    • ${s.trainer.name.padEnd(20)}  ${`${s.received}/${s.delivered}`.padStart(5)}  ${`${s.ratePct ?? "—"}%`.padStart(5)}${note}`);
+    }
+  }
+
+  if (rec.notInRoster.length > 0) {
+    console.log(coloured(`\n  In feedback, not in ${path.basename(INPUT_PATH)} (${rec.notInRoster.length}):`, "HIGH"));
+    rec.notInRoster.forEach(n => console.log(`    • ${n.name} — ${n.sessions.length} session${n.sessions.length === 1 ? "" : "s"}`));
+  }
+  if (rec.noFeedback.length > 0) {
+    console.log(coloured(`\n  In ${path.basename(INPUT_PATH)}, no feedback on file (${rec.noFeedback.length}):`, "DIM"));
+    rec.noFeedback.forEach(t => console.log(`    • ${t.name} — ${t.sessions_delivered || 0} session${t.sessions_delivered === 1 ? "" : "s"} delivered`));
+  }
+}
+
+function printReleaseAdoption(adoption) {
+  if (adoption.length === 0) return;
+  console.log("\n" + "─".repeat(64));
+  console.log(coloured(`  RELEASE ADOPTION (days to ${TREND_CONFIG.target_pct}% on that version or later)`, "BOLD"));
+  console.log("─".repeat(64) + "\n");
+
+  for (const r of adoption) {
+    const result = r.reached
+      ? coloured(`${r.days} day${r.days === 1 ? "" : "s"} (${formatDate(r.reached)})`, "OK")
+      : coloured(`not yet — ${r.pct}% after ${daysSince(r.released)} days`, "HIGH");
+    console.log(`  v${r.version.padEnd(7)} released ${formatDate(r.released).padEnd(12)}  ${result}`);
+  }
 }
 
 function printEmailPreviews(analyses) {
-  const outdated = analyses.filter(a => a.needsUpdate);
+  const outdated   = analyses.filter(a => a.notify);
+  const suppressed = analyses.filter(a => a.suppressed);
   if (outdated.length === 0) {
-    console.log("\n  All trainers are on the current version. No notifications needed.");
+    console.log(suppressed.length > 0
+      ? `\n  No new notifications. ${suppressed.length} suppressed — already sent within the last ${COOLDOWN_DAYS} days.`
+      : "\n  All trainers are on the current version. No notifications needed.");
     return;
   }
 
@@ -362,22 +1099,138 @@ function printEmailPreviews(analyses) {
 
     console.log(`\n  ${"─".repeat(60)}`);
     console.log(`  ${coloured("TO:", "BOLD")}      ${trainer.name} <${trainer.email}>`);
-    console.log(`  ${coloured("URGENCY:", "BOLD")} ${coloured(urgency, urgencyColour)}`);
+    console.log(`  ${coloured("URGENCY:", "BOLD")} ${coloured(urgency, urgencyColour)}${a.escalated ? coloured(` (escalated from ${a.baseUrgency})`, "DIM") : ""}`);
     console.log(`  ${coloured("SUBJECT:", "BOLD")} ${email.subject}`);
     console.log(`  ${coloured("BODY:", "BOLD")}`);
     console.log();
     email.body.split("\n").forEach(line => console.log(`    ${line}`));
   }
+
+  if (suppressed.length > 0) {
+    console.log(`\n  ${suppressed.length} more suppressed — already sent within the last ${COOLDOWN_DAYS} days.`);
+  }
+}
+
+function printDeliveryResults(results, resultsPath) {
+  console.log("\n" + "═".repeat(64));
+  console.log(coloured(`  EMAIL DELIVERY${DRY_RUN ? " (dry run — nothing sent)" : ""}`, "BOLD"));
+  console.log("═".repeat(64) + "\n");
+
+  if (results.length === 0) {
+    console.log("  No notifications to deliver.");
+    return;
+  }
+
+  const statusColour = { sent: "OK", failed: "CRITICAL", "dry-run": "DIM" };
+  for (const r of results) {
+    const detail = r.status === "failed" ? r.error : r.status === "sent" ? r.response : r.eml;
+    console.log(`  ${coloured(r.status.toUpperCase().padEnd(8), statusColour[r.status])}  ${r.trainer.padEnd(20)}  ${coloured(detail, "DIM")}`);
+  }
+
+  const sent   = results.filter(r => r.status === "sent").length;
+  const failed = results.filter(r => r.status === "failed").length;
+  console.log();
+  if (!DRY_RUN) console.log(`  Sent: ${sent}  |  Failed: ${failed}`);
+  console.log(`  Outbox: ${OUTBOX_DIR}/  |  Results: ${resultsPath}`);
+  if (!DRY_RUN && sent > 0) console.log(`  Ledger: ${LEDGER_PATH}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  TEMPLATE PREVIEW
+//  --preview-templates renders every template for every trainer on the
+//  roster, whatever their status, so wording changes can be reviewed
+//  before anything is sent. Nothing is recorded or delivered.
+// ═══════════════════════════════════════════════════════════════════
+
+function previewTemplates(analyses) {
+  return analyses.map(a => ({
+    trainer: a.trainer,
+    chain:   templateChain(a.trainer),
+    renders: TEMPLATE_NAMES.map(name => {
+      try {
+        return { name, ...generateEmail(a.trainer, a, name) };
+      } catch (e) {
+        return { name, error: [e.message, ...(e.problems || [])].join(" ") };
+      }
+    }),
+  }));
+}
+
+// Template folders missing a file their trainers then get from a less
+// specific folder, e.g. { variant: "fr", missing: ["recertification"] }
+function incompleteVariants() {
+  if (!fs.existsSync(TEMPLATES_DIR)) return [];
+  return fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter(d => d.isDirectory() && d.name !== "default")
+    .map(d => ({
+      variant: d.name,
+      missing: TEMPLATE_NAMES.filter(name => !fs.existsSync(path.join(TEMPLATES_DIR, d.name, `${name}.txt`))),
+    }))
+    .filter(v => v.missing.length > 0);
+}
+
+function printTemplatePreview(previews, previewPath) {
+  const renders = previews.flatMap(p => p.renders);
+  const failed  = renders.filter(r => r.error);
+
+  console.log("\n" + "═".repeat(64));
+  console.log(coloured(`  EMAIL TEMPLATE PREVIEW (${renders.length} rendered, ${failed.length} failed)`, "BOLD"));
+  console.log("═".repeat(64) + "\n");
+  console.log(coloured(`  Templates: ${TEMPLATES_DIR}/  ·  fallback: locale → language → region → default`, "DIM") + "\n");
+
+  for (const p of previews) {
+    const used = p.renders.map(r => r.error
+      ? coloured(`${r.name}: FAILED`, "CRITICAL")
+      : `${r.name}: ${path.basename(path.dirname(r.template))}`);
+    console.log(`  ${p.trainer.name.padEnd(20)}  ${coloured(p.chain.join(" → ").padEnd(28), "DIM")}  ${used.join("  ")}`);
+  }
+
+  if (failed.length > 0) {
+    console.log(coloured("\n  FAILED", "CRITICAL"));
+    const errors = [...new Set(failed.map(r => r.error))];
+    errors.forEach(e => console.log(`    • ${e}`));
+  }
+
+  const incomplete = incompleteVariants();
+  if (incomplete.length > 0) {
+    console.log(coloured("\n  FALLING BACK — these folders don't have every template:", "HIGH"));
+    incomplete.forEach(v => console.log(`    • ${v.variant}/: no ${v.missing.map(n => `${n}.txt`).join(", ")} (a less specific folder's is used)`));
+  }
+  console.log(`\n  Preview saved: ${previewPath}\n`);
+}
+
+function generatePreviewMarkdown(previews) {
+  let md = `# Email Template Preview\n\n`;
+  md += `**Generated:** ${today()}  \n`;
+  md += `**Templates:** \`${TEMPLATES_DIR}\`  \n`;
+  md += `**Roster:** \`${INPUT_PATH}\`\n\n`;
+  md += `Every template rendered for every trainer, whatever their current status — for reviewing wording, not a send list.\n\n---\n\n`;
+
+  for (const name of TEMPLATE_NAMES) {
+    md += `## ${name}\n\n`;
+    for (const p of previews) {
+      const r = p.renders.find(x => x.name === name);
+      md += `### ${p.trainer.name} — ${p.chain.join(" → ")}\n\n`;
+      if (r.error) {
+        md += `**Failed:** ${r.error}\n\n`;
+        continue;
+      }
+      md += `**Template:** \`${r.template}\`  \n`;
+      md += `**Subject:** ${r.subject}\n\n`;
+      md += "```\n" + r.body + "\n```\n\n";
+    }
+  }
+  return md;
 }
 
 // ═══════════════════════════════════════════════════════════════════
 //  MARKDOWN REPORT GENERATOR
 // ═══════════════════════════════════════════════════════════════════
 
-function generateMarkdownReport(analyses, stats) {
+function generateMarkdownReport(analyses, stats, trend, adoption, signals, reconciliation = null) {
   const urgencyOrder = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "OK", "UNKNOWN"];
   const sorted = [...analyses].sort((a, b) =>
-    urgencyOrder.indexOf(a.urgency) - urgencyOrder.indexOf(b.urgency)
+    urgencyOrder.indexOf(a.urgency) - urgencyOrder.indexOf(b.urgency) || b.blocked - a.blocked
   );
 
   const pct = (n) => `${n}/${stats.total} (${Math.round((n / stats.total) * 100)}%)`;
@@ -385,7 +1238,9 @@ function generateMarkdownReport(analyses, stats) {
   // ── Header ────────────────────────────────────────────────────
   let md = `# Version Compliance Report
 
-**Generated:** ${today()}
+${AS_OF
+  ? `**As of:** ${AS_OF} — rebuilt from each trainer's version history on ${new Date().toISOString().split("T")[0]}. Sessions delivered are today's totals.`
+  : `**Generated:** ${today()}`}
 **Latest version:** v${VERSION_CONFIG.latest_version}
 **Trainers tracked:** ${stats.total}
 
@@ -399,8 +1254,14 @@ function generateMarkdownReport(analyses, stats) {
 | One version behind | ${pct(stats.oneBehind)} |
 | Two or more versions behind | ${pct(stats.twoPlusBehind)} |
 | Stale (inactive >${STALE_DAYS} days) | ${pct(stats.stale)} |
-| Notifications queued | ${stats.needsUpdate} |
-
+| Not certified for v${LATEST_MAJOR}.x (blocked) | ${pct(stats.notCertified)} |
+| Unknown version (record needs fixing) | ${pct(stats.unknown)} |
+| Notifications queued | ${stats.queued} |
+| Suppressed (sent within ${COOLDOWN_DAYS} days) | ${stats.suppressed} |
+| Escalated for non-response | ${stats.escalated} |
+| Flagged for direct contact | ${stats.directContact} |
+| Self-registered updates (last ${TREND_CONFIG.compare_days} days) | ${stats.recentlyConfirmed} |
+${SCHEDULE_PATH ? `| At-risk sessions (next ${HORIZON_DAYS} days) | ${stats.atRisk.length} |\n` : ""}
 `;
 
   // ── By region ─────────────────────────────────────────────────
@@ -413,41 +1274,247 @@ function generateMarkdownReport(analyses, stats) {
   }
   md += "\n---\n\n";
 
+  // ── Signals ───────────────────────────────────────────────────
+  md += `## Signals Requiring Action\n\n`;
+  if (signals.length === 0) {
+    md += `None of the immediate-action signals fired.\n\n`;
+  } else {
+    md += `Each needs a response within 48 hours.\n\n`;
+    for (const signal of signals) {
+      md += `**${signal.level}: ${signal.title}**\n\n`;
+      md += signal.evidence.map(e => `- ${e}`).join("\n") + "\n\n";
+      md += `Action: ${signal.action}\n\n`;
+    }
+  }
+  md += "---\n\n";
+
+  // ── Trend ─────────────────────────────────────────────────────
+  md += `## Compliance Trend\n\n`;
+  if (!trend.baseline) {
+    md += AS_OF
+      ? `No snapshot from before ${formatDate(AS_OF)} to compare with.\n\n`
+      : `First snapshot recorded. Week-over-week change appears from the next run.\n\n`;
+  } else {
+    const before = v => v === null ? "—" : `${v}%`;
+    md += `Change since ${formatDate(trend.baseline.date)} (${daysSince(trend.baseline.date)} days earlier).\n\n`;
+    md += `| Scope | Then | Now | Change |\n`;
+    md += `|---|---|---|---|\n`;
+    md += `| **Overall** | ${before(trend.overall.before)} | ${trend.overall.pct}% | ${formatChange(trend.overall.change, " pts")} |\n`;
+    for (const r of trend.regions) {
+      md += `| ${r.region} | ${before(r.before)} | ${r.pct}% | ${formatChange(r.change, " pts")} |\n`;
+    }
+    md += `\n| Urgency | Then | Now | Change |\n`;
+    md += `|---|---|---|---|\n`;
+    for (const u of trend.urgencies) {
+      md += `| ${u.urgency} | ${u.before ?? "—"} | ${u.count} | ${formatChange(u.change)} |\n`;
+    }
+    md += "\n";
+  }
+
+  if (trend.alerts.length > 0) {
+    md += `### Alerts\n\n`;
+    for (const alert of trend.alerts) {
+      const label = alert.fired ? `**${alert.state} — ${alert.level}**` : `${alert.state} — ${alert.level}`;
+      md += `- ${label}: ${describeAlert(alert)}\n`;
+    }
+    md += "\n";
+  }
+  md += "---\n\n";
+
+  // ── Release adoption ──────────────────────────────────────────
+  if (adoption.length > 0) {
+    md += `## Release Adoption\n\n`;
+    md += `Days from each release until ${TREND_CONFIG.target_pct}% of trainers were on it or a later version. The last column is the share on ${formatDate(today())}.\n\n`;
+    md += `| Version | Released | Reached ${TREND_CONFIG.target_pct}% | Days | On It or Later |\n`;
+    md += `|---|---|---|---|---|\n`;
+    for (const r of adoption) {
+      md += `| v${r.version} | ${formatDate(r.released)} | ${r.reached ? formatDate(r.reached) : "Not yet"} | ${r.days ?? `${daysSince(r.released)}+`} | ${r.pct}% |\n`;
+    }
+    md += "\n---\n\n";
+  }
+
+  // ── At-risk sessions ──────────────────────────────────────────
+  if (SCHEDULE_PATH) {
+    md += `## At-Risk Sessions (next ${HORIZON_DAYS} days)\n\n`;
+    if (stats.atRisk.length === 0) {
+      md += `No upcoming sessions will run on outdated materials.\n\n`;
+    } else {
+      md += `These sessions are scheduled with a trainer who is not on v${VERSION_CONFIG.latest_version}, not certified, or on an unrecognised version. Get the trainer updated before the date, or arrange cover.\n\n`;
+      md += `| Date | When | Trainer | Session | Version | Status | Urgency |\n`;
+      md += `|---|---|---|---|---|---|---|\n`;
+      for (const { session, analysis: a, daysUntil } of stats.atRisk) {
+        md += `| ${formatDate(session.date)} | ${daysLabelUntil(daysUntil)} | ${a.trainer.name} | ${session.title || "—"} | ${versionLabel(a.trainer)} | ${a.blocked ? "**NOT CERTIFIED**" : a.status} | ${a.urgency} |\n`;
+      }
+      md += "\n";
+    }
+    md += "---\n\n";
+  }
+
   // ── Full trainer table ────────────────────────────────────────
   md += `## Trainer Status\n\n`;
-  md += `| Name | Region | Version | Status | Last Active | Sessions | Urgency |\n`;
-  md += `|---|---|---|---|---|---|---|\n`;
+  md += `| Name | Region | Version | Status | Certified | Last Active | Sessions | Urgency | Previously Notified | Last Confirmed |\n`;
+  md += `|---|---|---|---|---|---|---|---|---|---|\n`;
 
   for (const a of sorted) {
     const daysLabel = a.daysSince === 0 ? "Today"
       : a.daysSince === 1 ? "1 day ago"
       : `${a.daysSince} days ago`;
     const staleFlag = a.isStale ? " ⚠" : "";
+    const urgencyLabel = a.escalated ? `${a.urgency} ↑ (from ${a.baseUrgency})` : a.urgency;
+    const notifiedLabel = a.previousNotices > 0
+      ? `${a.previousNotices}× (last ${formatDate(a.lastNotified)})${a.suppressed ? " — in cooldown" : ""}`
+      : "—";
 
-    md += `| ${a.trainer.name} | ${a.trainer.region} | v${a.trainer.current_version} | ${a.status} | ${daysLabel}${staleFlag} | ${a.trainer.sessions_delivered} | ${a.urgency} |\n`;
+    const c = a.lastConfirmed;
+    const confirmedLabel = !c ? "—"
+      : c.from_version === c.to_version ? `v${c.to_version} re-confirmed (${formatDate(c.at)})`
+      : `v${c.from_version} → v${c.to_version} (${formatDate(c.at)})`;
+
+    const certLabel = a.certification
+      ? `v${a.certification.version} (${formatDate(a.certification.date)})`
+      : "—";
+
+    md += `| ${a.trainer.name} | ${a.trainer.region} | ${versionLabel(a.trainer)} | ${a.blocked ? "**NOT CERTIFIED**" : a.status} | ${certLabel} | ${daysLabel}${staleFlag} | ${a.trainer.sessions_delivered} | ${urgencyLabel} | ${notifiedLabel} | ${confirmedLabel} |\n`;
   }
   md += "\n---\n\n";
 
+  // ── Unknown versions ──────────────────────────────────────────
+  const unknown = sorted.filter(a => a.urgency === "UNKNOWN");
+  if (unknown.length > 0) {
+    md += `## Unknown Versions (${unknown.length})\n\n`;
+    md += `These trainer records can't be matched to a published release, so their compliance can't be judged. Fix the record in \`${path.basename(INPUT_PATH)}\`.\n\n`;
+    md += `| Name | Region | Recorded | Problem | Suggested Fix |\n`;
+    md += `|---|---|---|---|---|\n`;
+    for (const a of unknown) {
+      md += `| ${a.trainer.name} | ${a.trainer.region} | \`${a.versionIssue.recorded}\` | ${a.versionIssue.problem} | ${a.versionIssue.fix} |\n`;
+    }
+    md += "\n---\n\n";
+  }
+
+  // Recognised, but written in a non-canonical form — fine for this run
+  const tidy = sorted.filter(a => a.versionIssue?.known);
+  if (tidy.length > 0) {
+    md += `## Version Records to Tidy (${tidy.length})\n\n`;
+    md += `Recognised and analysed, but not written in canonical form:\n\n`;
+    for (const a of tidy) {
+      md += `- **${a.trainer.name}** — ${a.versionIssue.problem}. ${a.versionIssue.fix}\n`;
+    }
+    md += "\n---\n\n";
+  }
+
+  // ── Blocked trainers ──────────────────────────────────────────
+  const blocked = sorted.filter(a => a.blocked);
+  if (blocked.length > 0) {
+    md += `## Blocked: Re-certification Required (${blocked.length})\n\n`;
+    md += `Delivering v${LATEST_MAJOR}.x requires a v${LATEST_MAJOR}.x certification. These trainers don't hold one and must not deliver until they are certified.\n\n`;
+    md += `| Name | Region | Version | Last Certification | Assessor |\n`;
+    md += `|---|---|---|---|---|\n`;
+    for (const a of blocked) {
+      const c = a.certification;
+      md += `| ${a.trainer.name} | ${a.trainer.region} | ${versionLabel(a.trainer)} | ${c ? `v${c.version}, ${formatDate(c.date)}` : "None on record"} | ${c?.assessor || "—"} |\n`;
+    }
+    md += "\n---\n\n";
+  }
+
+  // ── Direct contact ────────────────────────────────────────────
+  const direct = sorted.filter(a => a.directContact);
+  if (direct.length > 0) {
+    md += `## Direct Contact Required (${direct.length})\n\n`;
+    md += `These trainers have received ${NOTIFY_CONFIG.escalate_after}+ notifications at the top urgency tier without updating. Email is not working — call or message them directly.\n\n`;
+    for (const a of direct) {
+      md += `- **${a.trainer.name}** (${a.trainer.region}) — ${a.unanswered} unanswered notifications since ${formatDate(a.firstUnanswered)}, still on ${versionLabel(a.trainer)}\n`;
+    }
+    md += "\n---\n\n";
+  }
+
+  // ── Feedback reconciliation ───────────────────────────────────
+  if (reconciliation) {
+    const rec    = reconciliation;
+    const target = RECONCILE_CONFIG.submission_target_pct;
+    md += `## Feedback Reconciliation\n\n`;
+    md += `${rec.rows} feedback row${rec.rows === 1 ? "" : "s"} from \`${path.basename(FEEDBACK_PATH)}\` joined to \`${path.basename(INPUT_PATH)}\`. `;
+    md += `Overall submission rate: **${rec.overallRatePct === null ? "—" : `${rec.overallRatePct}%`}** (target >${target}%).\n\n`;
+
+    md += `### Off-Version Deliveries (${rec.offVersion.length})\n\n`;
+    if (rec.offVersion.length === 0) {
+      md += `Every session was delivered on the version current that day.\n\n`;
+    } else {
+      md += `| Session | Date | Trainer | Delivered | Current That Day | Problem |\n`;
+      md += `|---|---|---|---|---|---|\n`;
+      for (const o of rec.offVersion) {
+        md += `| ${o.row.session_id || "—"} | ${formatDate(o.row.session_date)} | ${o.trainer.name} | \`${o.row.guide_version}\` | ${o.current ? `v${o.current}` : "—"} | ${o.problem} — ${o.detail} |\n`;
+      }
+      md += "\n";
+    }
+
+    md += `### Submission Rate by Trainer\n\n`;
+    md += `| Trainer | Feedback Forms | Sessions Delivered | Rate |\n`;
+    md += `|---|---|---|---|\n`;
+    for (const s of [...rec.submission].sort((a, b) => (a.ratePct ?? Infinity) - (b.ratePct ?? Infinity))) {
+      const rate = s.ratePct === null ? "—" : `${s.ratePct}%`;
+      const flag = s.overCount ? " ⚠ more forms than sessions" : s.belowTarget ? " ⚠" : "";
+      md += `| ${s.trainer.name} | ${s.received} | ${s.delivered} | ${rate}${flag} |\n`;
+    }
+    md += "\n";
+
+    if (rec.notInRoster.length > 0) {
+      md += `### In Feedback, Not in Trainer Records (${rec.notInRoster.length})\n\n`;
+      md += `Add these trainers to \`${path.basename(INPUT_PATH)}\`, or correct the name in the feedback form.\n\n`;
+      for (const n of rec.notInRoster) {
+        md += `- **${n.name}** — ${n.sessions.map(r => r.session_id || r.session_date).join(", ")}\n`;
+      }
+      md += "\n";
+    }
+    if (rec.noFeedback.length > 0) {
+      md += `### In Trainer Records, No Feedback on File (${rec.noFeedback.length})\n\n`;
+      for (const t of rec.noFeedback) {
+        md += `- **${t.name}** (${t.region}) — ${t.sessions_delivered || 0} session${t.sessions_delivered === 1 ? "" : "s"} delivered\n`;
+      }
+      md += "\n";
+    }
+    md += "---\n\n";
+  }
+
   // ── Email notifications ───────────────────────────────────────
-  const outdated = sorted.filter(a => a.needsUpdate);
+  const outdated   = sorted.filter(a => a.notify);
+  const suppressed = sorted.filter(a => a.suppressed);
 
   if (outdated.length > 0) {
     md += `## Email Notifications (${outdated.length})\n\n`;
-    md += `Ready to send. Copy each block and paste into your email client or bulk sender.\n\n`;
+    if (outdated.some(a => a.delivery)) {
+      md += DRY_RUN
+        ? `Rendered to the outbox as .eml files (dry run — nothing sent).\n\n`
+        : `Delivered over SMTP. Delivery result is shown per trainer.\n\n`;
+    } else {
+      md += `Ready to send. Copy each block and paste into your email client or bulk sender.\n\n`;
+    }
 
     for (const a of outdated) {
       const { email, trainer, urgency } = a;
-      md += `### ${trainer.name} — ${urgency}\n\n`;
+      md += `### ${trainer.name} — ${urgency}${a.escalated ? ` (escalated from ${a.baseUrgency})` : ""}\n\n`;
       md += `**To:** ${trainer.name} <${trainer.email}>\n`;
-      md += `**Subject:** ${email.subject}\n\n`;
+      md += `**Subject:** ${email.subject}\n`;
+      md += `**Template:** \`${email.template}\`\n`;
+      if (a.delivery) {
+        const d = a.delivery;
+        const detail = d.status === "failed" ? d.error : d.status === "sent" ? d.response : "not sent";
+        md += `**Delivery:** ${d.status} — ${detail} (\`${d.eml}\`)\n`;
+      }
+      md += "\n";
       md += "```\n";
       md += email.body;
       md += "\n```\n\n";
     }
+  } else if (suppressed.length > 0) {
+    md += `## Email Notifications\n\nNo new notifications. All outdated trainers were already notified within the last ${COOLDOWN_DAYS} days.\n\n`;
   } else {
     md += `## Email Notifications\n\nAll trainers are on the current version. No notifications required.\n\n`;
   }
 
+  if (outdated.length > 0 && suppressed.length > 0) {
+    md += `*${suppressed.length} further notification${suppressed.length > 1 ? "s" : ""} suppressed — sent within the last ${COOLDOWN_DAYS} days: ${suppressed.map(a => a.trainer.name).join(", ")}.*\n\n`;
+  }
+
   // ── Version history reference ─────────────────────────────────
   md += `---\n\n## Version History\n\n`;
   for (const [v, notes] of Object.entries(VERSION_CONFIG.release_notes)) {
@@ -458,10 +1525,281 @@ function generateMarkdownReport(analyses, stats) {
   return md;
 }
 
+// ═══════════════════════════════════════════════════════════════════
+//  STRUCTURED OUTPUT
+//  --format json exposes every analysis and the aggregate stats for
+//  other tooling; --format csv is one row per trainer for spreadsheets.
+// ═══════════════════════════════════════════════════════════════════
+
+// Report file for a format: the --output path itself for markdown,
+// the same path with the format's extension otherwise
+function reportPath(format) {
+  if (format === "md") return OUTPUT_PATH;
+  const ext = path.extname(OUTPUT_PATH);
+  return `${ext ? OUTPUT_PATH.slice(0, -ext.length) : OUTPUT_PATH}.${format}`;
+}
+
+function generateJsonReport(analyses, stats, trend, adoption, signals, reconciliation = null) {
+  const report = {
+    generatedAt:   new Date().toISOString(),
+    asOf:          today(),
+    rebuilt:       Boolean(AS_OF),
+    latestVersion: VERSION_CONFIG.latest_version,
+    staleDays:     STALE_DAYS,
+    stats: {
+      ...stats,
+      // Sessions point back at analyses — list them by trainer instead
+      atRisk: stats.atRisk.map(({ session, analysis: a, daysUntil }) => ({
+        date: session.date, title: session.title, daysUntil,
+        trainer: a.trainer.name, email: a.trainer.email, urgency: a.urgency,
+      })),
+    },
+    trend,
+    signals,
+    adoption,
+    trainers: analyses,
+  };
+
+  if (reconciliation) {
+    report.reconciliation = {
+      ...reconciliation,
+      offVersion: reconciliation.offVersion.map(({ row, trainer, ...check }) => ({ ...check, session: row, trainer: trainer.name })),
+      submission: reconciliation.submission.map(({ trainer, ...s }) => ({ trainer: trainer.name, email: trainer.email, ...s })),
+      noFeedback: reconciliation.noFeedback.map(t => t.name),
+    };
+  }
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+const TRAINER_CSV_COLUMNS = [
+  ["name",               a => a.trainer.name],
+  ["email",              a => a.trainer.email],
+  ["region",             a => a.trainer.region],
+  ["current_version",    a => a.trainer.current_version],
+  ["status",             a => a.status],
+  ["urgency",            a => a.urgency],
+  ["base_urgency",       a => a.baseUrgency],
+  ["versions_behind",    a => a.behind],
+  ["major_behind",       a => a.majorBehind],
+  ["certified",          a => a.certified],
+  ["last_accessed",      a => a.trainer.last_accessed],
+  ["days_since_access",  a => a.daysSince],
+  ["stale",              a => a.isStale],
+  ["sessions_delivered", a => a.trainer.sessions_delivered],
+  ["next_session",       a => a.nextSession?.date],
+  ["needs_update",       a => a.needsUpdate],
+  ["notify",             a => a.notify],
+  ["suppressed",         a => a.suppressed],
+  ["escalated",          a => a.escalated],
+  ["direct_contact",     a => a.directContact],
+  ["previous_notices",   a => a.previousNotices],
+  ["last_notified",      a => a.lastNotified],
+  ["last_confirmed",     a => a.lastConfirmed?.at],
+];
+
+// RFC 4180: quote fields containing a comma, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function generateCsvReport(analyses) {
+  const lines = [
+    TRAINER_CSV_COLUMNS.map(([header]) => header).join(","),
+    ...analyses.map(a => TRAINER_CSV_COLUMNS.map(([, value]) => csvField(value(a))).join(",")),
+  ];
+  return lines.join("\r\n") + "\r\n";
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  HTML REPORT GENERATOR
+//  A single self-contained file — inline styles and script, no
+//  external assets — so it can be emailed or attached to a ticket.
+//  Click a column heading in the trainer or region table to sort.
+// ═══════════════════════════════════════════════════════════════════
+
+const HTML_URGENCY_COLOURS = {
+  CRITICAL: "#dc2626", HIGH: "#d97706", MEDIUM: "#0891b2", LOW: "#2563eb", OK: "#16a34a", UNKNOWN: "#9333ea",
+};
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, c => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  })[c]);
+}
+
+// A cell with an explicit sort key, so "12 days ago" sorts as 12
+function cell(content, sortValue = null) {
+  const attr = sortValue === null ? "" : ` data-sort="${escapeHtml(sortValue)}"`;
+  return `<td${attr}>${content}</td>`;
+}
+
+function badge(urgency) {
+  return `<span class="badge" style="background:${HTML_URGENCY_COLOURS[urgency] || "#64748b"}">${escapeHtml(urgency)}</span>`;
+}
+
+function generateHtmlReport(analyses, stats, trend, adoption, signals) {
+  const urgencyOrder = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "OK", "UNKNOWN"];
+  const sorted = [...analyses].sort((a, b) =>
+    urgencyOrder.indexOf(a.urgency) - urgencyOrder.indexOf(b.urgency) || b.blocked - a.blocked
+  );
+  const pct = n => compliancePct(n, stats.total);
+  const title = AS_OF ? `Version Compliance Report — as of ${AS_OF}` : "Version Compliance Report";
+
+  const cards = [
+    ["Trainers", stats.total, null],
+    [`On v${VERSION_CONFIG.latest_version}`, `${pct(stats.current)}%`, pct(stats.current) >= TREND_CONFIG.target_pct ? "OK" : "HIGH"],
+    ["Critical", stats.byUrgency.CRITICAL || 0, stats.byUrgency.CRITICAL ? "CRITICAL" : "OK"],
+    [`Not certified (v${LATEST_MAJOR}.x)`, stats.notCertified, stats.notCertified ? "CRITICAL" : "OK"],
+    ["Stale", stats.stale, stats.stale ? "LOW" : "OK"],
+    ["Notifications queued", stats.queued, null],
+  ];
+  if (SCHEDULE_PATH) cards.push([`At-risk sessions (${HORIZON_DAYS}d)`, stats.atRisk.length, stats.atRisk.length ? "CRITICAL" : "OK"]);
+
+  const trainerRows = sorted.map(a => `<tr>${[
+    cell(escapeHtml(a.trainer.name)),
+    cell(escapeHtml(a.trainer.region)),
+    cell(escapeHtml(versionLabel(a.trainer)), getVersionIndex(a.trainer.current_version) ?? -1),
+    cell(escapeHtml(a.status)),
+    cell(a.certification ? `v${escapeHtml(a.certification.version)}` : "—"),
+    cell(`${a.daysSince} days${a.isStale ? " ⚠" : ""}`, a.daysSince),
+    cell(escapeHtml(a.trainer.sessions_delivered), a.trainer.sessions_delivered || 0),
+    cell(a.nextSession ? escapeHtml(formatDate(a.nextSession.date)) : "—", a.nextSession?.date || "9999"),
+    cell(badge(a.urgency) + (a.escalated ? ` <span class="dim">↑ from ${escapeHtml(a.baseUrgency)}</span>` : ""), urgencyOrder.indexOf(a.urgency)),
+    cell(a.previousNotices > 0 ? `${a.previousNotices}× (last ${escapeHtml(formatDate(a.lastNotified))})` : "—", a.previousNotices),
+  ].join("")}</tr>`).join("\n");
+
+  const regionRows = Object.entries(stats.byRegion).map(([region, r]) => {
+    const compliance = compliancePct(r.current, r.total);
+    return `<tr>${[
+      cell(escapeHtml(region)),
+      cell(r.current, r.current),
+      cell(r.total, r.total),
+      cell(`<span class="bar"><span style="width:${compliance}%"></span></span> ${compliance}%`, compliance),
+    ].join("")}</tr>`;
+  }).join("\n");
+
+  const alerts = trend.alerts.length === 0 ? "" : `
+<h2>Alerts</h2>
+<ul>
+${trend.alerts.map(alert => `<li>${alert.fired ? "<strong>" : ""}${escapeHtml(`${alert.state} — ${alert.level}`)}${alert.fired ? "</strong>" : ""}: ${escapeHtml(describeAlert(alert))}</li>`).join("\n")}
+</ul>`;
+
+  const signalList = signals.length === 0 ? "" : `
+<h2>Signals requiring action</h2>
+${signals.map(signal => `<p><strong style="color:${HTML_URGENCY_COLOURS[signal.level === "CRITICAL" ? "CRITICAL" : "HIGH"]}">${escapeHtml(signal.level)}</strong> ${escapeHtml(signal.title)}</p>
+<ul>
+${signal.evidence.map(e => `<li>${escapeHtml(e)}</li>`).join("\n")}
+</ul>
+<p class="dim">${escapeHtml(signal.action)}</p>`).join("\n")}`;
+
+  const adoptionTable = adoption.length === 0 ? "" : `
+<h2>Release adoption</h2>
+<p class="dim">Days from each release until ${TREND_CONFIG.target_pct}% of trainers were on it or a later version.</p>
+<table>
+<thead><tr><th>Version</th><th>Released</th><th>Reached ${TREND_CONFIG.target_pct}%</th><th>Days</th><th>On it or later</th></tr></thead>
+<tbody>
+${adoption.map(r => `<tr><td>v${escapeHtml(r.version)}</td><td>${escapeHtml(formatDate(r.released))}</td><td>${r.reached ? escapeHtml(formatDate(r.reached)) : "Not yet"}</td><td>${r.days ?? `${daysSince(r.released)}+`}</td><td>${r.pct}%</td></tr>`).join("\n")}
+</tbody>
+</table>`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #0f172a; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { margin-top: 2rem; }
+  .dim { color: #64748b; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 0.75rem; margin-top: 1.5rem; }
+  .card { border: 1px solid #e2e8f0; border-radius: 8px; padding: 0.75rem 1rem; }
+  .card .value { font-size: 1.6rem; font-weight: 600; }
+  .card .label { font-size: 0.85rem; color: #64748b; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.45rem 0.6rem; border-bottom: 1px solid #e2e8f0; }
+  th { background: #f8fafc; white-space: nowrap; }
+  table.sortable th { cursor: pointer; user-select: none; }
+  table.sortable th[aria-sort="ascending"]::after { content: " ▲"; }
+  table.sortable th[aria-sort="descending"]::after { content: " ▼"; }
+  .badge { color: #fff; border-radius: 4px; padding: 0.1rem 0.45rem; font-size: 0.8rem; font-weight: 600; }
+  .bar { display: inline-block; width: 80px; height: 8px; background: #e2e8f0; border-radius: 4px; vertical-align: middle; }
+  .bar span { display: block; height: 100%; background: #3b82f6; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="dim">Latest version v${escapeHtml(VERSION_CONFIG.latest_version)} · ${AS_OF ? `rebuilt from version history on ${new Date().toISOString().split("T")[0]}` : `generated ${today()}`} · stale after ${STALE_DAYS} days inactive</p>
+
+<div class="cards">
+${cards.map(([label, value, urgency]) => `<div class="card"><div class="value"${urgency ? ` style="color:${HTML_URGENCY_COLOURS[urgency]}"` : ""}>${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`).join("\n")}
+</div>
+${signalList}
+${alerts}
+
+<h2>Compliance by region</h2>
+<table class="sortable">
+<thead><tr><th>Region</th><th>Current</th><th>Total</th><th>Compliance</th></tr></thead>
+<tbody>
+${regionRows}
+</tbody>
+</table>
+
+<h2>Trainer status</h2>
+<table class="sortable">
+<thead><tr><th>Name</th><th>Region</th><th>Version</th><th>Status</th><th>Certified</th><th>Last active</th><th>Sessions</th><th>Next session</th><th>Urgency</th><th>Notified</th></tr></thead>
+<tbody>
+${trainerRows}
+</tbody>
+</table>
+${adoptionTable}
+
+<script>
+  // Sort on data-sort when a cell has one, else its text; numbers numerically
+  document.querySelectorAll("table.sortable").forEach(table => {
+    table.querySelectorAll("th").forEach((th, column) => {
+      th.addEventListener("click", () => {
+        const ascending = th.getAttribute("aria-sort") !== "ascending";
+        table.querySelectorAll("th").forEach(h => h.removeAttribute("aria-sort"));
+        th.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+
+        const key = row => {
+          const td = row.children[column];
+          const value = td.dataset.sort ?? td.textContent.trim();
+          return value !== "" && !isNaN(value) ? Number(value) : value.toLowerCase();
+        };
+        const body = table.tBodies[0];
+        [...body.rows]
+          .sort((a, b) => {
+            const x = key(a), y = key(b);
+            return (x < y ? -1 : x > y ? 1 : 0) * (ascending ? 1 : -1);
+          })
+          .forEach(row => body.appendChild(row));
+      });
+    });
+  });
+</script>
+</body>
+</html>
+`;
+}
+
 // ═══════════════════════════════════════════════════════════════════
 //  AGGREGATE STATS
 // ═══════════════════════════════════════════════════════════════════
 
+// Upcoming sessions inside the horizon whose trainer is outdated, blocked
+// or on an unrecognised version, soonest first
+function atRiskSessions(analyses) {
+  return analyses
+    .filter(a => a.needsUpdate || a.urgency === "UNKNOWN")
+    .flatMap(a => a.upcoming.map(session => ({ session, analysis: a, daysUntil: -daysSince(session.date) })))
+    .filter(r => r.daysUntil <= HORIZON_DAYS)
+    .sort((x, y) => x.session.date.localeCompare(y.session.date) || x.analysis.trainer.name.localeCompare(y.analysis.trainer.name));
+}
+
 function computeStats(analyses) {
   const total       = analyses.length;
   const current     = analyses.filter(a => a.behind === 0).length;
@@ -469,6 +1807,20 @@ function computeStats(analyses) {
   const twoPlusBehind = analyses.filter(a => a.behind !== null && a.behind >= 2).length;
   const stale       = analyses.filter(a => a.isStale).length;
   const needsUpdate = analyses.filter(a => a.needsUpdate).length;
+  const queued      = analyses.filter(a => a.notify).length;
+  const suppressed  = analyses.filter(a => a.suppressed).length;
+  const escalated   = analyses.filter(a => a.escalated).length;
+  const directContact = analyses.filter(a => a.directContact).length;
+  const notCertified  = analyses.filter(a => a.blocked).length;
+  const unknown       = analyses.filter(a => a.urgency === "UNKNOWN").length;
+  const majorBehind   = analyses.filter(a => a.majorBehind > 0).length;
+  const atRisk = atRiskSessions(analyses);
+  const recentlyConfirmed = analyses.filter(a =>
+    a.lastConfirmed && daysSince(a.lastConfirmed.at) < TREND_CONFIG.compare_days
+  ).length;
+
+  const byUrgency = {};
+  for (const a of analyses) byUrgency[a.urgency] = (byUrgency[a.urgency] || 0) + 1;
 
   // Group by region
   const byRegion = {};
@@ -479,14 +1831,329 @@ function computeStats(analyses) {
     if (a.behind === 0) byRegion[r].current++;
   }
 
-  return { total, current, oneBehind, twoPlusBehind, stale, needsUpdate, byRegion };
+  return {
+    total, current, oneBehind, twoPlusBehind, stale,
+    needsUpdate, queued, suppressed, escalated, directContact,
+    notCertified, majorBehind, unknown, recentlyConfirmed,
+    atRisk, byUrgency, byRegion,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  COMPLIANCE HISTORY
+//  Turns each run into a dated snapshot and compares it with earlier
+//  ones: change since last week, and which thresholds were crossed.
+// ═══════════════════════════════════════════════════════════════════
+
+function compliancePct(current, total) {
+  return total > 0 ? Math.round((current / total) * 100) : 0;
+}
+
+function buildSnapshot(stats) {
+  return {
+    date:           today(),
+    latest_version: VERSION_CONFIG.latest_version,
+    total:          stats.total,
+    current:        stats.current,
+    compliance_pct: compliancePct(stats.current, stats.total),
+    by_region: Object.fromEntries(Object.entries(stats.byRegion).map(([region, r]) => [
+      region,
+      { total: r.total, current: r.current, compliance_pct: compliancePct(r.current, r.total) },
+    ])),
+    by_urgency: { ...stats.byUrgency },
+  };
+}
+
+// The most severe threshold a compliance percentage is below, or null
+// (thresholds: least to most severe, from complianceThresholds())
+function breachedThreshold(pct, thresholds) {
+  if (pct === null || pct === undefined) return null;
+  return thresholds.filter(t => pct < t.below).at(-1) || null;
+}
+
+// NEW / WORSE fire the alert (a threshold was crossed since the previous
+// run); ONGOING / IMPROVED are still below a threshold; RECOVERED is back
+// above all of them.
+function thresholdAlert(scope, pct, previousPct, thresholds) {
+  const now    = breachedThreshold(pct, thresholds);
+  const before = breachedThreshold(previousPct, thresholds);
+  if (!now && !before) return null;
+
+  let state;
+  if (!now)                           state = "RECOVERED";
+  else if (!before)                   state = "NEW";
+  else if (now.below < before.below)  state = "WORSE";
+  else if (now.below > before.below)  state = "IMPROVED";
+  else                                state = "ONGOING";
+
+  const threshold = now || before;
+  return {
+    scope,
+    state,
+    fired:  state === "NEW" || state === "WORSE",
+    level:  now ? now.level : "OK",
+    below:  threshold.below,
+    pct,
+    previousPct: previousPct ?? null,
+    action: now ? now.action : null,
+  };
+}
+
+function complianceTrend(snapshot, history, thresholds) {
+  const previous = previousSnapshot(history, snapshot.date);
+  const baseline = baselineSnapshot(history, snapshot.date, TREND_CONFIG.compare_days);
+
+  const change = (now, before) => (before === undefined || before === null) ? null : now - before;
+
+  const regions = Object.entries(snapshot.by_region)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([region, r]) => {
+      const before = baseline?.by_region?.[region]?.compliance_pct;
+      return { region, pct: r.compliance_pct, before: before ?? null, change: change(r.compliance_pct, before) };
+    });
+
+  const urgencies = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "OK", "UNKNOWN"]
+    .filter(u => snapshot.by_urgency[u] || baseline?.by_urgency?.[u])
+    .map(u => {
+      const now = snapshot.by_urgency[u] || 0;
+      const before = baseline ? (baseline.by_urgency[u] || 0) : null;
+      return { urgency: u, count: now, before, change: change(now, before) };
+    });
+
+  const alerts = [
+    thresholdAlert("Overall", snapshot.compliance_pct, previous?.compliance_pct, thresholds),
+    ...regions.map(r => thresholdAlert(r.region, r.pct, previous?.by_region?.[r.region]?.compliance_pct, thresholds)),
+  ].filter(Boolean);
+
+  return {
+    baseline,
+    previous,
+    overall: {
+      pct:    snapshot.compliance_pct,
+      before: baseline?.compliance_pct ?? null,
+      change: change(snapshot.compliance_pct, baseline?.compliance_pct),
+    },
+    regions,
+    urgencies,
+    alerts,
+  };
+}
+
+function formatChange(change, unit = "") {
+  if (change === null) return "—";
+  if (change === 0) return `±0${unit}`;
+  return `${change > 0 ? "+" : "−"}${Math.abs(change)}${unit}`;
+}
+
+// How long each release after the first took to reach the compliance
+// target: the first day at least target_pct of trainers were on it or
+// a later version, rebuilt from each trainer's version_history
+function releaseAdoption(records) {
+  const adoptionOn = (version, date) => {
+    const known = records
+      .map(r => normalizeVersion(versionOn(r, date)))
+      .filter(v => v !== null && getVersionIndex(v) !== null);
+    return compliancePct(known.filter(v => compareVersions(v, version) >= 0).length, known.length);
+  };
+
+  return VERSION_CONFIG.version_history.slice(1).filter(v => !isPatch(v)).map(version => {
+    const released = VERSION_CONFIG.release_dates[version];
+    let reached = null;
+    for (let date = released; date <= today() && !reached; date = addDays(date, 1)) {
+      if (adoptionOn(version, date) >= TREND_CONFIG.target_pct) reached = date;
+    }
+    return {
+      version,
+      released,
+      reached,
+      days: reached ? daysSince(released) - daysSince(reached) : null,
+      pct:  adoptionOn(version, today()),
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  FEEDBACK RECONCILIATION
+//  Joins feedback.csv rows to trainer records. analyze-feedback.js
+//  trusts each row's guide_version; this checks it against what was
+//  current that day, and checks feedback against sessions_delivered.
+// ═══════════════════════════════════════════════════════════════════
+
+// Returns null when the session ran on the version current that day
+function checkDeliveredVersion(row) {
+  const current   = versionCurrentOn(row.session_date);
+  const delivered = normalizeVersion(row.guide_version);
+
+  if (delivered === null || getVersionIndex(delivered) === null) {
+    return { problem: "UNKNOWN", detail: `"${row.guide_version}" is not a published release`, current };
+  }
+  if (current === null) return null;  // before the first release — nothing to compare with
+  if (compareVersions(delivered, current) > 0) {
+    return {
+      problem: "NOT YET RELEASED",
+      detail: `v${delivered} was released ${formatDate(VERSION_CONFIG.release_dates[delivered])}, after this session`,
+      current,
+    };
+  }
+
+  const behind = versionsBehind(delivered, current);
+  if (behind === 0) return null;
+  const days = daysSince(VERSION_CONFIG.release_dates[current]) - daysSince(row.session_date);
+  return {
+    problem: `${behind} VERSION${behind > 1 ? "S" : ""} BEHIND`,
+    detail: `v${current} had been out ${days} day${days === 1 ? "" : "s"}`,
+    current,
+  };
+}
+
+function reconcileFeedback(rows, trainers) {
+  const offVersion  = [];
+  const notInRoster = new Map();   // trainer_name → rows
+  const byTrainer   = new Map(trainers.map(t => [t, []]));
+
+  for (const row of rows) {
+    const trainer = trainers.find(t => feedbackBelongsTo(row, t));
+    if (!trainer) {
+      const key = row.trainer_email || row.trainer_name;
+      notInRoster.set(key, [...(notInRoster.get(key) || []), row]);
+      continue;
+    }
+    byTrainer.get(trainer).push(row);
+
+    const check = checkDeliveredVersion(row);
+    if (check) offVersion.push({ row, trainer, ...check });
+  }
+
+  const submission = trainers.map(trainer => {
+    const received  = byTrainer.get(trainer).length;
+    const delivered = parseInt(trainer.sessions_delivered) || 0;
+    const ratePct   = delivered > 0 ? Math.round((received / delivered) * 100) : null;
+    return {
+      trainer, received, delivered, ratePct,
+      // More forms than sessions means one of the two records is wrong
+      overCount:   received > delivered,
+      belowTarget: ratePct !== null && ratePct < RECONCILE_CONFIG.submission_target_pct,
+    };
+  });
+
+  const totalReceived  = submission.reduce((sum, s) => sum + s.received, 0);
+  const totalDelivered = submission.reduce((sum, s) => sum + s.delivered, 0);
+
+  return {
+    rows: rows.length,
+    offVersion: offVersion.sort((a, b) => a.row.session_date.localeCompare(b.row.session_date)),
+    submission,
+    overallRatePct: totalDelivered > 0 ? Math.round((totalReceived / totalDelivered) * 100) : null,
+    notInRoster: [...notInRoster].map(([name, sessions]) => ({ name, sessions })),
+    noFeedback: submission.filter(s => s.received === 0).map(s => s.trainer),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  DASHBOARD EXPORT
+//  Writes version-compliance.json for the dashboard, checked against
+//  the VersionCompliance interface in dashboard/src/app/page.tsx.
+// ═══════════════════════════════════════════════════════════════════
+
+const DASHBOARD_URGENCY_LABELS = {
+  CRITICAL: "2+ behind, uncertified or escalated",
+  HIGH:     "1 behind, inactive",
+  MEDIUM:   "1 version behind",
+  LOW:      "Current, inactive",
+  OK:       "Current, active",
+  UNKNOWN:  "Unrecognised version",
+};
+
+// thresholds: from complianceThresholds(), so the chart draws the lines
+// the trend alerts fire at
+function buildVersionCompliance(analyses, stats, history, thresholds) {
+  const urgencyOrder = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "OK", "UNKNOWN"];
+  const sorted = [...analyses].sort((a, b) =>
+    urgencyOrder.indexOf(a.urgency) - urgencyOrder.indexOf(b.urgency) ||
+    b.blocked - a.blocked ||
+    a.trainer.name.localeCompare(b.trainer.name)
+  );
+
+  return {
+    generated:     today(),
+    latestVersion: VERSION_CONFIG.latest_version,
+    summary: {
+      totalTrainers:       stats.total,
+      onLatest:            stats.current,
+      oneBehind:           stats.oneBehind,
+      twoPlusBehind:       stats.twoPlusBehind,
+      stale:               stats.stale,
+      notificationsQueued: stats.queued,
+    },
+    byRegion: Object.entries(stats.byRegion)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([region, r]) => ({
+        region,
+        current:       r.current,
+        total:         r.total,
+        compliancePct: Math.round((r.current / r.total) * 100),
+      })),
+    // UNKNOWN only appears when there is something to fix
+    byUrgency: urgencyOrder
+      .filter(u => u !== "UNKNOWN" || stats.byUrgency[u])
+      .map(u => ({ urgency: u, count: stats.byUrgency[u] || 0, label: DASHBOARD_URGENCY_LABELS[u] })),
+    trainers: sorted.map(a => ({
+      name:              a.trainer.name,
+      region:            a.trainer.region || "Unknown",
+      version:           String(a.trainer.current_version),
+      status:            a.status,
+      daysSinceAccess:   a.daysSince,
+      sessionsDelivered: a.trainer.sessions_delivered || 0,
+      urgency:           a.urgency,
+    })),
+    history: complianceSeries(analyses.map(a => a.trainer), history),
+    thresholds: {
+      targetPct: TREND_CONFIG.target_pct,
+      alerts:    thresholds.map(t => ({ level: t.level, belowPct: t.below })),
+    },
+  };
+}
+
+// The dashboard's compliance-over-time series. Recorded snapshots are used
+// as they are; weekly points before the first one are rebuilt from each
+// trainer's version_history, so a fresh checkout (the CI build) still has
+// a trend to plot.
+function complianceSeries(records, history) {
+  const recorded = history.snapshots.map(s => ({
+    date:          s.date,
+    compliancePct: s.compliance_pct,
+    onLatest:      s.current,
+    totalTrainers: s.total,
+  }));
+
+  const rebuilt = [];
+  const until   = recorded[0]?.date ?? addDays(today(), 1);
+  for (let date = VERSION_CONFIG.release_dates[VERSION_CONFIG.version_history[0]]; date < until && date <= today(); date = addDays(date, 7)) {
+    const versions = records.map(r => versionOn(r, date)).filter(v => v !== null);
+    const onLatest = versions.filter(v => versionsBehind(v, versionCurrentOn(date)) === 0).length;
+    rebuilt.push({ date, compliancePct: compliancePct(onLatest, versions.length), onLatest, totalTrainers: versions.length });
+  }
+  return [...rebuilt, ...recorded];
+}
+
+function exportDashboard(analyses, stats, history, thresholds) {
+  try {
+    const [written] = writeDashboardFiles(DASHBOARD_DIR, {
+      "version-compliance.json": buildVersionCompliance(analyses, stats, history, thresholds),
+    });
+    return written;
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    (e.problems || []).forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════
 //  MAIN
 // ═══════════════════════════════════════════════════════════════════
 
-function main() {
+async function main() {
   // ── Load data ─────────────────────────────────────────────────
   if (!fs.existsSync(INPUT_PATH)) {
     console.error(`\nError: Input file not found: '${INPUT_PATH}'`);
@@ -519,34 +2186,232 @@ function main() {
     process.exit(1);
   }
 
+  // SMTP must be configured before anything is sent
+  const smtp = smtpConfigFromEnv();
+  if (SEND && !DRY_RUN && !smtp.host) {
+    console.error("\nError: --send needs an SMTP server. Set SMTP_HOST (and SMTP_PORT, SMTP_USER,");
+    console.error("SMTP_PASS, SMTP_FROM as needed) in .env, or use --dry-run to render without sending.");
+    process.exit(1);
+  }
+
+  // Certification records are optional, but must be complete when present
+  const badCerts = data.trainers.filter(t =>
+    (t.certifications || []).some(c => !parseVersion(c.version) || !c.date || !c.assessor)
+  );
+  if (badCerts.length > 0) {
+    console.error(`\nError: ${badCerts.length} trainer record(s) have incomplete certifications.`);
+    console.error("Each certification needs: version (major.minor), date, assessor");
+    badCerts.forEach(t => console.error(`  ${t.name}: ${JSON.stringify(t.certifications)}`));
+    process.exit(1);
+  }
+
+  // locale picks the email template and date format, so it must be a real tag
+  const badLocales = data.trainers.filter(t => {
+    if (t.locale === undefined) return false;
+    try {
+      return Intl.getCanonicalLocales(t.locale).length !== 1;
+    } catch {
+      return true;
+    }
+  });
+  if (badLocales.length > 0) {
+    console.error(`\nError: ${badLocales.length} trainer record(s) have an invalid locale.`);
+    console.error("locale must be a language tag such as \"fr\" or \"fr-CA\"");
+    badLocales.forEach(t => console.error(`  ${t.name}: ${JSON.stringify(t.locale)}`));
+    process.exit(1);
+  }
+
+  // Version history is optional, but must be complete, in date order and
+  // end on current_version when present
+  const badHistory = data.trainers.filter(t => {
+    const history = t.version_history;
+    if (history === undefined) return false;
+    if (!Array.isArray(history) || history.length === 0) return true;
+    return history.some((h, i) =>
+      !parseVersion(h.version) || !/^\d{4}-\d{2}-\d{2}$/.test(h.date || "") || (i > 0 && h.date < history[i - 1].date)
+    ) || (parseVersion(t.current_version) && normalizeVersion(history.at(-1).version) !== normalizeVersion(t.current_version));
+  });
+  if (badHistory.length > 0) {
+    console.error(`\nError: ${badHistory.length} trainer record(s) have an invalid version_history.`);
+    console.error("Each entry needs: version, date (YYYY-MM-DD), oldest first; the last must match current_version");
+    badHistory.forEach(t => console.error(`  ${t.name}: ${JSON.stringify(t.version_history)}`));
+    process.exit(1);
+  }
+
+  // Cross-check against the manifest, meta and feedback (scripts/validate.js)
+  const consistency = checkDataFiles({
+    releases: RELEASES_PATH,
+    meta:     fs.existsSync(META_PATH) ? META_PATH : null,
+    trainers: INPUT_PATH,
+    feedback: fs.existsSync(FEEDBACK_PATH) ? FEEDBACK_PATH : null,
+  });
+  if (consistency.errors.length > 0) {
+    console.error(`\nError: The data files disagree in ${consistency.errors.length} place${consistency.errors.length === 1 ? "" : "s"}:`);
+    consistency.errors.forEach(f => console.error(`  - ${findingLocation(f)}: ${f.message}\n      Fix: ${f.fix}`));
+    console.error("Run node scripts/validate.js to see every finding, warnings included.");
+    process.exit(1);
+  }
+  if (consistency.warnings.length > 0) {
+    console.warn(`\n  Data consistency: ${consistency.warnings.length} warning${consistency.warnings.length === 1 ? "" : "s"} (node scripts/validate.js lists them)`);
+  }
+
+  // Rebuild each record as it stood on the --as-of date
+  const trainers = AS_OF ? data.trainers.map(t => recordAsOf(t, AS_OF)).filter(Boolean) : data.trainers;
+  if (trainers.length < data.trainers.length) {
+    const left = data.trainers.filter(t => !versionOn(t, AS_OF)).map(t => t.name);
+    console.warn(`\n  Warning: ${left.length} trainer(s) had no version on record by ${AS_OF} and are left out: ${left.join(", ")}`);
+  }
+  if (trainers.length === 0) {
+    console.error(`\nError: No trainer had a version on record by ${AS_OF}.`);
+    process.exit(1);
+  }
+
+  let ledger, history, auditLog, schedule, feedbackRows, alertRules, sessionFeedback, questionLog;
+  try {
+    ledger   = loadLedger(LEDGER_PATH);
+    history  = loadHistory(HISTORY_PATH);
+    auditLog = loadAuditLog(AUDIT_LOG_PATH);
+    schedule = SCHEDULE_PATH ? loadSchedule(SCHEDULE_PATH) : [];
+    feedbackRows = RECONCILE ? loadFeedbackRows(FEEDBACK_PATH).filter(r => r.session_date <= today()) : null;
+    alertRules = loadAlertRules(ALERT_RULES_PATH);
+
+    // The feedback signals need every column; without the file only
+    // compliance is checked
+    if (fs.existsSync(FEEDBACK_PATH)) {
+      const { rows, invalid } = readFeedbackCsv(FEEDBACK_PATH);
+      if (invalid.length > 0) {
+        console.warn(`\n  Warning: ${invalid.length} row(s) in '${FEEDBACK_PATH}' failed validation and are left out of the signal checks.`);
+        console.warn("  Run analyze-feedback.js for the details.");
+      }
+      sessionFeedback = rows.filter(r => r.session_date <= today());
+      // FAQ progress is today's, so a past report clusters the questions afresh
+      if (!AS_OF) questionLog = loadQuestionLog(QUESTION_LOG_PATH);
+    }
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    (e.problems || []).forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+
+  // Sessions for people not in trainer-versions.json can't be judged
+  const unmatched = unmatchedSessions(schedule, data.trainers);
+  if (unmatched.length > 0) {
+    console.warn(`\n  Warning: ${unmatched.length} scheduled session(s) match no trainer record and are ignored:`);
+    unmatched.forEach(s => console.warn(`    ${s.source}  ${s.date}  ${s.name || s.emails.join(", ")}`));
+  }
+
   // ── Analyse ───────────────────────────────────────────────────
-  const analyses = data.trainers.map(analyzeTrainer);
+  let analyses;
+  try {
+    analyses = trainers.map(t => analyzeTrainer(t, ledger, auditLog, schedule));
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    (e.problems || []).forEach(p => console.error(`  - ${p}`));
+    console.error("Run with --preview-templates to check every template against the roster.");
+    process.exit(1);
+  }
+
+  if (PREVIEW) {
+    const previews    = previewTemplates(analyses);
+    const previewPath = path.join(path.dirname(OUTPUT_PATH), "email-preview.md");
+    fs.mkdirSync(path.dirname(previewPath), { recursive: true });
+    fs.writeFileSync(previewPath, generatePreviewMarkdown(previews), "utf-8");
+    printTemplatePreview(previews, previewPath);
+    if (previews.some(p => p.renders.some(r => r.error))) process.exitCode = 1;
+    return;
+  }
   const stats    = computeStats(analyses);
+  const adoption = releaseAdoption(data.trainers);
+  const reconciliation = feedbackRows ? reconcileFeedback(feedbackRows, trainers) : null;
+  const signals = evaluateAlerts({
+    sessions: sessionFeedback,
+    // An empty log means analyze-feedback.js hasn't run; cluster the questions here instead
+    questionLog: questionLog?.clusters.length ? questionLog : null,
+    compliance: {
+      pct:      compliancePct(stats.current, stats.total),
+      current:  stats.current,
+      total:    stats.total,
+      outdated: analyses.filter(a => a.behind !== 0).map(a => ({ name: a.trainer.name, version: normalizeVersion(a.trainer.current_version) })),
+    },
+  }, alertRules);
+
+  // ── Record today's snapshot and compare with earlier runs ─────
+  // A past report compares with the snapshots that existed then, and
+  // leaves the history file alone
+  const snapshot = buildSnapshot(stats);
+  if (AS_OF) {
+    history = { ...history, snapshots: history.snapshots.filter(s => s.date < AS_OF) };
+  }
+  const thresholds = complianceThresholds(alertRules);
+  const trend = complianceTrend(snapshot, history, thresholds);
+  if (!AS_OF) {
+    recordSnapshot(history, snapshot);
+    saveHistory(HISTORY_PATH, history);
+  }
 
   // ── Terminal output ───────────────────────────────────────────
   printComplianceSummary(analyses, stats);
+  printSignals(signals);
+  printComplianceTrend(trend);
+  printReleaseAdoption(adoption);
+  if (reconciliation) printReconciliation(reconciliation);
 
   if (!QUIET) {
     printEmailPreviews(analyses);
   } else {
-    const outdated = analyses.filter(a => a.needsUpdate);
+    const outdated = analyses.filter(a => a.notify);
     if (outdated.length > 0) {
       console.log(`\n  ${outdated.length} email notification(s) ready. Run without --quiet to preview.`);
     }
   }
 
-  // ── Write markdown report ─────────────────────────────────────
+  // ── Deliver notifications ─────────────────────────────────────
+  if (SEND) {
+    const { results, resultsPath } = await deliverNotifications(analyses, smtp, ledger);
+    printDeliveryResults(results, resultsPath);
+    if (results.some(r => r.status === "failed")) process.exitCode = 1;
+  }
+
+  // ── Write reports ─────────────────────────────────────────────
   const reportDir = path.dirname(OUTPUT_PATH);
   if (reportDir && !fs.existsSync(reportDir)) {
     fs.mkdirSync(reportDir, { recursive: true });
   }
 
-  const markdown = generateMarkdownReport(analyses, stats);
-  fs.writeFileSync(OUTPUT_PATH, markdown, "utf-8");
+  const renderers = {
+    md:   () => generateMarkdownReport(analyses, stats, trend, adoption, signals, reconciliation),
+    json: () => generateJsonReport(analyses, stats, trend, adoption, signals, reconciliation),
+    csv:  () => generateCsvReport(analyses),
+    html: () => generateHtmlReport(analyses, stats, trend, adoption, signals),
+  };
+  const reportPaths = FORMATS.map(format => {
+    fs.writeFileSync(reportPath(format), renderers[format](), "utf-8");
+    return reportPath(format);
+  });
+
+  // ── Dashboard data ────────────────────────────────────────────
+  const dashboardPath = DASHBOARD_DIR ? exportDashboard(analyses, stats, history, thresholds) : null;
 
   console.log("\n" + "═".repeat(64));
-  console.log(`  Report saved: ${OUTPUT_PATH}`);
+  reportPaths.forEach(p => console.log(`  Report saved: ${p}`));
+  if (!AS_OF) console.log(`  History: ${HISTORY_PATH} (${history.snapshots.length} snapshot${history.snapshots.length === 1 ? "" : "s"})`);
+  if (dashboardPath) console.log(`  Dashboard data: ${dashboardPath}`);
   console.log("═".repeat(64) + "\n");
+
+  // ── Exit code for CI gates ────────────────────────────────────
+  const critical = stats.byUrgency.CRITICAL || 0;
+  const criticalSignals = signals.filter(s => s.level === "CRITICAL").length;
+  if (FAIL_ON_CRITICAL && (critical > 0 || criticalSignals > 0) && !process.exitCode) {
+    const reasons = [
+      critical > 0        ? `${critical} CRITICAL trainer${critical === 1 ? "" : "s"}` : null,
+      criticalSignals > 0 ? `${criticalSignals} CRITICAL signal${criticalSignals === 1 ? "" : "s"}` : null,
+    ].filter(Boolean).join(", ");
+    console.log(coloured(`  ${reasons} — exiting with code 2 (--no-fail-on-critical to exit 0)`, "CRITICAL") + "\n");
+    process.exitCode = 2;
+  }
 }
 
-main();
\ No newline at end of file
+main().catch(err => {
+  console.error("Unexpected error:", err);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * alert-rules.js
+ *
+ * Deterministic checks for the "Signals Requiring Immediate Action" in
+ * SYSTEMS.md §6 — the ones that need a response within 48 hours wherever
+ * they turn up in the cycle. analyze-feedback.js and check-versions.js both
+ * run them over whatever data they have loaded:
+ *
+ *   exercise_completion  completion below 50% in consecutive sessions
+ *   repeated_question    3+ trainers asking the same question in one week
+ *   setup_issue_rate     more than 20% of sessions reporting setup issues
+ *   compliance           fewer than 70% of trainers on the current version
+ *
+ * Thresholds live in DEFAULT_ALERT_RULES. An alert-rules.json file (next to
+ * the data, or --alert-rules) overrides them per rule:
+ *
+ *   { "setup_issue_rate": { "above_pct": 25 }, "repeated_question": { "enabled": false } }
+ *
+ * Each triggered alert carries the rows that set it off as evidence. A rule
+ * whose input isn't loaded (no feedback, no trainer records) is skipped.
+ *
+ * The compliance rule also holds the earlier warning line (80%), which is a
+ * leading indicator rather than a signal: check-versions.js alerts when
+ * compliance crosses either line (complianceThresholds()), so both come from
+ * the same settings.
+ */
+
+import fs from "fs";
+
+import { ingestQuestions } from "./question-log.js";
+
+export const ALERT_LEVELS = ["WARNING", "CRITICAL"];
+
+export const DEFAULT_ALERT_RULES = {
+  exercise_completion: {
+    enabled:     true,
+    level:       "CRITICAL",
+    columns:     ["ex1_completion_pct"],
+    below_pct:   50,
+    consecutive: 2,
+    action:      "Run the exercise in a clean environment. If broken, push a fix and notify all trainers before their next session.",
+  },
+  repeated_question: {
+    enabled:      true,
+    level:        "WARNING",
+    min_trainers: 3,
+    window_days:  7,
+    action:       "Draft and publish an interim FAQ entry within 5 business days.",
+  },
+  setup_issue_rate: {
+    enabled:      true,
+    level:        "WARNING",
+    above_pct:    20,
+    min_sessions: 5,
+    action:       "Check the exercise dependencies in a clean environment — an environmental signal, not a trainer one.",
+  },
+  compliance: {
+    enabled:           true,
+    level:             "CRITICAL",
+    below_pct:         70,
+    action:            "Escalate from email to direct contact for all non-compliant trainers. Check the update link is working.",
+    warning_below_pct: 80,
+    warning_action:    "Quality degradation is coming — chase outdated trainers now, don't wait for session reports.",
+  },
+};
+
+// ── Configuration ────────────────────────────────────────────────────────────
+
+export function loadAlertRules(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return DEFAULT_ALERT_RULES;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not parse alert rules '${filePath}': ${e.message}`);
+  }
+
+  const problems = [];
+  const rules = {};
+  for (const [id, defaults] of Object.entries(DEFAULT_ALERT_RULES)) {
+    rules[id] = { ...defaults, ...(overrides[id] || {}) };
+  }
+  for (const [id, override] of Object.entries(overrides)) {
+    const defaults = DEFAULT_ALERT_RULES[id];
+    if (!defaults) {
+      problems.push(`unknown rule '${id}' (rules: ${Object.keys(DEFAULT_ALERT_RULES).join(", ")})`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(override)) {
+      if (!(key in defaults)) problems.push(`${id}.${key} is not a setting of this rule`);
+      else if (key === "level" && !ALERT_LEVELS.includes(value)) problems.push(`${id}.level must be ${ALERT_LEVELS.join(" or ")}`);
+      else if (typeof defaults[key] === "number" && !(typeof value === "number" && value >= 0)) problems.push(`${id}.${key} must be a number ≥ 0`);
+      else if (typeof defaults[key] === "boolean" && typeof value !== "boolean") problems.push(`${id}.${key} must be true or false`);
+      else if (Array.isArray(defaults[key]) && !(Array.isArray(value) && value.length > 0)) problems.push(`${id}.${key} must be a non-empty list`);
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Alert rules '${filePath}' are invalid:`);
+    error.problems = problems;
+    throw error;
+  }
+  return rules;
+}
+
+// Compliance lines for check-versions.js's trend alerts, least to most
+// severe: [{ level, below, action }]
+export function complianceThresholds(rules = DEFAULT_ALERT_RULES) {
+  const rule = rules.compliance;
+  return [
+    { level: "WARNING",  below: rule.warning_below_pct, action: rule.warning_action },
+    { level: rule.level, below: rule.below_pct,         action: rule.action },
+  ].sort((a, b) => b.below - a.below);
+}
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+function sessionLabel(s) {
+  return `${s.session_id} (${s.trainer_name}, ${s.session_date})`;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// One alert per run of `consecutive` or more sessions in a row (by date)
+// below the threshold, per exercise column
+function exerciseCompletion(rule, { sessions }) {
+  const ordered = [...sessions].sort((a, b) =>
+    a.session_date.localeCompare(b.session_date) || a.session_id.localeCompare(b.session_id)
+  );
+  const alerts = [];
+
+  for (const column of rule.columns) {
+    const exercise = column.replace(/_completion_pct$/, "").replace(/^ex/, "Exercise ");
+    let run = [];
+    const flush = () => {
+      if (run.length >= rule.consecutive) {
+        alerts.push({
+          title:    `${exercise} completion below ${rule.below_pct}% in ${run.length} consecutive sessions`,
+          evidence: run.map(s => `${sessionLabel(s)}: ${s[column]}%`),
+        });
+      }
+      run = [];
+    };
+    for (const s of ordered) {
+      const pct = parseInt(s[column], 10);
+      if (!isNaN(pct) && pct < rule.below_pct) run.push(s);
+      else flush();
+    }
+    flush();
+  }
+  return alerts;
+}
+
+// Clusters still waiting for an FAQ entry that `min_trainers` different
+// trainers asked within `window_days` of each other
+function repeatedQuestion(rule, { sessions, questionLog }) {
+  const log = questionLog || { clusters: [] };
+  if (!questionLog) ingestQuestions(log, sessions);
+
+  const inBatch = new Set(sessions.map(s => s.session_id));
+  const alerts = [];
+
+  for (const cluster of log.clusters.filter(c => c.status === "new")) {
+    const asks = cluster.questions
+      .flatMap(q => q.asked.map(a => ({ ...a, text: q.text })))
+      .filter(a => inBatch.has(a.session_id))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    // Latest window with enough distinct trainers
+    let found = null;
+    for (let end = asks.length - 1; end >= 0 && !found; end--) {
+      const window = asks.filter(a => a.date <= asks[end].date && daysBetween(a.date, asks[end].date) < rule.window_days);
+      if (new Set(window.map(a => a.trainer)).size >= rule.min_trainers) found = window;
+    }
+    if (!found) continue;
+
+    const trainers = new Set(found.map(a => a.trainer)).size;
+    alerts.push({
+      title:    `${trainers} trainers asked "${cluster.title}" within ${rule.window_days} days` +
+                (questionLog ? ` (${cluster.id})` : ""),
+      evidence: found.map(a => `${a.session_id} (${a.trainer}, ${a.date}): "${a.text}"`),
+    });
+  }
+  return alerts;
+}
+
+function setupIssueRate(rule, { sessions }) {
+  if (sessions.length < rule.min_sessions) return [];
+  const withIssues = sessions.filter(s => s.setup_issues === "true");
+  const pct = Math.round((withIssues.length / sessions.length) * 100);
+  if (pct <= rule.above_pct) return [];
+  return [{
+    title:    `Setup issues in ${pct}% of sessions (${withIssues.length} of ${sessions.length}) — above ${rule.above_pct}%`,
+    evidence: withIssues.map(s => sessionLabel(s)),
+  }];
+}
+
+// compliance: { pct, current, total, outdated: [{ name, version }] }
+function complianceBelow(rule, { compliance }) {
+  if (compliance.pct >= rule.below_pct) return [];
+  return [{
+    title:    `Compliance ${compliance.pct}% (${compliance.current} of ${compliance.total} trainers on the current version) — below ${rule.below_pct}%`,
+    evidence: compliance.outdated.map(t => `${t.name}: ${t.version ? `v${t.version}` : "unknown version"}`),
+  }];
+}
+
+const RULES = {
+  exercise_completion: { needs: "sessions",   check: exerciseCompletion },
+  repeated_question:   { needs: "sessions",   check: repeatedQuestion },
+  setup_issue_rate:    { needs: "sessions",   check: setupIssueRate },
+  compliance:          { needs: "compliance", check: complianceBelow },
+};
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * Runs every enabled rule over the data given. data may hold:
+ *   sessions     validated feedback rows
+ *   questionLog  the persistent question log (otherwise questions are
+ *                clustered from the sessions on the fly)
+ *   compliance   { pct, current, total, outdated: [{ name, version }] }
+ *
+ * Returns [{ rule, level, title, action, evidence[] }], CRITICAL first.
+ */
+export function evaluateAlerts(data, rules = DEFAULT_ALERT_RULES) {
+  const alerts = [];
+  for (const [id, { needs, check }] of Object.entries(RULES)) {
+    const rule = rules[id];
+    if (!rule.enabled || !data[needs]) continue;
+    for (const alert of check(rule, data)) {
+      alerts.push({ rule: id, level: rule.level, title: alert.title, action: rule.action, evidence: alert.evidence });
+    }
+  }
+  return alerts.sort((a, b) => ALERT_LEVELS.indexOf(b.level) - ALERT_LEVELS.indexOf(a.level));
+}
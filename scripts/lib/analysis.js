@@ -0,0 +1,361 @@
+/**
+ * analysis.js
+ *
+ * The structured feedback analysis analyze-feedback.js asks Claude for.
+ * Claude returns it by calling the record_analysis tool, whose input
+ * schema (ANALYSIS_SCHEMA) is the contract: seven sections, exactly three
+ * confusion points and three ranked priority actions, each with an effort
+ * level. validateAnalysis() checks a response against the same schema so
+ * a malformed one can be sent back for a retry, and renderAnalysisMarkdown()
+ * turns a valid one into the report sections.
+ *
+ * The saved JSON (see analyze-feedback.js) carries this object under
+ * "analysis", so other tools can pick up the action items and FAQ drafts
+ * without parsing markdown.
+ *
+ * Feedback sets too large for one prompt are summarised chunk by chunk
+ * first: CHUNK_SUMMARY_TOOL records what one batch of sessions shows, and
+ * renderChunkSummary() turns it into text for the final synthesis prompt.
+ *
+ * Per-trainer scorecards can carry a coaching note: COACHING_TOOL records
+ * it and renderCoachingNote() turns it into the scorecard section.
+ */
+
+export const EFFORT_LEVELS = ["Low", "Medium", "High"];
+
+const text = description => ({ type: "string", minLength: 1, description });
+
+export const ANALYSIS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: [
+    "executive_summary",
+    "confusion_points",
+    "energy_analysis",
+    "faq_updates",
+    "version_correlation",
+    "preserve",
+    "priority_actions",
+  ],
+  properties: {
+    executive_summary: text("Three sentences maximum: overall health, the single most important thing to fix, the single most important thing to preserve."),
+    confusion_points: {
+      type: "array",
+      minItems: 3,
+      maxItems: 3,
+      description: "The top 3 confusion points, most damaging first.",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["title", "evidence", "fix"],
+        properties: {
+          title:    text("What the confusion is, in one line."),
+          evidence: {
+            type: "array",
+            minItems: 1,
+            items: text("One piece of evidence: a session, bug count or question from the data."),
+          },
+          fix:      text("A specific change to make to the content — not 'improve clarity'."),
+        },
+      },
+    },
+    energy_analysis: {
+      type: "object",
+      additionalProperties: false,
+      required: ["summary", "cause", "recommendations"],
+      properties: {
+        summary:         text("Where sessions lose the room, using the format comparison."),
+        cause:           { type: "string", enum: ["content", "delivery", "both"] },
+        recommendations: {
+          type: "array",
+          items: text("A specific recommendation for a section with average closing energy below 3.0."),
+        },
+      },
+    },
+    faq_updates: {
+      type: "array",
+      minItems: 1,
+      description: "One draft FAQ entry per theme of unanswered questions.",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["theme", "question", "answer", "source_questions"],
+        properties: {
+          theme:            text("The theme the questions share."),
+          question:         text("The FAQ question as it would appear in the facilitator guide."),
+          answer:           text("A 2–3 sentence answer."),
+          source_questions: {
+            type: "array",
+            minItems: 1,
+            items: text("A verbatim question from the feedback that this entry answers."),
+          },
+        },
+      },
+    },
+    version_correlation: {
+      type: "object",
+      additionalProperties: false,
+      required: ["summary", "carry_forward"],
+      properties: {
+        summary:       text("Which differences between guide versions hold up, quoting the differences and confidence intervals from the version comparison."),
+        carry_forward: {
+          type: "array",
+          items: text("Something to carry forward into the next version."),
+        },
+      },
+    },
+    preserve: {
+      type: "object",
+      additionalProperties: false,
+      required: ["pattern", "why"],
+      properties: {
+        pattern: text("The one pattern from the session highlights, seen across several trainers, to protect in any content update."),
+        why:     text("Why it matters."),
+      },
+    },
+    priority_actions: {
+      type: "array",
+      minItems: 3,
+      maxItems: 3,
+      description: "Exactly 3 actions, highest impact first, each actionable this week.",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["action", "why", "effort"],
+        properties: {
+          action: text("What to do, specific enough to start on tomorrow."),
+          why:    text("Why it has this rank."),
+          effort: { type: "string", enum: EFFORT_LEVELS },
+        },
+      },
+    },
+  },
+};
+
+export const ANALYSIS_TOOL = {
+  name:         "record_analysis",
+  description:  "Record the structured analysis of the trainer feedback. Call this exactly once with every section filled in.",
+  input_schema: ANALYSIS_SCHEMA,
+};
+
+// ── Chunk summaries ──────────────────────────────────────────────────────────
+
+export const CHUNK_SUMMARY_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["confusion_points", "energy", "questions", "highlights", "version_notes"],
+  properties: {
+    confusion_points: {
+      type: "array",
+      description: "Every confusion pattern in these sessions, most damaging first.",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["title", "evidence"],
+        properties: {
+          title:    text("What the confusion is, in one line."),
+          evidence: {
+            type: "array",
+            minItems: 1,
+            items: text("Sessions, bug counts or notes from this batch that show it."),
+          },
+        },
+      },
+    },
+    energy:     text("Where these sessions lost the room and how delivery format played into it, with session counts."),
+    questions:  {
+      type: "array",
+      description: "The unanswered questions in these sessions, grouped by theme.",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["theme", "questions"],
+        properties: {
+          theme:     text("The theme the questions share."),
+          questions: {
+            type: "array",
+            minItems: 1,
+            items: text("A verbatim question from the feedback."),
+          },
+        },
+      },
+    },
+    highlights: {
+      type: "array",
+      items: text("A pattern from the session highlights, naming the trainers it came from."),
+    },
+    version_notes: text("What these sessions suggest about the guide versions they used, or that they all used one version."),
+  },
+};
+
+export const CHUNK_SUMMARY_TOOL = {
+  name:         "record_chunk_summary",
+  description:  "Record what this batch of sessions shows, for a later synthesis across all batches. Call this exactly once.",
+  input_schema: CHUNK_SUMMARY_SCHEMA,
+};
+
+export function renderChunkSummary(summary) {
+  let out = "Confusion points:\n";
+  out += summary.confusion_points.length === 0
+    ? "- none reported\n"
+    : summary.confusion_points.map(c => `- ${c.title} (${c.evidence.join("; ")})`).join("\n") + "\n";
+  out += `Energy: ${summary.energy}\n`;
+  out += "Unanswered questions:\n";
+  out += summary.questions.length === 0
+    ? "- none reported\n"
+    : summary.questions.map(q => `- ${q.theme}: ${q.questions.map(t => `"${t}"`).join("; ")}`).join("\n") + "\n";
+  out += "Highlights:\n";
+  out += summary.highlights.length === 0
+    ? "- none reported\n"
+    : summary.highlights.map(h => `- ${h}`).join("\n") + "\n";
+  out += `Versions: ${summary.version_notes}\n`;
+  return out;
+}
+
+export const COACHING_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["summary", "strengths", "focus_areas"],
+  properties: {
+    summary:   text("Two sentences maximum: how this trainer's sessions are going, in plain terms."),
+    strengths: {
+      type: "array",
+      minItems: 1,
+      maxItems: 3,
+      items: text("Something this trainer does well, grounded in their highlights or numbers."),
+    },
+    focus_areas: {
+      type: "array",
+      maxItems: 3,
+      description: "What to work on, most useful first. Empty if nothing stands out against the cohort.",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["area", "evidence", "suggestion"],
+        properties: {
+          area:       text("What to work on, in one line."),
+          evidence:   {
+            type: "array",
+            minItems: 1,
+            items: text("A session, number or note from this trainer's feedback that shows it."),
+          },
+          suggestion: text("A concrete thing to try in the next session — not 'improve engagement'."),
+        },
+      },
+    },
+  },
+};
+
+export const COACHING_TOOL = {
+  name:         "record_coaching_note",
+  description:  "Record a coaching note for one trainer. Call this exactly once.",
+  input_schema: COACHING_SCHEMA,
+};
+
+export function renderCoachingNote(note) {
+  let md = `${note.summary}\n\n`;
+  md += `Strengths:\n\n${note.strengths.map(s => `- ${s}`).join("\n")}\n\n`;
+  if (note.focus_areas.length > 0) {
+    md += `Focus areas:\n\n`;
+    note.focus_areas.forEach((f, i) => {
+      md += `${i + 1}. **${f.area}** — ${f.suggestion}\n`;
+      md += f.evidence.map(e => `   - ${e}`).join("\n") + "\n";
+    });
+    md += "\n";
+  }
+  return md;
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+// Covers the parts of JSON Schema that ANALYSIS_SCHEMA uses. Returns one
+// problem per violation, with a path like "priority_actions[1].effort".
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+function check(value, schema, at, problems) {
+  const where = at || "analysis";
+  if (typeOf(value) !== schema.type) {
+    problems.push(`${where} must be ${schema.type === "array" || schema.type === "object" ? "an" : "a"} ${schema.type}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (schema.type === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) problems.push(`${where} is empty`);
+    if (schema.enum && !schema.enum.includes(value)) problems.push(`${where} must be one of ${schema.enum.join(", ")}, got '${value}'`);
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${where} needs at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${where} allows at most ${schema.maxItems} item${schema.maxItems === 1 ? "" : "s"}, got ${value.length}`);
+    }
+    value.forEach((item, i) => check(item, schema.items, `${where}[${i}]`, problems));
+  }
+
+  if (schema.type === "object") {
+    const prefix = at ? `${at}.` : "";
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${prefix}${key} is missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties[key]) check(item, schema.properties[key], `${prefix}${key}`, problems);
+      else if (schema.additionalProperties === false) problems.push(`${prefix}${key} is not a known field`);
+    }
+  }
+}
+
+export function validateAnalysis(analysis, schema = ANALYSIS_SCHEMA) {
+  const problems = [];
+  check(analysis, schema, "", problems);
+  return problems;
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────────────
+
+export function renderAnalysisMarkdown(a) {
+  let md = `### Executive Summary\n\n${a.executive_summary}\n\n`;
+
+  md += `### Top 3 Confusion Points\n\n`;
+  a.confusion_points.forEach((c, i) => {
+    md += `**${i + 1}. ${c.title}**\n\n`;
+    md += `- Evidence:\n${c.evidence.map(e => `  - ${e}`).join("\n")}\n`;
+    md += `- Fix: ${c.fix}\n\n`;
+  });
+
+  md += `### Energy Analysis\n\n`;
+  md += `${a.energy_analysis.summary}\n\n`;
+  md += `Cause: **${a.energy_analysis.cause}**\n\n`;
+  if (a.energy_analysis.recommendations.length > 0) {
+    md += a.energy_analysis.recommendations.map(r => `- ${r}`).join("\n") + "\n\n";
+  }
+
+  md += `### FAQ Updates Needed\n\n`;
+  for (const f of a.faq_updates) {
+    md += `#### ${f.theme}\n\n`;
+    md += `**Q: ${f.question}**\n\n`;
+    md += `${f.answer}\n\n`;
+    md += `_Answers: ${f.source_questions.map(q => `"${q}"`).join("; ")}_\n\n`;
+  }
+
+  md += `### Version Correlation\n\n`;
+  md += `${a.version_correlation.summary}\n\n`;
+  if (a.version_correlation.carry_forward.length > 0) {
+    md += `Carry forward:\n\n${a.version_correlation.carry_forward.map(c => `- ${c}`).join("\n")}\n\n`;
+  }
+
+  md += `### One Thing to Preserve\n\n`;
+  md += `**${a.preserve.pattern}**\n\n${a.preserve.why}\n\n`;
+
+  md += `### Priority Action List\n\n`;
+  md += a.priority_actions
+    .map((p, i) => `${i + 1}. ${p.action} — ${p.why} — Estimated effort: ${p.effort}`)
+    .join("\n") + "\n";
+
+  return md;
+}
@@ -0,0 +1,101 @@
+/**
+ * chunking.js
+ *
+ * Splits a feedback set that won't fit in one prompt into chunks that do,
+ * for the map-reduce path in analyze-feedback.js: each chunk is summarised
+ * on its own, then the summaries are merged in a final synthesis call.
+ *
+ * Sessions are grouped by week (Monday start) or by guide version, and
+ * whole groups are packed into chunks in order until the next one would
+ * pass the token budget. A single group bigger than the budget is split
+ * into consecutive parts by date.
+ *
+ * Token counts are estimates — about 3.5 characters per token, which errs
+ * on the high side for English prose — so a budget well under the model's
+ * context window leaves room for the response.
+ */
+
+import { normalizeVersion, compareVersions, parseVersion } from "./releases.js";
+
+export const CHUNK_MODES = ["week", "version"];
+
+const CHARS_PER_TOKEN = 3.5;
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Monday of the week a YYYY-MM-DD date falls in
+export function weekOf(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().split("T")[0];
+}
+
+function groupKey(session, by) {
+  if (by === "version") return normalizeVersion(session.guide_version) || session.guide_version;
+  return weekOf(session.session_date);
+}
+
+function byGroupOrder(by) {
+  if (by === "week") return (a, b) => a.localeCompare(b);
+  return (a, b) => {
+    const known = [a, b].map(v => parseVersion(v) !== null);
+    if (known[0] && known[1]) return compareVersions(a, b);
+    return known[1] - known[0] || a.localeCompare(b);
+  };
+}
+
+function describeChunk(sessions, by) {
+  if (by === "version") {
+    return [...new Set(sessions.map(s => groupKey(s, by)))].map(v => `v${v}`).join(" + ");
+  }
+  const dates = sessions.map(s => s.session_date).sort();
+  return dates[0] === dates.at(-1) ? dates[0] : `${dates[0]} to ${dates.at(-1)}`;
+}
+
+/**
+ * Packs sessions into chunks whose detail rows fit the budget.
+ * sessionTokens(session) is the estimated cost of one session's rows in
+ * the prompt. Returns [{ label, sessions, tokens }] in week or version
+ * order.
+ */
+export function planChunks(sessions, { by = "week", budget, sessionTokens }) {
+  if (!CHUNK_MODES.includes(by)) throw new Error(`Unknown chunking '${by}'. Use one of: ${CHUNK_MODES.join(", ")}.`);
+
+  const groups = {};
+  for (const session of [...sessions].sort((a, b) => a.session_date.localeCompare(b.session_date))) {
+    (groups[groupKey(session, by)] = groups[groupKey(session, by)] || []).push(session);
+  }
+
+  // Oversized groups become consecutive parts that each fit on their own
+  const pieces = [];
+  for (const key of Object.keys(groups).sort(byGroupOrder(by))) {
+    let part = { sessions: [], tokens: 0 };
+    const parts = [part];
+    for (const session of groups[key]) {
+      const tokens = sessionTokens(session);
+      if (part.sessions.length > 0 && part.tokens + tokens > budget) {
+        part = { sessions: [], tokens: 0 };
+        parts.push(part);
+      }
+      part.sessions.push(session);
+      part.tokens += tokens;
+    }
+    parts.forEach((p, i) => pieces.push({ ...p, part: parts.length > 1 ? ` (part ${i + 1} of ${parts.length})` : "" }));
+  }
+
+  // Whole groups share a chunk while they fit
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks.at(-1);
+    if (last && !last.split && !piece.part && last.tokens + piece.tokens <= budget) {
+      last.sessions.push(...piece.sessions);
+      last.tokens += piece.tokens;
+    } else {
+      chunks.push({ sessions: [...piece.sessions], tokens: piece.tokens, split: Boolean(piece.part), part: piece.part });
+    }
+  }
+
+  return chunks.map(c => ({ label: describeChunk(c.sessions, by) + c.part, sessions: c.sessions, tokens: c.tokens }));
+}
@@ -0,0 +1,51 @@
+/**
+ * compliance-history.js
+ *
+ * Dated compliance snapshots written by check-versions.js on every run —
+ * overall, per-region and per-urgency counts — so compliance can be read
+ * as a trend instead of a single moment. One snapshot is kept per day; a
+ * second run on the same day replaces the first.
+ *
+ * History shape:
+ *   {
+ *     "snapshots": [            // oldest → newest
+ *       { "date": "2026-02-16", "latest_version": "1.2",
+ *         "total": 12, "current": 6, "compliance_pct": 50,
+ *         "by_region":  { "EMEA": { "total": 6, "current": 2, "compliance_pct": 33 } },
+ *         "by_urgency": { "CRITICAL": 3, "MEDIUM": 3, "OK": 6 } }
+ *     ]
+ *   }
+ */
+
+import { readJsonFile, writeJsonAtomic } from "./json-store.js";
+
+export function loadHistory(filePath) {
+  return readJsonFile(filePath, "snapshots", "compliance history");
+}
+
+export function saveHistory(filePath, history) {
+  writeJsonAtomic(filePath, history);
+}
+
+export function recordSnapshot(history, snapshot) {
+  history.snapshots = history.snapshots
+    .filter(s => s.date !== snapshot.date)
+    .concat(snapshot)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// The most recent snapshot taken strictly before `date`
+export function previousSnapshot(history, date) {
+  return history.snapshots.filter(s => s.date < date).at(-1) || null;
+}
+
+// The snapshot to compare against for a "last week" view: the most recent
+// one at least `days` old, or the oldest earlier one while history is short
+export function baselineSnapshot(history, date, days) {
+  const cutoff = new Date(`${date}T00:00:00Z`);
+  cutoff.setUTCDate(cutoff.getUTCDate() - days);
+  const cutoffDate = cutoff.toISOString().split("T")[0];
+
+  const earlier = history.snapshots.filter(s => s.date < date);
+  return earlier.filter(s => s.date <= cutoffDate).at(-1) || earlier[0] || null;
+}
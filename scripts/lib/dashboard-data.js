@@ -0,0 +1,197 @@
+/**
+ * dashboard-data.js
+ *
+ * Writes the JSON files the dashboard reads from dashboard/public/data/ and
+ * checks each one against the TypeScript interface it is loaded as. The
+ * interfaces are read straight from dashboard/src/app/page.tsx, so the
+ * contract lives in one place: change an interface there and the export
+ * step starts rejecting data that no longer matches it.
+ *
+ * Only the subset of TypeScript the dashboard interfaces use is understood:
+ * string, number, boolean, null, unions with "|", optional "?" members,
+ * nested object literals, Array<T> and T[].
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_DASHBOARD_DIR = "dashboard/public/data";
+export const DEFAULT_CONTRACT_PATH = "dashboard/src/app/page.tsx";
+
+// ── Type parsing ─────────────────────────────────────────────────────────────
+
+function tokenize(source) {
+  const tokens = source.match(/[A-Za-z_$][\w$]*|[{}<>:;?|,[\]]/g);
+  return tokens || [];
+}
+
+function parseType(tokens, pos) {
+  const options = [];
+  let i = pos;
+  for (;;) {
+    let type;
+    const token = tokens[i];
+    if (token === "{") {
+      [type, i] = parseMembers(tokens, i + 1);
+    } else if (token === "Array" && tokens[i + 1] === "<") {
+      let element;
+      [element, i] = parseType(tokens, i + 2);
+      if (tokens[i] !== ">") throw new Error(`Expected '>' after Array<…, found '${tokens[i]}'`);
+      type = { kind: "array", element };
+      i++;
+    } else if (["string", "number", "boolean", "null"].includes(token)) {
+      type = { kind: token };
+      i++;
+    } else {
+      throw new Error(`Unsupported type '${token}' in dashboard interface`);
+    }
+
+    while (tokens[i] === "[" && tokens[i + 1] === "]") {
+      type = { kind: "array", element: type };
+      i += 2;
+    }
+    options.push(type);
+
+    if (tokens[i] !== "|") break;
+    i++;
+  }
+  return [options.length === 1 ? options[0] : { kind: "union", options }, i];
+}
+
+function parseMembers(tokens, pos) {
+  const members = {};
+  let i = pos;
+  while (tokens[i] !== "}") {
+    if (i >= tokens.length) throw new Error("Unterminated object type in dashboard interface");
+    const name = tokens[i++];
+    const optional = tokens[i] === "?";
+    if (optional) i++;
+    if (tokens[i] !== ":") throw new Error(`Expected ':' after '${name}', found '${tokens[i]}'`);
+    let type;
+    [type, i] = parseType(tokens, i + 1);
+    members[name] = { type, optional };
+    if (tokens[i] === ";" || tokens[i] === ",") i++;
+  }
+  return [{ kind: "object", members }, i + 1];
+}
+
+// Reads every `export interface Name { ... }` and every
+// `loadJson<Name>('file.json')` call from the dashboard page.
+export function loadDashboardContract(contractPath = DEFAULT_CONTRACT_PATH) {
+  if (!fs.existsSync(contractPath)) {
+    throw new Error(`Dashboard contract not found at '${contractPath}'`);
+  }
+  const source = fs.readFileSync(contractPath, "utf-8");
+
+  const interfaces = {};
+  const pattern = /export\s+interface\s+(\w+)\s*\{/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    // Find the matching closing brace
+    let depth = 1;
+    let end = pattern.lastIndex;
+    while (depth > 0 && end < source.length) {
+      if (source[end] === "{") depth++;
+      if (source[end] === "}") depth--;
+      end++;
+    }
+    const body = source.slice(pattern.lastIndex, end - 1);
+    try {
+      [interfaces[match[1]]] = parseMembers([...tokenize(body), "}"], 0);
+    } catch (e) {
+      throw new Error(`Could not read interface ${match[1]} in '${contractPath}': ${e.message}`);
+    }
+  }
+
+  const files = {};
+  for (const [, name, file] of source.matchAll(/loadJson<(\w+)>\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+    files[file] = name;
+  }
+
+  return { interfaces, files };
+}
+
+// ── Shape checking ───────────────────────────────────────────────────────────
+// Returns a list of human-readable problems; an empty list means the value
+// matches. Extra properties are reported too, so nothing the dashboard
+// doesn't read slips into the contract unnoticed.
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && !Number.isFinite(value)) return String(value);
+  return typeof value;
+}
+
+export function checkShape(value, type, where = "$") {
+  switch (type.kind) {
+    case "string":
+    case "boolean":
+      return typeof value === type.kind ? [] : [`${where}: expected ${type.kind}, got ${describe(value)}`];
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? [] : [`${where}: expected number, got ${describe(value)}`];
+    case "null":
+      return value === null ? [] : [`${where}: expected null, got ${describe(value)}`];
+    case "union":
+      return type.options.some(option => checkShape(value, option, where).length === 0)
+        ? [] : [`${where}: expected ${type.options.map(o => o.kind).join(" | ")}, got ${describe(value)}`];
+    case "array":
+      if (!Array.isArray(value)) return [`${where}: expected array, got ${describe(value)}`];
+      return value.flatMap((item, i) => checkShape(item, type.element, `${where}[${i}]`));
+    case "object": {
+      if (describe(value) !== "object") return [`${where}: expected object, got ${describe(value)}`];
+      const problems = [];
+      for (const [key, member] of Object.entries(type.members)) {
+        if (value[key] === undefined) {
+          if (!member.optional) problems.push(`${where}.${key}: missing`);
+          continue;
+        }
+        problems.push(...checkShape(value[key], member.type, `${where}.${key}`));
+      }
+      for (const key of Object.keys(value)) {
+        if (!(key in type.members)) problems.push(`${where}.${key}: not in the dashboard interface`);
+      }
+      return problems;
+    }
+    default:
+      return [`${where}: unsupported type '${type.kind}'`];
+  }
+}
+
+// ── Writing ──────────────────────────────────────────────────────────────────
+
+function checkDashboardFile(filename, data, contract) {
+  const name = contract.files[filename];
+  if (!name) {
+    throw new Error(`The dashboard does not load '${filename}' — nothing in page.tsx reads it.`);
+  }
+  const type = contract.interfaces[name];
+  if (!type) {
+    throw new Error(`page.tsx loads '${filename}' as ${name}, but no interface ${name} is exported.`);
+  }
+
+  const problems = checkShape(data, type, name);
+  if (problems.length > 0) {
+    const error = new Error(`${filename} does not match the ${name} interface:`);
+    error.problems = problems;
+    throw error;
+  }
+}
+
+// Takes { "file.json": data, ... }. Every file is checked against the
+// interface the dashboard loads it as before any is written, so a bad run
+// never leaves the dashboard with a mix of old and new data. Throws on the
+// first mismatch; returns the written paths otherwise.
+export function writeDashboardFiles(dir, files, contract = loadDashboardContract()) {
+  for (const [filename, data] of Object.entries(files)) {
+    checkDashboardFile(filename, data, contract);
+  }
+
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return Object.entries(files).map(([filename, data]) => {
+    const filePath = path.join(dir, filename);
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf-8");
+    return filePath;
+  });
+}
@@ -0,0 +1,357 @@
+/**
+ * data-consistency.js
+ *
+ * Checks the files that describe the programme against each other: the
+ * release manifest (releases.json — check-versions.js builds its
+ * VERSION_CONFIG from it), feedback_meta.json, trainer-versions.json and
+ * the session feedback (feedback.csv, or every file in a sources config).
+ * Each is valid on its own terms and they can still disagree. Used by
+ * scripts/validate.js, and run by analyze-feedback.js and check-versions.js
+ * before they report.
+ *
+ * A finding names the file and line it is about and suggests a fix:
+ *   { level: "error" | "warning", file, line, at, message, fix }
+ * (`at` instead of a line for items of a JSON feedback source).
+ *
+ * Errors are disagreements a report would be wrong to build on: a version
+ * the manifest doesn't publish, a session dated before its version was
+ * released, a current version other than the one the record's own history
+ * ends on. Warnings don't change the numbers but are worth fixing: rows
+ * the feedback schema rejects, feedback from someone with no trainer
+ * record, more feedback forms than sessions delivered, a hardest bug
+ * feedback_meta.json doesn't list, an update or certification dated before
+ * the release (trainers can see a version while it is in review), and a
+ * trainer's unpublished current_version, which check-versions.js shows as
+ * UNKNOWN with its own fix.
+ */
+
+import fs from "fs";
+
+import { validateReleaseManifest, latestVersion, findRelease, normalizeVersion, compareVersions } from "./releases.js";
+import { readFeedbackCsv, feedbackBelongsTo } from "./feedback.js";
+import { loadSourcesConfig, readFeedbackSources } from "./feedback-sources.js";
+
+// Keys older copies of feedback_meta.json carried before the manifest
+// became the one place versions are declared
+const LEGACY_META_KEYS = ["current_version", "latest_version"];
+
+// ── Reading ──────────────────────────────────────────────────────────────────
+
+function lineAt(text, position) {
+  return text.slice(0, position).split("\n").length;
+}
+
+// The line every value in a JSON document starts on, keyed by its path
+// ("trainers[2].current_version"). Only called on text JSON.parse accepted.
+function jsonLines(text) {
+  const lines = new Map();
+  let i = 0;
+  let line = 1;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      if (text[i] === "\n") line++;
+      i++;
+    }
+  };
+  const readString = () => {
+    const start = i;
+    for (i++; text[i] !== '"'; i++) if (text[i] === "\\") i++;
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const readValue = (path) => {
+    skipSpace();
+    lines.set(path, line);
+    if (text[i] === "{" || text[i] === "[") {
+      const object = text[i] === "{";
+      i++;
+      skipSpace();
+      if (text[i] === (object ? "}" : "]")) { i++; return; }
+      for (let n = 0; ; n++) {
+        if (object) {
+          skipSpace();
+          const key = readString();
+          skipSpace();
+          i++;  // :
+          readValue(path ? `${path}.${key}` : key);
+        } else {
+          readValue(`${path}[${n}]`);
+        }
+        skipSpace();
+        if (text[i++] !== ",") return;
+      }
+    }
+    if (text[i] === '"') { readString(); return; }
+    while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+  };
+
+  readValue("");
+  return lines;
+}
+
+// { file, data, lineOf(path) }, or a finding when the file can't be used
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { finding: { level: "error", file: filePath, line: null, message: "File not found", fix: "Check the path, or pass the right one on the command line." } };
+  }
+  const text = fs.readFileSync(filePath, "utf-8").replace(/^\uFEFF/, "");
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    const position = /position (\d+)/.exec(e.message);
+    return { finding: { level: "error", file: filePath, line: position ? lineAt(text, Number(position[1])) : null, message: `Not valid JSON (${e.message})`, fix: "Correct the JSON syntax." } };
+  }
+  const lines = jsonLines(text);
+  // Falls back to the nearest enclosing value that has a line; null for
+  // the document as a whole
+  const lineOf = (path) => {
+    for (let p = path; p; p = p.replace(/(\.[^.[\]]+|\[\d+\])$/, "")) {
+      if (lines.has(p)) return lines.get(p);
+    }
+    return null;
+  };
+  return { file: filePath, data, lineOf };
+}
+
+// ── Checks ───────────────────────────────────────────────────────────────────
+
+function publishedList(manifest) {
+  return manifest.versions.map(v => v.version).join(", ");
+}
+
+function checkManifest(releases, report) {
+  for (const problem of validateReleaseManifest(releases.data)) {
+    const index = /^versions\[(\d+)\]/.exec(problem);
+    report("error", releases, index ? `versions[${index[1]}]` : "", problem,
+      "Correct the entry in the manifest; scripts/release.js checks each new version before it publishes it.");
+  }
+}
+
+// Bug IDs ("bug1") from the Exercise 1 list, or null when there isn't one
+function checkMeta(meta, releases, report) {
+  const manifest = releases.data;
+  for (const key of LEGACY_META_KEYS.filter(k => k in meta.data)) {
+    const declared = normalizeVersion(meta.data[key]) || meta.data[key];
+    const latest = latestVersion(manifest);
+    const fix = `Remove '${key}' from ${meta.file}; the scripts take the current version from ${releases.file}.`;
+    if (declared !== latest) {
+      report("error", meta, key, `${key} is ${meta.data[key]}, but the latest release in ${releases.file} is ${latest}`, fix);
+    } else {
+      report("warning", meta, key, `${key} isn't read by any script and will drift from ${releases.file}`, fix);
+    }
+  }
+
+  (Array.isArray(meta.data.version_history) ? meta.data.version_history : []).forEach((entry, i) => {
+    const version = entry?.version ?? entry;
+    if (!findRelease(manifest, version)) {
+      report("error", meta, `version_history[${i}]`, `version ${version} is not a published release`,
+        `Remove it, or publish it with scripts/release.js if it shipped (published: ${publishedList(manifest)}).`);
+    }
+  });
+
+  const bugs = meta.data.exercises?.exercise_1?.bugs;
+  return Array.isArray(bugs) ? bugs.map(b => String(b).split(":")[0].trim()) : null;
+}
+
+function checkDated(entry, what, record, path, manifest, report) {
+  const release = findRelease(manifest, entry.version);
+  if (!release) {
+    report("error", record, `${path}.version`, `${what} names version ${entry.version}, which is not a published release`,
+      `Use one of the published versions (${publishedList(manifest)}).`);
+  } else if (entry.date && entry.date < release.released) {
+    // Trainers can be given a version during review, so this is only a warning
+    report("warning", record, `${path}.date`, `${what} is dated ${entry.date}, before v${release.version} was released on ${release.released}`,
+      `If this was early access it can stay; otherwise correct the date, or the release date of v${release.version} in the manifest.`);
+  }
+}
+
+function checkTrainers(trainers, releases, report) {
+  const manifest = releases.data;
+  const list = Array.isArray(trainers.data.trainers) ? trainers.data.trainers : [];
+  const seenEmails = new Map();
+
+  list.forEach((t, i) => {
+    const path = `trainers[${i}]`;
+    const who = t.name || path;
+
+    // check-versions.js reports these itself, as UNKNOWN with a suggested fix
+    if (t.current_version !== undefined && !findRelease(manifest, t.current_version)) {
+      report("warning", trainers, `${path}.current_version`, `${who}: current_version ${t.current_version} is not a published release`,
+        `Set it to one of ${publishedList(manifest)}, or publish v${t.current_version} with scripts/release.js if it has shipped.`);
+    }
+
+    const history = Array.isArray(t.version_history) ? t.version_history : [];
+    history.forEach((h, j) => checkDated(h, `${who}'s update`, trainers, `${path}.version_history[${j}]`, manifest, report));
+    (Array.isArray(t.certifications) ? t.certifications : [])
+      .forEach((c, j) => checkDated(c, `${who}'s certification`, trainers, `${path}.certifications[${j}]`, manifest, report));
+
+    const last = history.at(-1);
+    if (last && t.current_version !== undefined && normalizeVersion(last.version) !== normalizeVersion(t.current_version)) {
+      report("error", trainers, `${path}.current_version`, `${who}: current_version is ${t.current_version}, but version_history ends on ${last.version} (${last.date})`,
+        `Add { "version": "${t.current_version}", "date": "<the day they updated>" } to version_history, or set current_version to ${last.version}.`);
+    }
+    if (last?.date && t.last_accessed && t.last_accessed < last.date) {
+      report("warning", trainers, `${path}.last_accessed`, `${who}: last_accessed ${t.last_accessed} is before their last update on ${last.date}`,
+        `Set last_accessed to ${last.date} or later.`);
+    }
+
+    const email = String(t.email || "").toLowerCase();
+    if (email && seenEmails.has(email)) {
+      report("error", trainers, `${path}.email`, `${who} has the same email as ${seenEmails.get(email)}`,
+        "Merge the two records; feedback, notifications and registrations are matched on email.");
+    } else if (email) {
+      seenEmails.set(email, who);
+    }
+  });
+
+  return list.filter(t => t.name && t.email);
+}
+
+// The version a trainer's history has them on for a date, or null before
+// their first recorded version
+function versionOn(trainer, date) {
+  return [...trainer.version_history].reverse().find(h => h.date <= date) || null;
+}
+
+function checkFeedback(feedback, releases, trainers, bugs, report) {
+  const manifest = releases.data;
+  const where = (row) => feedback.locations.get(row) || {};
+  const reportRow = (level, row, message, fix) => {
+    const { source, line, at } = where(row);
+    report(level, { file: source || feedback.file, lineOf: () => line ?? null, at }, "", message, fix);
+  };
+
+  for (const row of feedback.invalid) {
+    report("warning", { file: row.source || feedback.file, lineOf: () => row.line, at: row.at }, "",
+      `${row.session ? `${row.session}: ` : ""}fails the column schema — ${row.problems.join("; ")}`,
+      "Correct the row; until then analyze-feedback.js leaves it out.");
+  }
+
+  const formsPerTrainer = new Map();
+  const noRecord = new Map();   // name → rows
+
+  for (const row of feedback.rows) {
+    const session = `${row.session_id} (${row.session_date})`;
+    const release = findRelease(manifest, row.guide_version);
+    if (!release) {
+      reportRow("error", row, `${session}: guide_version ${row.guide_version} is not a published release`,
+        `Correct the version on the row (published: ${publishedList(manifest)}), or publish it with scripts/release.js if it shipped.`);
+    } else if (row.session_date < release.released) {
+      reportRow("error", row, `${session}: delivered on v${release.version}, which wasn't released until ${release.released}`,
+        "Check the session date and the guide version; one of them is wrong.");
+    }
+
+    if (bugs && row.hardest_bug && row.hardest_bug !== "none" && !bugs.includes(row.hardest_bug)) {
+      reportRow("warning", row, `${session}: hardest_bug '${row.hardest_bug}' is not one of the Exercise 1 bugs in feedback_meta.json (${bugs.join(", ")})`,
+        "Correct the row, or add the bug to exercises.exercise_1.bugs.");
+    }
+
+    if (!trainers) continue;
+    const trainer = trainers.list.find(t => feedbackBelongsTo(row, t));
+    if (!trainer) {
+      const key = row.trainer_email || row.trainer_name;
+      noRecord.set(key, [...(noRecord.get(key) || []), row]);
+      continue;
+    }
+    formsPerTrainer.set(trainer, (formsPerTrainer.get(trainer) || 0) + 1);
+
+    if (release && Array.isArray(trainer.version_history) && trainer.version_history.length > 0) {
+      const recorded = versionOn(trainer, row.session_date);
+      if (!recorded) {
+        reportRow("warning", row, `${session}: ${trainer.name} has no version on record until ${trainer.version_history[0].date}`,
+          `Add the version they were on to the start of their version_history in ${trainers.file}.`);
+      } else if (compareVersions(release.version, normalizeVersion(recorded.version)) > 0) {
+        reportRow("warning", row, `${session}: delivered on v${release.version}, but ${trainers.file} has ${trainer.name} on v${recorded.version} that day`,
+          `Add their move to v${release.version} to version_history with the date it happened.`);
+      }
+    }
+  }
+
+  for (const [name, rows] of noRecord) {
+    reportRow("warning", rows[0], `${name} has ${rows.length} session${rows.length === 1 ? "" : "s"} of feedback but no trainer record`,
+      `Add them to ${trainers.file}, or correct the name or email on the row${rows.length === 1 ? "" : "s"}.`);
+  }
+
+  if (!trainers) return;
+  trainers.list.forEach(t => {
+    const forms = formsPerTrainer.get(t) || 0;
+    const delivered = parseInt(t.sessions_delivered) || 0;
+    if (forms > delivered) {
+      const i = trainers.data.trainers.indexOf(t);
+      report("warning", trainers, `trainers[${i}].sessions_delivered`, `${t.name}: ${forms} feedback forms, but sessions_delivered is ${delivered}`,
+        `Raise sessions_delivered to at least ${forms}, or check for feedback filed under the wrong trainer.`);
+    }
+  });
+}
+
+function readFeedback(paths) {
+  const file = paths.sources || paths.feedback;
+  try {
+    const result = paths.sources ? readFeedbackSources(loadSourcesConfig(paths.sources)) : readFeedbackCsv(paths.feedback);
+    return { file, ...result };
+  } catch (e) {
+    const details = e.problems ? `: ${e.problems.join("; ")}` : "";
+    return { finding: { level: "error", file, line: null, message: `${e.message.replace(/:$/, "")}${details}`, fix: "Fix the file so it can be read." } };
+  }
+}
+
+// ── Entry point ──────────────────────────────────────────────────────────────
+
+/**
+ * Checks the files at `paths` — { releases, meta, trainers, feedback,
+ * sources } — against each other. Only releases is required; leave any
+ * other out (or null) to skip it. sources, a feedback sources config,
+ * takes the place of feedback.
+ *
+ * Returns { errors, warnings, files } with findings in file order.
+ */
+export function checkDataFiles(paths) {
+  const findings = [];
+  const report = (level, record, path, message, fix) => {
+    findings.push({ level, file: record.file, line: record.lineOf(path), ...(record.at ? { at: record.at } : {}), message, fix });
+  };
+  const files = [paths.releases, paths.meta, paths.trainers, paths.sources || paths.feedback].filter(Boolean);
+  const done = () => ({
+    errors:   findings.filter(f => f.level === "error"),
+    warnings: findings.filter(f => f.level === "warning"),
+    files,
+  });
+
+  const releases = readJsonFile(paths.releases);
+  if (releases.finding) return findings.push(releases.finding), done();
+  checkManifest(releases, report);
+  // Nothing else can be checked against a manifest that is itself broken
+  if (findings.length > 0) return done();
+
+  let bugs = null;
+  if (paths.meta) {
+    const meta = readJsonFile(paths.meta);
+    if (meta.finding) findings.push(meta.finding);
+    else bugs = checkMeta(meta, releases, report);
+  }
+
+  let trainers = null;
+  if (paths.trainers) {
+    const record = readJsonFile(paths.trainers);
+    if (record.finding) findings.push(record.finding);
+    else trainers = { ...record, list: checkTrainers(record, releases, report) };
+  }
+
+  if (paths.feedback || paths.sources) {
+    const feedback = readFeedback(paths);
+    if (feedback.finding) findings.push(feedback.finding);
+    else checkFeedback(feedback, releases, trainers, bugs, report);
+  }
+
+  const order = new Map(files.map((f, i) => [f, i]));
+  findings.sort((a, b) => (order.get(a.file) ?? files.length) - (order.get(b.file) ?? files.length) || (a.line ?? 0) - (b.line ?? 0));
+  return done();
+}
+
+// "sample-data/feedback.csv:9", or "export.json item 3" for JSON sources
+export function findingLocation(finding) {
+  if (finding.at) return `${finding.file} ${finding.at}`;
+  return finding.line ? `${finding.file}:${finding.line}` : finding.file;
+}
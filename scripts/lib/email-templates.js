@@ -0,0 +1,122 @@
+/**
+ * email-templates.js
+ *
+ * File-based notification templates for check-versions.js, one per
+ * urgency tier, with per-locale and per-region overrides.
+ *
+ * Layout (default root: templates/email):
+ *   templates/email/default/critical.txt
+ *   templates/email/default/high.txt
+ *   templates/email/default/medium.txt
+ *   templates/email/default/recertification.txt
+ *   templates/email/fr/critical.txt         ← overrides for French speakers
+ *   templates/email/APAC/medium.txt         ← overrides for a region
+ *
+ * Each template is looked up along the trainer's fallback chain and the
+ * first directory that has it wins:
+ *   locale ("fr-CA") → language ("fr") → region ("EMEA") → default
+ *
+ * File format: a "Subject:" line, a blank line, then the body.
+ *
+ *   Subject: Facilitator guide update available — v{{latest_version}}
+ *
+ *   Hi {{preferred_name}},
+ *   {{#missed}}
+ *     v{{version}}: {{notes}}
+ *   {{/missed}}
+ *
+ * {{name}} inserts a value. {{#name}}…{{/name}} renders its content when the
+ * value is truthy, once per item when it is a list. {{^name}}…{{/name}}
+ * renders when it is falsy or empty. A section tag alone on a line takes
+ * the line with it. Runs of blank lines left by skipped sections collapse
+ * to one.
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_TEMPLATES_DIR = "templates/email";
+export const TEMPLATE_NAMES = ["critical", "high", "medium", "recertification"];
+
+// The name used in the greeting. Set preferred_name on the trainer record
+// wherever the first word of the full name isn't the right one — e.g.
+// family-name-first names, or a trainer who goes by a nickname.
+export function greetingName(trainer) {
+  return trainer.preferred_name || trainer.name.split(" ")[0];
+}
+
+export function templateChain(trainer) {
+  const chain = [
+    trainer.locale,
+    trainer.locale?.split("-")[0],
+    trainer.region,
+    "default",
+  ];
+  return [...new Set(chain.filter(Boolean))];
+}
+
+export function resolveTemplate(dir, name, chain) {
+  for (const variant of chain) {
+    const file = path.join(dir, variant, `${name}.txt`);
+    if (fs.existsSync(file)) return file;
+  }
+  throw new Error(`No '${name}' email template in ${chain.map(v => path.join(dir, v)).join(", ")}`);
+}
+
+function parseTemplate(raw, file) {
+  const match = /^Subject:[ \t]*(.*)\r?\n\r?\n([\s\S]*)$/.exec(raw);
+  if (!match) {
+    throw new Error(`Email template '${file}' must start with a "Subject:" line followed by a blank line.`);
+  }
+  return { subject: match[1], body: match[2] };
+}
+
+// ── Rendering ────────────────────────────────────────────────────────────────
+
+function lookup(scopes, key, missing) {
+  const scope = scopes.find(s => s && typeof s === "object" && key in s);
+  if (!scope) {
+    missing.add(key);
+    return undefined;
+  }
+  return scope[key];
+}
+
+function render(text, scopes, missing) {
+  const sections = text.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, kind, key, inner) => {
+    const value = lookup(scopes, key, missing);
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (kind === "^") return empty ? render(inner, scopes, missing) : "";
+    if (empty) return "";
+    if (Array.isArray(value)) return value.map(item => render(inner, [item, ...scopes], missing)).join("");
+    return render(inner, scopes, missing);
+  });
+  return sections.replace(/\{\{(\w+)\}\}/g, (_, key) => String(lookup(scopes, key, missing) ?? ""));
+}
+
+export function renderTemplate(text, vars) {
+  const missing = new Set();
+  const standalone = text.replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\r?\n/gm, "$1");
+  const output = render(standalone, [vars], missing)
+    .replace(/\n[ \t]*\n(?:[ \t]*\n)+/g, "\n\n");
+  return { text: output, missing: [...missing] };
+}
+
+// Renders one template for one trainer. Placeholders with no value are an
+// error, so a typo in a template fails the preview rather than a send.
+export function renderEmail(dir, name, trainer, vars) {
+  const file = resolveTemplate(dir, name, templateChain(trainer));
+  const template = parseTemplate(fs.readFileSync(file, "utf-8"), file);
+
+  const subject = renderTemplate(template.subject, vars);
+  const body    = renderTemplate(template.body, vars);
+
+  const missing = [...new Set([...subject.missing, ...body.missing])];
+  if (missing.length > 0) {
+    const error = new Error(`Email template '${file}' uses unknown placeholder${missing.length > 1 ? "s" : ""}:`);
+    error.problems = missing.map(m => `{{${m}}}`);
+    throw error;
+  }
+
+  return { subject: subject.text.trim(), body: body.text.trim(), template: file };
+}
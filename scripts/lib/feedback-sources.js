@@ -0,0 +1,327 @@
+/**
+ * feedback-sources.js
+ *
+ * Feedback from more than one place: the canonical feedback.csv, a Google
+ * Forms export, a partner's spreadsheet. analyze-feedback.js --sources reads
+ * a config that lists the files and, for each one that doesn't already use
+ * the canonical columns, a mapping onto them (FEEDBACK_SCHEMA in
+ * lib/feedback.js). Every mapped row is validated exactly like a row of
+ * feedback.csv.
+ *
+ * Config shape (paths are relative to the config file):
+ *   {
+ *     "sources": [                 // in order of precedence
+ *       { "path": "feedback.csv" },
+ *       { "path": "forms-export.csv", "mapping": "google-forms" },
+ *       { "path": "partner.jsonl",    "mapping": "partner", "format": "jsonl" }
+ *     ],
+ *     "mappings": {
+ *       "google-forms": {
+ *         "columns":        { "Session ID": "session_id", "Your name": "trainer_name", "Timestamp": null },
+ *         "values":         { "delivery_format": { "Zoom": "zoom", "In person": "in-person" } },
+ *         "booleans":       { "true": ["Yes", "Y"], "false": ["No", "N"] },
+ *         "date_format":    "M/D/YYYY",
+ *         "list_separator": ";"
+ *       }
+ *     }
+ *   }
+ *
+ * columns        source column → canonical column; null drops the column.
+ *                Columns not listed keep their name.
+ * values         per canonical column, source value → canonical value
+ *                (matched ignoring case and surrounding spaces)
+ * booleans       extra spellings for true/false columns such as setup_issues
+ * date_format    how dates are written, with YYYY, MM / M and DD / D; a time
+ *                after the date (a form timestamp) is ignored
+ * list_separator what separates items in list columns (questions_unanswered)
+ *                instead of "|"
+ *
+ * Mapped sources also have their guide versions written the canonical way
+ * ("v1.1.0" → "1.1").
+ *
+ * Formats are csv, json (an array of objects, or { "sessions": [...] }) and
+ * jsonl (one object per line), taken from the file extension unless
+ * "format" is given.
+ *
+ * Sessions are deduplicated by session_id across all sources. The first
+ * source listed wins, so put the canonical file first; every duplicate
+ * dropped is reported.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { normalizeVersion } from "./releases.js";
+import { FEEDBACK_SCHEMA, parseCsvRecords, checkHeaders, validateRecords } from "./feedback.js";
+
+export const SOURCE_FORMATS = ["csv", "json", "jsonl"];
+
+const FORMAT_BY_EXTENSION = { ".csv": "csv", ".json": "json", ".jsonl": "jsonl", ".ndjson": "jsonl" };
+
+const MAPPING_KEYS = ["columns", "values", "booleans", "date_format", "list_separator"];
+
+// ── Configuration ────────────────────────────────────────────────────────────
+
+function checkMapping(name, mapping, problems) {
+  const at = `mappings.${name}`;
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    problems.push(`${at} must be an object`);
+    return;
+  }
+  for (const key of Object.keys(mapping)) {
+    if (!MAPPING_KEYS.includes(key)) problems.push(`${at}.${key} is not a mapping setting (settings: ${MAPPING_KEYS.join(", ")})`);
+  }
+
+  for (const [from, to] of Object.entries(mapping.columns || {})) {
+    if (to !== null && !(to in FEEDBACK_SCHEMA)) {
+      problems.push(`${at}.columns maps '${from}' to '${to}', which isn't a feedback column`);
+    }
+  }
+  for (const [column, values] of Object.entries(mapping.values || {})) {
+    if (!(column in FEEDBACK_SCHEMA)) problems.push(`${at}.values.${column} isn't a feedback column`);
+    else if (!values || typeof values !== "object") problems.push(`${at}.values.${column} must map source values to canonical ones`);
+  }
+  if (mapping.booleans) {
+    for (const key of Object.keys(mapping.booleans)) {
+      if (key !== "true" && key !== "false") problems.push(`${at}.booleans may only list "true" and "false" spellings`);
+      else if (!Array.isArray(mapping.booleans[key])) problems.push(`${at}.booleans.${key} must be a list`);
+    }
+  }
+  if (mapping.date_format !== undefined && !dateFormatPattern(mapping.date_format)) {
+    problems.push(`${at}.date_format must contain YYYY, MM or M, and DD or D, got '${mapping.date_format}'`);
+  }
+  if (mapping.list_separator !== undefined && !(typeof mapping.list_separator === "string" && mapping.list_separator)) {
+    problems.push(`${at}.list_separator must be a non-empty string`);
+  }
+}
+
+/**
+ * Reads and checks a sources config. Returns [{ path, label, format,
+ * mapping }], with paths resolved against the config's directory and
+ * mapping null for canonical files. Problems are collected and thrown
+ * together (.problems).
+ */
+export function loadSourcesConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Feedback sources config not found at '${filePath}'`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not parse feedback sources config '${filePath}': ${e.message}`);
+  }
+
+  const problems = [];
+  const mappings = config.mappings || {};
+  Object.entries(mappings).forEach(([name, mapping]) => checkMapping(name, mapping, problems));
+
+  if (!Array.isArray(config.sources) || config.sources.length === 0) {
+    problems.push("'sources' must be a non-empty list");
+  }
+  const dir = path.dirname(filePath);
+  const sources = (Array.isArray(config.sources) ? config.sources : []).map((source, i) => {
+    const at = `sources[${i}]`;
+    if (!source?.path) {
+      problems.push(`${at} needs a 'path'`);
+      return null;
+    }
+    const format = source.format || FORMAT_BY_EXTENSION[path.extname(source.path).toLowerCase()];
+    if (!SOURCE_FORMATS.includes(format)) {
+      problems.push(`${at} (${source.path}): format must be one of ${SOURCE_FORMATS.join(", ")}` +
+        (source.format ? `, got '${source.format}'` : " — set 'format' for this extension"));
+    }
+    if (source.mapping && !(source.mapping in mappings)) {
+      problems.push(`${at} (${source.path}): unknown mapping '${source.mapping}'`);
+    }
+    const resolved = path.resolve(dir, source.path);
+    if (!fs.existsSync(resolved)) problems.push(`${at}: '${source.path}' not found`);
+    return { path: resolved, label: source.path, format, mapping: source.mapping ? mappings[source.mapping] || null : null };
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(`Feedback sources config '${filePath}' is invalid:`);
+    error.problems = problems;
+    throw error;
+  }
+  return sources;
+}
+
+// ── Reading ──────────────────────────────────────────────────────────────────
+
+// JSON values become the strings a CSV cell would hold
+function cell(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(cell).join("|");
+  return String(value).trim();
+}
+
+function objectRecord(item, where) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { ...where, values: {}, problems: ["is not an object"] };
+  }
+  return { ...where, values: Object.fromEntries(Object.entries(item).map(([k, v]) => [k, cell(v)])), problems: [] };
+}
+
+// Headers of a JSON source: every key any record uses, in first-seen order
+function keysOf(records) {
+  return [...new Set(records.flatMap(r => Object.keys(r.values)))];
+}
+
+function readJson(raw, label) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Could not parse feedback JSON '${label}': ${e.message}`);
+  }
+  const items = Array.isArray(data) ? data : data?.sessions;
+  if (!Array.isArray(items)) throw new Error(`Feedback JSON '${label}' must be an array of sessions or { "sessions": [...] }.`);
+  const records = items.map((item, i) => objectRecord(item, { line: i + 1, at: `item ${i + 1}` }));
+  return { headers: keysOf(records), records };
+}
+
+function readJsonl(raw, label) {
+  const records = [];
+  raw.split(/\r?\n/).forEach((text, i) => {
+    if (!text.trim()) return;
+    try {
+      records.push(objectRecord(JSON.parse(text), { line: i + 1 }));
+    } catch (e) {
+      records.push({ line: i + 1, values: {}, problems: [`is not valid JSON (${e.message})`] });
+    }
+  });
+  if (records.length === 0) throw new Error(`Feedback JSONL '${label}' has no data rows.`);
+  return { headers: keysOf(records), records };
+}
+
+function readSource(source) {
+  const raw = fs.readFileSync(source.path, "utf-8").replace(/^\uFEFF/, "");
+  if (source.format === "json")  return readJson(raw, source.label);
+  if (source.format === "jsonl") return readJsonl(raw, source.label);
+  return parseCsvRecords(raw, source.label);
+}
+
+// ── Mapping ──────────────────────────────────────────────────────────────────
+
+// "M/D/YYYY" → a RegExp with named groups, or null without all three parts
+function dateFormatPattern(format) {
+  if (typeof format !== "string") return null;
+  const tokens = { YYYY: "(?<year>\\d{4})", MM: "(?<month>\\d{2})", M: "(?<month>\\d{1,2})", DD: "(?<day>\\d{2})", D: "(?<day>\\d{1,2})" };
+  let source = "";
+  const seen = new Set();
+  for (const part of format.split(/(YYYY|MM|M|DD|D)/)) {
+    if (tokens[part]) {
+      const group = part[0];
+      if (seen.has(group)) return null;
+      seen.add(group);
+      source += tokens[part];
+    } else {
+      source += part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return seen.size === 3 ? new RegExp(`^${source}(?:[ T].*)?$`) : null;
+}
+
+// A value that doesn't match, or isn't a real date, is left as written so
+// validation reports it the way the source has it
+function convertDate(value, pattern) {
+  const match = pattern.exec(value);
+  if (!match) return value;
+  const { year, month, day } = match.groups;
+  const iso = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(iso) ? iso : value;
+}
+
+function lookup(map, value) {
+  const wanted = value.trim().toLowerCase();
+  const key = Object.keys(map).find(k => k.trim().toLowerCase() === wanted);
+  return key === undefined ? value : String(map[key]);
+}
+
+// Renames columns and rewrites values onto the canonical schema
+function applyMapping({ headers, records }, mapping) {
+  const columns = mapping.columns || {};
+  const rename = h => (h in columns ? columns[h] : h);
+  const datePattern = mapping.date_format ? dateFormatPattern(mapping.date_format) : null;
+  const booleans = {
+    ...Object.fromEntries((mapping.booleans?.true || []).map(v => [v, "true"])),
+    ...Object.fromEntries((mapping.booleans?.false || []).map(v => [v, "false"])),
+  };
+
+  const mapped = records.map(record => {
+    const values = {};
+    for (const [header, value] of Object.entries(record.values)) {
+      const column = rename(header);
+      if (column === null) continue;
+      const spec = FEEDBACK_SCHEMA[column];
+      let v = value;
+      if (mapping.values?.[column]) v = lookup(mapping.values[column], v);
+      if (spec?.type === "boolean") v = lookup(booleans, v);
+      if (spec?.type === "date" && datePattern) v = convertDate(v, datePattern);
+      if (spec?.type === "version") v = normalizeVersion(v) || v;
+      if (spec?.type === "list" && mapping.list_separator) {
+        v = v.split(mapping.list_separator).map(item => item.trim()).filter(Boolean).join("|");
+      }
+      values[column] = v;
+    }
+    return { ...record, values };
+  });
+
+  return { headers: headers.map(rename).filter(h => h !== null), records: mapped };
+}
+
+// ── Merging ──────────────────────────────────────────────────────────────────
+
+/**
+ * Reads every source, maps it onto the canonical columns and validates it,
+ * then merges the valid rows, keeping the first of any session_id seen
+ * twice. Returns the shape of readFeedbackCsv() — { rows, invalid,
+ * unknownColumns, total, locations } — with invalid rows and locations
+ * tagged by source, plus:
+ *   sources     [{ label, format, mapped, total, valid, kept }]
+ *   duplicates  [{ session, source, keptFrom }]
+ *
+ * Throws (with .problems) if a source can't be read or its columns can't
+ * satisfy the schema.
+ */
+export function readFeedbackSources(sources, schema = FEEDBACK_SCHEMA) {
+  const rows = [];
+  const invalid = [];
+  const unknownColumns = [];
+  const duplicates = [];
+  const summary = [];
+  const keptFrom = new Map();
+  const locations = new Map();
+  let total = 0;
+
+  for (const source of sources) {
+    let parsed = readSource(source);
+    if (source.mapping) parsed = applyMapping(parsed, source.mapping);
+    checkHeaders(parsed.headers, source.format === "csv"
+      ? `Feedback source '${source.label}' has an invalid header row${source.mapping ? " (after mapping)" : ""}:`
+      : `Feedback source '${source.label}' is missing columns${source.mapping ? " (after mapping)" : ""}:`, schema);
+
+    const result = validateRecords(parsed.headers, parsed.records, schema);
+    total += result.total;
+    invalid.push(...result.invalid.map(r => ({ ...r, source: source.label })));
+    unknownColumns.push(...result.unknownColumns.map(c => `${c} (${source.label})`));
+
+    let kept = 0;
+    for (const row of result.rows) {
+      if (keptFrom.has(row.session_id)) {
+        duplicates.push({ session: row.session_id, source: source.label, keptFrom: keptFrom.get(row.session_id) });
+        continue;
+      }
+      keptFrom.set(row.session_id, source.label);
+      rows.push(row);
+      locations.set(row, { source: source.label, ...result.locations.get(row) });
+      kept++;
+    }
+    summary.push({ label: source.label, format: source.format, mapped: Boolean(source.mapping), total: result.total, valid: result.rows.length, kept });
+  }
+
+  return { rows, invalid, unknownColumns, total, locations, sources: summary, duplicates };
+}
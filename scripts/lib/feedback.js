@@ -0,0 +1,266 @@
+/**
+ * feedback.js
+ *
+ * Reads and validates session feedback rows (feedback.csv). Shared by
+ * analyze-feedback.js, which aggregates them, and check-versions.js
+ * --reconcile, which joins them to trainer records to find off-version
+ * deliveries and missing feedback.
+ *
+ * Parsing follows RFC 4180: quoted fields may contain commas, line breaks
+ * and doubled "" quotes. Every column is declared in FEEDBACK_SCHEMA with
+ * its type and range; a row that breaks the schema is reported with the
+ * line it starts on, so multi-line notes don't throw the numbering off.
+ *
+ * Each row is one delivered session. Values are kept as the strings in the
+ * file (booleans are normalised to "true" / "false"). Columns outside the
+ * schema are passed through untouched.
+ *
+ * Feedback from other files and formats (JSON, JSONL, exports with their
+ * own column names) is mapped onto the same schema by lib/feedback-sources.js
+ * and validated with validateRecords().
+ */
+
+import fs from "fs";
+import { parse } from "csv-parse/sync";
+
+// type: string | integer | number | date (YYYY-MM-DD) | boolean (true/false)
+//       | version (1.1, v1.1.0) | list (pipe-separated)
+// required: the value may not be empty. requiredWithout: it may only be
+// empty when the named column has a value. min / max bound numbers.
+export const FEEDBACK_SCHEMA = {
+  session_id:           { type: "string",  required: true },
+  trainer_name:         { type: "string",  required: true },
+  trainer_email:        { type: "string" },
+  session_date:         { type: "date",    required: true },
+  guide_version:        { type: "version", required: true },
+  participant_count:    { type: "integer", required: true, min: 1 },
+  delivery_format:      { type: "string",  required: true },
+  team_context:         { type: "string" },
+  ex1_completion_pct:   { type: "integer", required: true, min: 0, max: 100 },
+  ex2_completion_pct:   { type: "integer", required: true, min: 0, max: 100 },
+  energy_opening:       { type: "integer", required: true, min: 1, max: 5 },
+  energy_exercises:     { type: "integer", required: true, min: 1, max: 5 },
+  energy_closing:       { type: "integer", required: true, min: 1, max: 5 },
+  hardest_bug:          { type: "string" },
+  questions_unanswered: { type: "list" },
+  lost_room_at:         { type: "string" },
+  early_finishers:      { type: "integer", min: 0 },
+  setup_issues:         { type: "boolean", required: true },
+  trainer_notes:        { type: "string" },
+  session_highlights:   { type: "string" },
+};
+
+// The columns check-versions.js --reconcile needs. An export may identify
+// trainers by trainer_email alone, so trainer_name is only required without it.
+export const RECONCILE_SCHEMA = {
+  trainer_name:  { ...FEEDBACK_SCHEMA.trainer_name, required: false, requiredWithout: "trainer_email" },
+  trainer_email: FEEDBACK_SCHEMA.trainer_email,
+  session_date:  FEEDBACK_SCHEMA.session_date,
+  guide_version: FEEDBACK_SCHEMA.guide_version,
+};
+
+// ── Field checks ─────────────────────────────────────────────────────────────
+
+function isIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function outOfRange(number, spec) {
+  if (spec.min !== undefined && number < spec.min) return true;
+  if (spec.max !== undefined && number > spec.max) return true;
+  return false;
+}
+
+function rangeText(spec) {
+  if (spec.min !== undefined && spec.max !== undefined) return `${spec.min}–${spec.max}`;
+  if (spec.min !== undefined) return `at least ${spec.min}`;
+  return `at most ${spec.max}`;
+}
+
+// Returns a problem description, or null when the value fits its column
+function checkField(value, spec) {
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const pattern = spec.type === "integer" ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+      if (!pattern.test(value)) return `must be ${spec.type === "integer" ? "a whole number" : "a number"}`;
+      if (outOfRange(Number(value), spec)) return `must be ${rangeText(spec)}`;
+      return null;
+    }
+    case "date":
+      return isIsoDate(value) ? null : "must be a YYYY-MM-DD date";
+    case "boolean":
+      return /^(true|false)$/i.test(value) ? null : "must be true or false";
+    case "version":
+      return /^v?\d+(\.\d+){0,2}$/i.test(value) ? null : "must be a version number like 1.1";
+    default:
+      return null;
+  }
+}
+
+// ── Parsing ──────────────────────────────────────────────────────────────────
+
+// info.lines is the line a record ends on; count back over any line breaks
+// inside it (quoted notes) to find the line it starts on
+function startLine(record) {
+  const text = record.raw.replace(/^(\r?\n)+/, "").replace(/\r?\n$/, "");
+  return record.info.lines - (text.match(/\n/g) || []).length;
+}
+
+// CSV text → { headers, records: [{ line, values, problems }] }, with each
+// record keyed by header and `line` the line it starts on
+export function parseCsvRecords(raw, source) {
+  let parsed;
+  try {
+    parsed = parse(raw, {
+      bom:                true,
+      info:               true,
+      raw:                true,
+      relax_column_count: true,
+      skip_empty_lines:   true,
+      trim:               true,
+    });
+  } catch (e) {
+    throw new Error(`Could not parse feedback CSV '${source}': ${e.message}`);
+  }
+  if (parsed.length < 2) throw new Error(`Feedback CSV '${source}' has no data rows.`);
+
+  const headers = parsed[0].record;
+  const records = parsed.slice(1).map(record => {
+    const values = record.record;
+    return {
+      line:     startLine(record),
+      values:   headers.reduce((obj, header, idx) => {
+        obj[header] = values[idx] ?? "";
+        return obj;
+      }, {}),
+      problems: values.length === headers.length ? [] : [`has ${values.length} values, expected ${headers.length}`],
+    };
+  });
+  return { headers, records };
+}
+
+// Throws `message` (with .problems) when the columns can't satisfy the schema
+export function checkHeaders(headers, message, schema = FEEDBACK_SCHEMA) {
+  const headerProblems = [];
+  const seen = new Set();
+  headers.forEach(h => {
+    if (seen.has(h)) headerProblems.push(`column '${h}' appears more than once`);
+    seen.add(h);
+  });
+  for (const [column, spec] of Object.entries(schema)) {
+    if (seen.has(column)) continue;
+    if (spec.required) headerProblems.push(`missing required column '${column}'`);
+    if (spec.requiredWithout && !seen.has(spec.requiredWithout)) {
+      headerProblems.push(`needs a '${column}' or '${spec.requiredWithout}' column`);
+    }
+  }
+  if (headerProblems.length > 0) {
+    const error = new Error(message);
+    error.problems = headerProblems;
+    throw error;
+  }
+}
+
+/**
+ * Validates parsed records against a schema. Records come from
+ * parseCsvRecords() or, for JSON sources, lib/feedback-sources.js; any
+ * problems a record already carries are kept.
+ *
+ * Returns { rows, invalid, unknownColumns, total, locations }:
+ *   rows            valid rows, keyed by column
+ *   invalid         [{ line, at?, session, problems[] }] for rows that break the schema
+ *   unknownColumns  headers the schema doesn't declare
+ *   total           data rows read
+ *   locations       Map from each valid row to the { line, at? } it was read from
+ */
+export function validateRecords(headers, records, schema = FEEDBACK_SCHEMA) {
+  const rows = [];
+  const invalid = [];
+  const locations = new Map();
+
+  for (const record of records) {
+    const row = record.values;
+    const problems = [...record.problems];
+    if (problems.length === 0) {
+      for (const [column, spec] of Object.entries(schema)) {
+        const value = row[column];
+        if (value === undefined || value === "") {
+          if (spec.required) problems.push(`${column} is empty`);
+          if (spec.requiredWithout && !row[spec.requiredWithout]) {
+            problems.push(`needs ${column} or ${spec.requiredWithout}`);
+          }
+          continue;
+        }
+        const problem = checkField(value, spec);
+        if (problem) problems.push(`${column} ${problem}, got '${value}'`);
+        else if (spec.type === "boolean") row[column] = value.toLowerCase();
+      }
+    }
+
+    if (problems.length > 0) {
+      invalid.push({ line: record.line, ...(record.at ? { at: record.at } : {}), session: row.session_id || null, problems });
+    } else {
+      rows.push(row);
+      locations.set(row, { line: record.line, ...(record.at ? { at: record.at } : {}) });
+    }
+  }
+
+  return {
+    rows,
+    invalid,
+    unknownColumns: headers.filter(h => !(h in schema)),
+    total:          records.length,
+    locations,
+  };
+}
+
+/**
+ * Parses and validates feedback CSV text against a schema. Returns the
+ * validateRecords() result.
+ *
+ * Throws if the text isn't well-formed CSV, and (with .problems) if the
+ * header row is missing a required column.
+ */
+export function parseFeedbackCsv(raw, source, schema = FEEDBACK_SCHEMA) {
+  const { headers, records } = parseCsvRecords(raw, source);
+  checkHeaders(headers, `Feedback CSV '${source}' has an invalid header row:`, schema);
+  return validateRecords(headers, records, schema);
+}
+
+export function readFeedbackCsv(filePath, schema = FEEDBACK_SCHEMA) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Feedback CSV not found at '${filePath}'`);
+  }
+  return parseFeedbackCsv(fs.readFileSync(filePath, "utf-8"), filePath, schema);
+}
+
+// One line per invalid row, for printing under an error or warning
+// (`source` is set when rows come from several files, `at` for records
+// that aren't on a line of their own, such as items of a JSON array)
+export function describeInvalidRows(invalid) {
+  return invalid.map(({ source, line, at, session, problems }) =>
+    `${source ? `${source} ` : ""}${at || `line ${line}`}${session ? ` (${session})` : ""}: ${problems.join("; ")}`
+  );
+}
+
+// ── Reconciliation ───────────────────────────────────────────────────────────
+
+// Reads only the reconciliation columns; any invalid row is an error
+export function loadFeedbackRows(filePath) {
+  const { rows, invalid } = readFeedbackCsv(filePath, RECONCILE_SCHEMA);
+  if (invalid.length > 0) {
+    const error = new Error(`Feedback CSV '${filePath}' has ${invalid.length} invalid row${invalid.length > 1 ? "s" : ""}:`);
+    error.problems = describeInvalidRows(invalid);
+    throw error;
+  }
+  return rows;
+}
+
+// Matches on email when the row has one, otherwise on the trainer's name
+export function feedbackBelongsTo(row, trainer) {
+  if (row.trainer_email) return row.trainer_email.toLowerCase() === trainer.email.toLowerCase();
+  return row.trainer_name.trim().toLowerCase() === trainer.name.trim().toLowerCase();
+}
@@ -0,0 +1,41 @@
+/**
+ * json-store.js
+ *
+ * Reading and writing the JSON state files the scripts keep between runs:
+ * the notification ledger, compliance history, trainer audit log, question
+ * log and run history. Each is an object holding one array of records,
+ * starts out empty when the file doesn't exist yet, and is rewritten whole
+ * on every save.
+ *
+ * No external dependencies. Pure logic.
+ */
+
+import fs from "fs";
+import path from "path";
+
+// Returns { [key]: [] } when the file isn't there yet. The label names the
+// file in errors ("notification ledger").
+export function readJsonFile(filePath, key, label) {
+  if (!fs.existsSync(filePath)) return { [key]: [] };
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not parse ${label} '${filePath}': ${e.message}`);
+  }
+  if (!Array.isArray(data?.[key])) {
+    const article = /^[aeiou]/.test(key) ? "an" : "a";
+    throw new Error(`${label[0].toUpperCase()}${label.slice(1)} '${filePath}' must have ${article} '${key}' array.`);
+  }
+  return data;
+}
+
+// Writes via a temp file so an interrupted run never leaves a half-written file
+export function writeJsonAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  if (dir && !fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n", "utf-8");
+  fs.renameSync(tmp, filePath);
+}
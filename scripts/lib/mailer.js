@@ -0,0 +1,275 @@
+/**
+ * mailer.js
+ *
+ * Minimal SMTP client and RFC 5322 message builder (Node net/tls, no
+ * dependencies). Used by check-versions.js to deliver trainer notifications
+ * and to write each message to an outbox as an .eml file.
+ *
+ * Configuration comes from the environment (see .env.example):
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+ *   SMTP_FROM, SMTP_FROM_NAME, SMTP_ALLOW_PLAINTEXT
+ *
+ * Supports implicit TLS (SMTP_SECURE=true, usually port 465), STARTTLS when
+ * the server advertises it, and AUTH PLAIN / LOGIN. Credentials are only
+ * sent over an encrypted connection: if the server doesn't offer STARTTLS
+ * (or something on the way strips it), sending fails unless
+ * SMTP_ALLOW_PLAINTEXT=true. One connection is opened per message so a
+ * failure on one trainer never affects the next.
+ */
+
+import net from "net";
+import tls from "tls";
+import os from "os";
+import crypto from "crypto";
+
+// ── Configuration ────────────────────────────────────────────────────────────
+
+export function smtpConfigFromEnv(env = process.env) {
+  const secure = env.SMTP_SECURE === "true";
+  return {
+    host:      env.SMTP_HOST || null,
+    port:      parseInt(env.SMTP_PORT || (secure ? "465" : "587")),
+    secure,
+    user:      env.SMTP_USER || null,
+    pass:      env.SMTP_PASS || null,
+    from:      env.SMTP_FROM || null,
+    fromName:  env.SMTP_FROM_NAME || "Training Team",
+    allowPlaintextAuth: env.SMTP_ALLOW_PLAINTEXT === "true",
+    timeoutMs: 15000,
+  };
+}
+
+// ── Message building ─────────────────────────────────────────────────────────
+
+const CRLF = "\r\n";
+
+function isAscii(text) {
+  return /^[\x20-\x7e]*$/.test(text);
+}
+
+// RFC 2047 encoded-words for non-ASCII header text (subjects, display names).
+// Each word stays under the 75-character limit and never splits a character.
+function encodeHeaderText(text) {
+  if (isAscii(text)) return text;
+  const words = [];
+  let chunk = "";
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char, "utf-8") > 45) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words
+    .map(w => `=?UTF-8?B?${Buffer.from(w, "utf-8").toString("base64")}?=`)
+    .join(`${CRLF} `);
+}
+
+export function formatAddress(name, email) {
+  if (!name) return `<${email}>`;
+  if (!isAscii(name)) return `${encodeHeaderText(name)} <${email}>`;
+  return /[(),.:;<>@[\]"\\]/.test(name)
+    ? `"${name.replace(/["\\]/g, "\\$&")}" <${email}>`
+    : `${name} <${email}>`;
+}
+
+// Quoted-printable keeps the body 7-bit safe for any server while staying
+// readable when the .eml file is opened in a text editor.
+function encodeQuotedPrintable(text) {
+  return text.split("\n").map(line => {
+    const bytes = Buffer.from(line.replace(/\r$/, ""), "utf-8");
+    let encoded = "";
+    bytes.forEach((byte, i) => {
+      const isLast = i === bytes.length - 1;
+      const printable = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast);
+      encoded += printable ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, "0")}`;
+    });
+
+    // Soft line breaks keep every line within 76 characters
+    const wrapped = [];
+    while (encoded.length > 75) {
+      let cut = 75;
+      const escape = encoded.lastIndexOf("=", cut);
+      if (escape > cut - 3) cut = escape;
+      wrapped.push(encoded.slice(0, cut) + "=");
+      encoded = encoded.slice(cut);
+    }
+    wrapped.push(encoded);
+    return wrapped.join(CRLF);
+  }).join(CRLF);
+}
+
+export function buildMessage({ from, to, subject, body, date = new Date() }) {
+  const domain = from.email.split("@")[1] || os.hostname();
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+  const headers = [
+    `From: ${formatAddress(from.name, from.email)}`,
+    `To: ${formatAddress(to.name, to.email)}`,
+    `Subject: ${encodeHeaderText(subject)}`,
+    `Date: ${date.toUTCString().replace("GMT", "+0000")}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: quoted-printable",
+  ];
+
+  return { messageId, raw: headers.join(CRLF) + CRLF + CRLF + encodeQuotedPrintable(body) + CRLF };
+}
+
+// ── SMTP session ─────────────────────────────────────────────────────────────
+// Reads multi-line replies ("250-...", "250 ...") and matches each command to
+// its reply code. The socket can be swapped for a TLS one after STARTTLS.
+
+function createSession(initialSocket, timeoutMs) {
+  let socket = null;
+  let buffer = "";
+  let lines  = [];
+  let waiter = null;
+  let failure = null;
+
+  function flush() {
+    if (!waiter) return;
+    const end = lines.findIndex(l => l[3] !== "-");
+    if (end === -1) return;
+    const reply = lines.splice(0, end + 1);
+    const { resolve } = waiter;
+    waiter = null;
+    resolve({
+      code: parseInt(reply.at(-1).slice(0, 3)),
+      text: reply.map(l => l.slice(4)).join(" "),
+      lines: reply.map(l => l.slice(4)),
+    });
+  }
+
+  function fail(err) {
+    failure = failure || err;
+    if (waiter) {
+      const { reject } = waiter;
+      waiter = null;
+      reject(failure);
+    }
+  }
+
+  function attach(next) {
+    if (socket) socket.removeAllListeners("data");
+    socket = next;
+    socket.setEncoding("utf-8");
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP connection timed out after ${timeoutMs}ms`)));
+    socket.on("data", chunk => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf(CRLF)) !== -1) {
+        lines.push(buffer.slice(0, idx));
+        buffer = buffer.slice(idx + 2);
+      }
+      flush();
+    });
+    socket.on("error", fail);
+    socket.on("close", () => fail(new Error("SMTP connection closed unexpectedly")));
+  }
+
+  function read() {
+    return new Promise((resolve, reject) => {
+      if (failure) return reject(failure);
+      waiter = { resolve, reject };
+      flush();
+    });
+  }
+
+  async function command(line, expected, label = line) {
+    if (line !== null) socket.write(line + CRLF);
+    const reply = await read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label} rejected: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  }
+
+  attach(initialSocket);
+  return { command, attach, get socket() { return socket; } };
+}
+
+// Resolves once `socket` emits `ready`. The session's idle timeout only
+// starts after that, so a host that never answers is cut off here.
+function whenReady(socket, ready, timeoutMs, what) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => socket.destroy(new Error(`${what} timed out after ${timeoutMs}ms`)), timeoutMs);
+    socket.once(ready, () => {
+      clearTimeout(timer);
+      socket.removeListener("error", onError);
+      resolve(socket);
+    });
+    const onError = err => {
+      clearTimeout(timer);
+      reject(err);
+    };
+    socket.once("error", onError);
+  });
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  return whenReady(socket, secure ? "secureConnect" : "connect", timeoutMs, `Connecting to SMTP server ${host}:${port}`);
+}
+
+function upgradeToTls(socket, host, timeoutMs) {
+  const secured = tls.connect({ socket, servername: host });
+  return whenReady(secured, "secureConnect", timeoutMs, `STARTTLS with ${host}`);
+}
+
+// Sends one pre-built message. Resolves with the server's final reply text;
+// rejects with a descriptive error on any connection or protocol failure.
+export async function sendMail(config, { from, to, raw }) {
+  const socket  = await connect(config);
+  const session = createSession(socket, config.timeoutMs);
+  const helo    = os.hostname() || "localhost";
+
+  try {
+    await session.command(null, [220], "greeting");
+    let ehlo = await session.command(`EHLO ${helo}`, [250], "EHLO");
+
+    const supports = keyword => ehlo.lines.some(l => l.toUpperCase().startsWith(keyword));
+
+    let encrypted = config.secure;
+    if (!encrypted && supports("STARTTLS")) {
+      await session.command("STARTTLS", [220]);
+      session.attach(await upgradeToTls(session.socket, config.host, config.timeoutMs));
+      ehlo = await session.command(`EHLO ${helo}`, [250], "EHLO");
+      encrypted = true;
+    }
+
+    if (config.user && !encrypted && !config.allowPlaintextAuth) {
+      throw new Error(`SMTP server ${config.host}:${config.port} did not offer STARTTLS; refusing to send credentials unencrypted ` +
+        "(use SMTP_SECURE=true, or set SMTP_ALLOW_PLAINTEXT=true for a trusted local relay)");
+    }
+
+    if (config.user) {
+      const authLine = ehlo.lines.find(l => l.toUpperCase().startsWith("AUTH")) || "";
+      if (/\bPLAIN\b/i.test(authLine) || !/\bLOGIN\b/i.test(authLine)) {
+        const token = Buffer.from(`\0${config.user}\0${config.pass || ""}`).toString("base64");
+        await session.command(`AUTH PLAIN ${token}`, [235], "AUTH PLAIN");
+      } else {
+        await session.command("AUTH LOGIN", [334]);
+        await session.command(Buffer.from(config.user).toString("base64"), [334], "AUTH LOGIN username");
+        await session.command(Buffer.from(config.pass || "").toString("base64"), [235], "AUTH LOGIN password");
+      }
+    }
+
+    await session.command(`MAIL FROM:<${from}>`, [250]);
+    await session.command(`RCPT TO:<${to}>`, [250, 251]);
+    await session.command("DATA", [354]);
+
+    // Dot-stuff any line that starts with "." (RFC 5321 §4.5.2)
+    const stuffed = raw.replace(/\r\n\./g, "\r\n..");
+    const accepted = await session.command(`${stuffed.replace(/\r\n$/, "")}${CRLF}.`, [250], "message body");
+
+    await session.command("QUIT", [221]).catch(() => {});
+    return `${accepted.code} ${accepted.text}`;
+  } finally {
+    session.socket.destroy();
+  }
+}
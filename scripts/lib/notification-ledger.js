@@ -0,0 +1,41 @@
+/**
+ * notification-ledger.js
+ *
+ * Persistent record of every version notification actually delivered by
+ * check-versions.js — who, when, at what urgency, with which subject, and
+ * which version the trainer was on at the time. check-versions.js reads it
+ * back to suppress duplicates inside a cooldown and to escalate trainers who
+ * keep receiving notifications without updating.
+ *
+ * Ledger shape:
+ *   {
+ *     "notifications": [
+ *       { "email": "...", "trainer": "...", "urgency": "HIGH", "base_urgency": "MEDIUM",
+ *         "subject": "...", "trainer_version": "1.1", "target_version": "1.2",
+ *         "sent_at": "2026-02-16T09:00:00.000Z", "message_id": "<...>",
+ *         "direct_contact": false }
+ *     ]
+ *   }
+ */
+
+import { readJsonFile, writeJsonAtomic } from "./json-store.js";
+
+export function loadLedger(filePath) {
+  return readJsonFile(filePath, "notifications", "notification ledger");
+}
+
+export function saveLedger(filePath, ledger) {
+  writeJsonAtomic(filePath, ledger);
+}
+
+export function recordNotification(ledger, entry) {
+  ledger.notifications.push(entry);
+}
+
+// All delivered notifications for one trainer, oldest → newest
+export function notificationsFor(ledger, email) {
+  const key = email.toLowerCase();
+  return ledger.notifications
+    .filter(n => n.email.toLowerCase() === key)
+    .sort((a, b) => a.sent_at.localeCompare(b.sent_at));
+}
@@ -0,0 +1,93 @@
+/**
+ * prompt-templates.js
+ *
+ * The prompts analyze-feedback.js and adapt-content.js send to Claude,
+ * kept as files so their wording can be reviewed and changed without
+ * touching the scripts.
+ *
+ * Layout (default root: templates/prompts):
+ *   templates/prompts/analysis-system.txt     ← system prompt for every analyze-feedback call
+ *   templates/prompts/analysis.txt            ← the feedback report (or map-reduce synthesis)
+ *   templates/prompts/chunk-summary.txt       ← one batch of a map-reduce run
+ *   templates/prompts/coaching.txt            ← one trainer's coaching note
+ *   templates/prompts/adaptation-system.txt   ← system prompt for adapt-content
+ *   templates/prompts/adaptation.txt          ← one audience variant of a guide section
+ *
+ * File format: a "Version:" line, a blank line, then the prompt.
+ *
+ *   Version: 3
+ *
+ *   ## Sessions in This Batch ({{batch}} of {{batches}}: {{label}})
+ *
+ * Placeholders and sections work as in the email templates
+ * (lib/email-templates.js), but values go in exactly as given: a guide
+ * section or trainer note that contains "{{" or several blank lines is
+ * not re-read as template text.
+ *
+ * Bump the version whenever the wording changes. Every report, scorecard
+ * and adapted variant records the versions of the prompts behind it, so
+ * an output can be traced back to the prompt that produced it.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { renderTemplate } from "./email-templates.js";
+
+export const DEFAULT_PROMPTS_DIR = "templates/prompts";
+
+export function loadPrompt(dir, name) {
+  const file = path.join(dir, `${name}.txt`);
+  if (!fs.existsSync(file)) throw new Error(`No '${name}' prompt template at '${file}'`);
+
+  const match = /^Version:[ \t]*([\w.-]+)[ \t]*\r?\n\r?\n([\s\S]*)$/.exec(fs.readFileSync(file, "utf-8"));
+  if (!match) {
+    throw new Error(`Prompt template '${file}' must start with a "Version:" line followed by a blank line.`);
+  }
+  return { name, version: match[1], text: match[2].trimEnd(), file };
+}
+
+// Swaps every string value for a marker the renderer passes through
+// untouched, so values are never rendered as template text themselves
+function shield(value, values) {
+  if (typeof value === "string") {
+    if (value === "") return value;
+    values.push(value);
+    return `\u0000${values.length - 1}\u0000`;
+  }
+  if (Array.isArray(value)) return value.map(item => shield(item, values));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shield(v, values)]));
+  }
+  return value;
+}
+
+/**
+ * Renders one prompt. Returns { text, name, version }. A placeholder with
+ * no value is an error, so a typo in a template fails before a call is
+ * paid for.
+ */
+export function renderPrompt(dir, name, vars) {
+  const template = loadPrompt(dir, name);
+  const values = [];
+  const { text, missing } = renderTemplate(template.text, shield(vars, values));
+
+  if (missing.length > 0) {
+    const error = new Error(`Prompt template '${template.file}' uses unknown placeholder${missing.length > 1 ? "s" : ""}:`);
+    error.problems = missing.map(m => `{{${m}}}`);
+    throw error;
+  }
+
+  return {
+    text:    text.replace(/\u0000(\d+)\u0000/g, (_, i) => values[Number(i)]),
+    name,
+    version: template.version,
+  };
+}
+
+// "analysis v2, analysis-system v1" for report headers, from
+// { name: version } or a list of rendered prompts
+export function describePromptVersions(prompts) {
+  const entries = Array.isArray(prompts) ? prompts.map(p => [p.name, p.version]) : Object.entries(prompts);
+  return entries.map(([name, version]) => `${name} v${version}`).join(", ");
+}
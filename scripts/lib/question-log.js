@@ -0,0 +1,283 @@
+/**
+ * question-log.js
+ *
+ * Persistent log of the questions trainers could not answer in a session
+ * (the questions_unanswered column of feedback.csv). analyze-feedback.js
+ * adds each batch to it; scripts/questions.js moves clusters through the
+ * FAQ lifecycle. The FAQ response SLA on the dashboard is computed from
+ * the dates recorded here.
+ *
+ * Questions are deduplicated on a normalised form of their text (case,
+ * punctuation and spacing ignored) and grouped into clusters with similar
+ * wording. Each ask is linked to the session, trainer and date it came
+ * from, and a session is only ever counted once per question, so
+ * re-running a batch changes nothing.
+ *
+ * Lifecycle: new → drafted (FAQ entry written) → approved → merged (into a
+ * guide version). A new ask joins an open cluster only; once a cluster is
+ * merged, the same question asked again starts a new cluster — the
+ * published answer evidently hasn't reached that trainer.
+ *
+ * Log shape:
+ *   {
+ *     "clusters": [
+ *       { "id": "Q-001", "title": "Does this work with streaming?",
+ *         "status": "drafted", "merged_version": null,
+ *         "faq": { "question": "...", "answer": "..." },
+ *         "history": [ { "status": "new", "date": "2026-01-14" },
+ *                      { "status": "drafted", "date": "2026-01-20", "note": "..." } ],
+ *         "questions": [
+ *           { "text": "Does this work with streaming?", "key": "does this work with streaming",
+ *             "asked": [ { "session_id": "2026-01-14-ACME", "trainer": "Sarah Chen", "date": "2026-01-14" } ] }
+ *         ] }
+ *     ]
+ *   }
+ */
+
+import { readJsonFile, writeJsonAtomic } from "./json-store.js";
+
+export const STATUSES = ["new", "drafted", "approved", "merged"];
+
+export const STATUS_LABELS = {
+  new:      "New",
+  drafted:  "FAQ drafted",
+  approved: "Approved",
+  merged:   "Merged",
+};
+
+// SYSTEMS.md §4: three or more trainers asking the same thing is a pattern
+// that needs a draft FAQ entry within a week
+export const PATTERN_TRAINERS = 3;
+
+// Share of significant words two questions must have in common to be
+// clustered together (Jaccard index)
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Words that carry no meaning for matching. "claude", "tool" and "use" are
+// in nearly every question a tool-use workshop gets, so they are noise too.
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "be", "by", "can", "do", "does", "for", "how", "i",
+  "if", "in", "is", "it", "of", "on", "or", "our", "should", "that", "the",
+  "there", "this", "to", "we", "what", "whats", "when", "where", "which",
+  "why", "will", "with", "you",
+  "claude", "tool", "tools", "use",
+]);
+
+// ── Loading and saving ───────────────────────────────────────────────────────
+
+export function loadQuestionLog(filePath) {
+  return readJsonFile(filePath, "clusters", "question log");
+}
+
+export function saveQuestionLog(filePath, log) {
+  writeJsonAtomic(filePath, log);
+}
+
+export function findCluster(log, id) {
+  return log.clusters.find(c => c.id.toLowerCase() === String(id).toLowerCase()) || null;
+}
+
+// ── Matching ─────────────────────────────────────────────────────────────────
+
+export function questionKey(text) {
+  return text
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function significantWords(key) {
+  return new Set(
+    key.split(" ")
+      .filter(word => word && !STOPWORDS.has(word))
+      .map(word => word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word)
+  );
+}
+
+export function similarity(a, b) {
+  const wordsA = significantWords(a);
+  const wordsB = significantWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// The open cluster closest to a question, or null when none is similar enough
+function closestCluster(log, key) {
+  let best = null;
+  let bestScore = 0;
+  for (const cluster of log.clusters) {
+    if (cluster.status === "merged") continue;
+    for (const question of cluster.questions) {
+      if (question.key === key) return cluster;
+      const score = similarity(question.key, key);
+      if (score >= SIMILARITY_THRESHOLD && score > bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+  }
+  return best;
+}
+
+function nextId(log) {
+  const highest = log.clusters.reduce((max, c) => Math.max(max, parseInt(c.id.replace(/\D/g, ""), 10) || 0), 0);
+  return `Q-${String(highest + 1).padStart(3, "0")}`;
+}
+
+// ── Ingesting feedback ───────────────────────────────────────────────────────
+
+// Checked across every cluster, merged ones included, so re-running an old
+// batch never re-opens a question that has since been answered
+function alreadyRecorded(log, key, sessionId) {
+  return log.clusters.some(c => c.questions.some(q =>
+    q.key === key && q.asked.some(a => a.session_id === sessionId)
+  ));
+}
+
+/**
+ * Adds the questions_unanswered of each session to the log.
+ * Returns { asks, questions, clusters } — how many asks, distinct
+ * questions and clusters were new to the log. Sessions already recorded
+ * for a question are skipped.
+ */
+export function ingestQuestions(log, sessions) {
+  const added = { asks: 0, questions: 0, clusters: 0 };
+  const ordered = [...sessions].sort((a, b) => a.session_date.localeCompare(b.session_date));
+
+  for (const session of ordered) {
+    const texts = (session.questions_unanswered || "").split("|").map(q => q.trim()).filter(Boolean);
+    for (const text of texts) {
+      const key = questionKey(text);
+      if (!key || alreadyRecorded(log, key, session.session_id)) continue;
+
+      let cluster = closestCluster(log, key);
+      if (!cluster) {
+        cluster = {
+          id:             nextId(log),
+          title:          text,
+          status:         "new",
+          merged_version: null,
+          faq:            null,
+          history:        [{ status: "new", date: session.session_date }],
+          questions:      [],
+        };
+        log.clusters.push(cluster);
+        added.clusters++;
+      }
+
+      let question = cluster.questions.find(q => q.key === key);
+      if (!question) {
+        question = { text, key, asked: [] };
+        cluster.questions.push(question);
+        added.questions++;
+      }
+
+      question.asked.push({ session_id: session.session_id, trainer: session.trainer_name, date: session.session_date });
+      added.asks++;
+
+      // A cluster opened by a later batch can still gain an earlier ask
+      if (session.session_date < cluster.history[0].date) cluster.history[0].date = session.session_date;
+    }
+  }
+  return added;
+}
+
+// ── Lifecycle ────────────────────────────────────────────────────────────────
+
+export function firstAsked(cluster) {
+  return cluster.history[0].date;
+}
+
+export function clusterTrainers(cluster) {
+  return [...new Set(cluster.questions.flatMap(q => q.asked.map(a => a.trainer)))].sort();
+}
+
+export function clusterAsks(cluster) {
+  return cluster.questions.reduce((sum, q) => sum + q.asked.length, 0);
+}
+
+export function statusDate(cluster, status) {
+  return cluster.history.find(h => h.status === status)?.date || null;
+}
+
+/**
+ * Moves a cluster forward to `status` on `date`. Steps may be skipped
+ * (an FAQ can be approved as drafted) but never reversed. Merging needs
+ * the guide version the entry went into.
+ */
+export function advanceCluster(cluster, status, { date, note = null, version = null, faq = null } = {}) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown status '${status}'. Use one of: ${STATUSES.join(", ")}.`);
+  }
+  const from = STATUSES.indexOf(cluster.status);
+  const to   = STATUSES.indexOf(status);
+  if (cluster.status === "merged") {
+    throw new Error(`${cluster.id} is already merged into v${cluster.merged_version}.`);
+  }
+  if (to <= from) {
+    throw new Error(`${cluster.id} is already ${STATUS_LABELS[cluster.status].toLowerCase()} — it can only move forward (${STATUSES.slice(from + 1).join(", ")}).`);
+  }
+  const previous = cluster.history.at(-1).date;
+  if (date < previous) {
+    throw new Error(`${cluster.id} was last updated on ${previous}; the new date ${date} is earlier.`);
+  }
+  if (status === "merged" && !version) {
+    throw new Error(`Merging ${cluster.id} needs the guide version the FAQ entry went into.`);
+  }
+
+  cluster.status = status;
+  if (faq) cluster.faq = faq;
+  if (status === "merged") cluster.merged_version = version;
+  cluster.history.push({ status, date, ...(note ? { note } : {}) });
+}
+
+// ── SLA ──────────────────────────────────────────────────────────────────────
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * FAQ response SLA, per distinct question. A question is answered on the
+ * day its cluster is merged into the guide; the clock starts the first
+ * time it was asked. Open questions count against the SLA only once they
+ * are older than slaDays, so adherence is measured over questions that
+ * have come due.
+ */
+export function questionSla(log, { slaDays, asOf }) {
+  const questions = log.clusters.flatMap(cluster => cluster.questions.map(q => {
+    const asked    = q.asked.map(a => a.date).sort()[0];
+    const answered = statusDate(cluster, "merged");
+    const days     = answered ? daysBetween(asked, answered) : null;
+    return {
+      cluster,
+      text:      q.text,
+      asked,
+      answered,
+      days,
+      withinSla: answered !== null && days <= slaDays,
+      overdue:   answered === null && daysBetween(asked, asOf) > slaDays,
+    };
+  }));
+
+  const answered = questions.filter(q => q.answered);
+  const due      = questions.filter(q => q.answered || q.overdue);
+  const within   = questions.filter(q => q.withinSla);
+  const dates    = questions.map(q => q.asked).sort();
+
+  return {
+    period:                     { from: dates[0] || asOf, to: dates.at(-1) || asOf },
+    questionsLogged:            questions.length,
+    questionsAnswered:          answered.length,
+    questionsAnsweredWithinSla: within.length,
+    questionsDue:               due.length,
+    slaAdherencePct:            due.length > 0 ? Math.round((within.length / due.length) * 100) : 100,
+    avgDaysToAnswer:            answered.length > 0
+      ? Math.round((answered.reduce((sum, q) => sum + q.days, 0) / answered.length) * 10) / 10
+      : 0,
+    overdue:                    questions.filter(q => q.overdue),
+    slaDays,
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * registration.js
+ *
+ * Per-trainer registration tokens for the self-registration service.
+ * A token is an HMAC of the trainer's email under REGISTRATION_SECRET, so
+ * nothing has to be stored: check-versions.js puts the link in each
+ * notification email and registration-server.js recomputes the token to
+ * check it. Rotating the secret invalidates every link already sent.
+ *
+ * Configuration comes from the environment (see .env.example):
+ *   REGISTRATION_SECRET, REGISTRATION_URL
+ */
+
+import crypto from "crypto";
+
+export const MIN_SECRET_LENGTH = 32;
+
+// The value .env.example used to ship with; anyone can sign links with it
+const PLACEHOLDER_SECRETS = ["change-me-to-a-long-random-string"];
+
+export function registrationConfigFromEnv(env = process.env) {
+  return {
+    secret:  env.REGISTRATION_SECRET || null,
+    baseUrl: (env.REGISTRATION_URL || "").replace(/\/+$/, "") || null,
+  };
+}
+
+// Why a secret can't be used to sign links, or null when it can
+export function secretProblem(secret) {
+  if (!secret) return "REGISTRATION_SECRET is not set.";
+  if (PLACEHOLDER_SECRETS.includes(secret)) return "REGISTRATION_SECRET is still the example value from .env.example.";
+  if (secret.length < MIN_SECRET_LENGTH) {
+    return `REGISTRATION_SECRET is ${secret.length} characters; use at least ${MIN_SECRET_LENGTH}.`;
+  }
+  return null;
+}
+
+export function registrationToken(secret, email) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`trainer-registration:${String(email).trim().toLowerCase()}`)
+    .digest("base64url")
+    .slice(0, 32);
+}
+
+export function verifyRegistrationToken(secret, email, token) {
+  const expected = Buffer.from(registrationToken(secret, email));
+  const given    = Buffer.from(String(token ?? ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// The link a trainer follows to confirm they have read the latest guide
+export function registrationLink(config, email) {
+  if (!config.secret || !config.baseUrl) return null;
+  const params = new URLSearchParams({ email, token: registrationToken(config.secret, email) });
+  return `${config.baseUrl}/confirm?${params}`;
+}
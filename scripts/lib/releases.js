@@ -0,0 +1,203 @@
+/**
+ * releases.js
+ *
+ * Shared access to the release manifest (sample-data/releases.json) — the
+ * single record of every guide version, its release date, notes, section
+ * list and major/minor/patch type. check-versions.js, analyze-feedback.js and
+ * release.js all read versions from here instead of keeping their own copy.
+ *
+ * Manifest shape:
+ *   {
+ *     "guide_url":            "https://...",
+ *     "support_contact":      "training-team@...",
+ *     "stale_threshold_days": 45,
+ *     "versions": [            // oldest → newest; the last entry is current
+ *       { "version": "1.0", "released": "2026-01-01", "type": "major",
+ *         "notes": "Initial release.", "sections": ["Section 1: ...", ...] }
+ *     ]
+ *   }
+ *
+ * Versions are major.minor with an optional patch ("1.2", "1.2.1"). A zero
+ * patch is dropped, so "1.2.0" and "1.2" are the same version. Patch
+ * releases fix broken exercise files or factual errors and need no re-read.
+ */
+
+import fs from "fs";
+
+export const RELEASE_TYPES = ["major", "minor", "patch"];
+
+// ── Loading ──────────────────────────────────────────────────────────────────
+
+export function loadReleaseManifest(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Release manifest not found at '${filePath}'`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not parse release manifest '${filePath}': ${e.message}`);
+  }
+}
+
+export function writeReleaseManifest(filePath, manifest) {
+  fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2) + "\n", "utf-8");
+}
+
+// ── Version helpers ──────────────────────────────────────────────────────────
+
+// Accepts common variants found in hand-kept records: a leading "v",
+// surrounding whitespace and an explicit ".0" patch.
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)(?:\.(\d+))?$/i;
+
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version ?? "").trim());
+  if (!match) return null;
+  return {
+    major: parseInt(match[1]),
+    minor: parseInt(match[2]),
+    patch: match[3] ? parseInt(match[3]) : 0,
+  };
+}
+
+export function formatVersion({ major, minor, patch }) {
+  return patch > 0 ? `${major}.${minor}.${patch}` : `${major}.${minor}`;
+}
+
+// Canonical form ("v1.2.0" → "1.2"), or null if it isn't a version at all
+export function normalizeVersion(version) {
+  const parsed = parseVersion(version);
+  return parsed ? formatVersion(parsed) : null;
+}
+
+// Negative if a < b, positive if a > b, 0 if equal. Both must parse.
+export function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  return va.major - vb.major || va.minor - vb.minor || va.patch - vb.patch;
+}
+
+// The release type a version must declare, given the version before it
+export function expectedReleaseType(previousVersion, version) {
+  const prev = parseVersion(previousVersion);
+  const next = parseVersion(version);
+  if (next.major > prev.major) return "major";
+  if (next.minor > prev.minor) return "minor";
+  return "patch";
+}
+
+export function latestVersion(manifest) {
+  return manifest.versions.at(-1).version;
+}
+
+export function versionHistory(manifest) {
+  return manifest.versions.map(v => v.version);
+}
+
+export function releaseNotes(manifest) {
+  return Object.fromEntries(manifest.versions.map(v => [v.version, v.notes]));
+}
+
+export function findRelease(manifest, version) {
+  const wanted = normalizeVersion(version);
+  return manifest.versions.find(v => v.version === wanted) || null;
+}
+
+// Patch releases need no re-read, so they never count against a trainer
+export function isPatchRelease(manifest, version) {
+  return findRelease(manifest, version)?.type === "patch";
+}
+
+// Major/minor releases published after a version, or null when the version
+// isn't in the manifest. 0 means current.
+export function releasesBehind(manifest, version) {
+  const index = manifest.versions.findIndex(v => v.version === normalizeVersion(version));
+  if (index === -1) return null;
+  return manifest.versions.slice(index + 1).filter(v => v.type !== "patch").length;
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+// Returns a list of human-readable problems. An empty list means the manifest
+// is safe to publish and to drive compliance calculations from.
+
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+  const d = new Date(value);
+  return !isNaN(d) && d.toISOString().startsWith(value);
+}
+
+export function validateReleaseManifest(manifest) {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== "object") {
+    return ["Manifest must be a JSON object."];
+  }
+
+  if (!manifest.guide_url)       errors.push("Missing 'guide_url'.");
+  if (!manifest.support_contact) errors.push("Missing 'support_contact'.");
+  if (!Number.isInteger(manifest.stale_threshold_days) || manifest.stale_threshold_days <= 0) {
+    errors.push("'stale_threshold_days' must be a positive integer.");
+  }
+
+  if (!Array.isArray(manifest.versions) || manifest.versions.length === 0) {
+    errors.push("'versions' must be a non-empty array.");
+    return errors;
+  }
+
+  const seen = new Set();
+  let previous = null;
+
+  manifest.versions.forEach((release, i) => {
+    const label = `versions[${i}]${release?.version ? ` (v${release.version})` : ""}`;
+
+    if (!parseVersion(release.version)) {
+      errors.push(`${label}: version '${release.version}' is not in major.minor[.patch] form.`);
+      return;
+    }
+    if (normalizeVersion(release.version) !== release.version) {
+      errors.push(`${label}: write the version as '${normalizeVersion(release.version)}'.`);
+    }
+    if (seen.has(release.version)) {
+      errors.push(`${label}: duplicate version.`);
+    }
+    seen.add(release.version);
+
+    if (!isValidDate(release.released)) {
+      errors.push(`${label}: 'released' must be a YYYY-MM-DD date, got '${release.released}'.`);
+    }
+    if (!RELEASE_TYPES.includes(release.type)) {
+      errors.push(`${label}: 'type' must be one of ${RELEASE_TYPES.join(", ")}, got '${release.type}'.`);
+    }
+    if (!release.notes || !String(release.notes).trim()) {
+      errors.push(`${label}: 'notes' must not be empty.`);
+    }
+    if (!Array.isArray(release.sections) || release.sections.length === 0) {
+      errors.push(`${label}: 'sections' must be a non-empty list.`);
+    }
+
+    if (previous) {
+      if (compareVersions(release.version, previous.version) <= 0) {
+        errors.push(`${label}: versions must be listed oldest → newest (v${release.version} follows v${previous.version}).`);
+      } else {
+        const expected = expectedReleaseType(previous.version, release.version);
+        if (RELEASE_TYPES.includes(release.type) && release.type !== expected) {
+          errors.push(`${label}: v${previous.version} → v${release.version} is a ${expected} bump but is declared '${release.type}'.`);
+        }
+        const { major, minor, patch } = parseVersion(release.version);
+        if (expected === "major" && (minor !== 0 || patch !== 0)) {
+          errors.push(`${label}: a major release must start at minor 0 (expected v${major}.0).`);
+        }
+        if (expected === "minor" && patch !== 0) {
+          errors.push(`${label}: a minor release must not carry a patch number (expected v${major}.${minor}).`);
+        }
+      }
+      if (isValidDate(release.released) && isValidDate(previous.released) && release.released < previous.released) {
+        errors.push(`${label}: released ${release.released}, before v${previous.version} (${previous.released}).`);
+      }
+    }
+
+    previous = release;
+  });
+
+  return errors;
+}
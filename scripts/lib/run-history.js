@@ -0,0 +1,210 @@
+/**
+ * run-history.js
+ *
+ * A record of every analyze-feedback.js report: the filters it ran with,
+ * the period its sessions covered, the headline metrics and Claude's
+ * structured findings. Each new report is compared with the one before it
+ * in a "Changes Since Last Run" section.
+ *
+ * A run is compared with the latest run from an earlier day that used the
+ * same --version filter. --since moves forward from week to week, so it
+ * doesn't have to match, but a report on v1.1 alone is never measured
+ * against one covering every version. A second run on the same day with
+ * the same filters replaces the first.
+ *
+ * Priority actions are matched across runs by wording (the question log's
+ * word-overlap similarity), so a slightly rephrased action still counts as
+ * the same one. An action that comes back run after run is feedback that
+ * hasn't visibly been acted on (SYSTEMS.md §4).
+ *
+ * History shape:
+ *   {
+ *     "runs": [                 // oldest → newest
+ *       { "date": "2026-02-16",
+ *         "filters":  { "since": "2026-02-09", "version": null },
+ *         "period":   { "from": "2026-02-09", "to": "2026-02-13" },
+ *         "sessions": 6,
+ *         "metrics":  { "ex1CompletionPct": 64.3, "ex2CompletionPct": 38.1, "closingEnergy": 3.1,
+ *                       "setupIssueRatePct": 16.7, "unansweredPerSession": 1.5 },
+ *         "bugs":      { "missing tool_result": 3, "none": 3 },
+ *         "questions": [ { "id": "Q-004", "title": "Does this work with streaming?" } ],
+ *         "alerts":    [ { "rule": "setup_issue_rate", "level": "WARNING", "title": "..." } ],
+ *         "findings":  { "confusion_points": ["..."], "priority_actions": ["..."] } }
+ *     ]
+ *   }
+ *
+ * "findings" is null for --no-llm runs, which are skipped over (not
+ * counted as a break) when looking for repeated actions.
+ */
+
+import { readJsonFile, writeJsonAtomic } from "./json-store.js";
+import { normalizeVersion } from "./releases.js";
+import { questionKey, similarity } from "./question-log.js";
+
+export const RUN_METRICS = [
+  { key: "ex1CompletionPct",     label: "Exercise 1 completion",            unit: "%", decimals: 1 },
+  { key: "ex2CompletionPct",     label: "Exercise 2 completion",            unit: "%", decimals: 1 },
+  { key: "closingEnergy",        label: "Average closing energy",           unit: "",  decimals: 2 },
+  { key: "setupIssueRatePct",    label: "Setup issue rate",                 unit: "%", decimals: 1 },
+  { key: "unansweredPerSession", label: "Unanswered questions per session", unit: "",  decimals: 1 },
+];
+
+// Priority actions are longer than questions and Claude rewords them more
+// freely from run to run, so they match at a lower overlap than the 0.5
+// the question log clusters at
+const ACTION_SIMILARITY = 0.4;
+
+// ── Loading and saving ───────────────────────────────────────────────────────
+
+export function loadRunHistory(filePath) {
+  return readJsonFile(filePath, "runs", "run history");
+}
+
+export function saveRunHistory(filePath, history) {
+  writeJsonAtomic(filePath, history);
+}
+
+function sameVersionFilter(a, b) {
+  const canonical = v => v === null ? null : normalizeVersion(v) || v;
+  return canonical(a.filters.version) === canonical(b.filters.version);
+}
+
+export function recordRun(history, run) {
+  history.runs = history.runs
+    .filter(r => !(r.date === run.date && r.filters.since === run.filters.since && sameVersionFilter(r, run)))
+    .concat(run)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Earlier runs comparable with `run`, oldest → newest
+function earlierRuns(history, run) {
+  return history.runs.filter(r => r.date < run.date && sameVersionFilter(r, run));
+}
+
+export function previousRun(history, run) {
+  return earlierRuns(history, run).at(-1) || null;
+}
+
+// ── Comparison ───────────────────────────────────────────────────────────────
+
+function similarAction(a, b) {
+  const keyA = questionKey(a);
+  const keyB = questionKey(b);
+  return keyA === keyB || similarity(keyA, keyB) >= ACTION_SIMILARITY;
+}
+
+// How many consecutive runs with findings, ending with this one, list a
+// similar action — and the date of the first
+function actionStreak(action, runsWithFindings) {
+  let since = null;
+  let runs = 1;
+  for (const r of [...runsWithFindings].reverse()) {
+    if (!r.findings.priority_actions.some(a => similarAction(a, action))) break;
+    runs++;
+    since = r.date;
+  }
+  return { runs, since };
+}
+
+/**
+ * What changed between `run` and the previous comparable run in the
+ * history (which must not include `run` yet). Returns null when there is
+ * nothing to compare against, otherwise:
+ *   { previous: { date, filters, period, sessions },
+ *     metrics:  [{ key, label, unit, decimals, previous, current, change }],
+ *     newBugs:  [{ bug, count }],
+ *     newQuestions: [{ id, title }],
+ *     newAlerts:    [{ rule, level, title }],
+ *     repeatedActions: [{ action, runs, since }] }
+ */
+export function diffRuns(history, run) {
+  const previous = previousRun(history, run);
+  if (!previous) return null;
+
+  const metrics = RUN_METRICS.map(m => {
+    const before = previous.metrics[m.key] ?? null;
+    const after  = run.metrics[m.key] ?? null;
+    const change = before === null || after === null ? null : Number((after - before).toFixed(m.decimals));
+    return { ...m, previous: before, current: after, change };
+  });
+
+  const newBugs = Object.entries(run.bugs)
+    .filter(([bug]) => !(bug in previous.bugs))
+    .sort(([, a], [, b]) => b - a)
+    .map(([bug, count]) => ({ bug, count }));
+
+  const seenQuestions = new Set(previous.questions.map(q => q.id));
+  const newQuestions = run.questions.filter(q => !seenQuestions.has(q.id));
+
+  const seenAlerts = new Set(previous.alerts.map(a => a.rule));
+  const newAlerts = run.alerts.filter(a => !seenAlerts.has(a.rule));
+
+  const withFindings = earlierRuns(history, run).filter(r => r.findings);
+  const repeatedActions = run.findings
+    ? run.findings.priority_actions
+      .map(action => ({ action, ...actionStreak(action, withFindings) }))
+      .filter(a => a.runs > 1)
+    : [];
+
+  return {
+    previous: { date: previous.date, filters: previous.filters, period: previous.period, sessions: previous.sessions },
+    metrics,
+    newBugs,
+    newQuestions,
+    newAlerts,
+    repeatedActions,
+  };
+}
+
+// ── Rendering ────────────────────────────────────────────────────────────────
+
+function formatValue(value, m) {
+  return value === null ? "—" : `${value.toFixed(m.decimals)}${m.unit}`;
+}
+
+function formatChange(change, m) {
+  if (change === null) return "—";
+  if (change === 0) return "no change";
+  return `${change > 0 ? "+" : "−"}${Math.abs(change).toFixed(m.decimals)}${m.unit === "%" ? " pts" : ""}`;
+}
+
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.since)   parts.push(`since ${filters.since}`);
+  if (filters.version) parts.push(`v${normalizeVersion(filters.version) || filters.version} only`);
+  return parts.length > 0 ? parts.join(", ") : "no filters";
+}
+
+export function renderChangesMarkdown(changes) {
+  let md = `## Changes Since Last Run\n\n`;
+  if (!changes) {
+    return md + `First recorded run for these filters — nothing to compare against yet.\n\n---\n\n`;
+  }
+
+  const p = changes.previous;
+  md += `Compared with the run on ${p.date} (${describeFilters(p.filters)}; ${p.sessions} session${p.sessions === 1 ? "" : "s"}, ` +
+    `${p.period.from} to ${p.period.to}).\n\n`;
+
+  md += `| Metric | Last run | This run | Change |\n`;
+  md += `|---|---|---|---|\n`;
+  for (const m of changes.metrics) {
+    md += `| ${m.label} | ${formatValue(m.previous, m)} | ${formatValue(m.current, m)} | ${formatChange(m.change, m)} |\n`;
+  }
+  md += "\n";
+
+  if (changes.repeatedActions.length > 0) {
+    md += `**Priority actions repeated from earlier runs** — feedback that keeps coming back hasn't visibly been acted on:\n\n`;
+    for (const a of changes.repeatedActions) {
+      md += `- ${a.action} _(in ${a.runs} consecutive runs since ${a.since})_\n`;
+    }
+    md += "\n";
+  }
+
+  md += `**New hardest bugs:** ${changes.newBugs.length === 0 ? "none" : changes.newBugs.map(b => `${b.bug} (${b.count})`).join(", ")}\n\n`;
+  md += `**New questions:** ${changes.newQuestions.length === 0 ? "none" : changes.newQuestions.map(q => `${q.id} "${q.title}"`).join(", ")}\n\n`;
+  if (changes.newAlerts.length > 0) {
+    md += `**New alerts:** ${changes.newAlerts.map(a => `${a.level}: ${a.title}`).join("; ")}\n\n`;
+  }
+
+  return md + "---\n\n";
+}
@@ -0,0 +1,158 @@
+/**
+ * schedule.js
+ *
+ * Upcoming training sessions per trainer, imported from a roster CSV or a
+ * calendar export (.ics). check-versions.js uses them to rank outdated
+ * trainers by how soon they deliver next and to list sessions that would
+ * run on outdated materials.
+ *
+ * Roster CSV — one row per session, header row required:
+ *   session_date,trainer_email,trainer_name,title
+ *   2026-02-20,priya.patel@novatech.io,Priya Patel,NovaTech data team
+ * session_date and one of trainer_email / trainer_name are required;
+ * title is optional.
+ *
+ * Calendar (.ics) — every VEVENT is a session. DTSTART gives the date; the
+ * trainer is matched on any ATTENDEE or ORGANIZER mailto: address.
+ * Cancelled events are skipped. Recurring events (RRULE) are not expanded —
+ * only their first occurrence is read.
+ *
+ * Returned sessions: { date, emails, name, title, source }. A roster row
+ * gives at most one email; a calendar event lists every address on it.
+ * name is only set from a roster row without an email.
+ */
+
+import fs from "fs";
+import path from "path";
+import { parse } from "csv-parse/sync";
+
+// ── Roster CSV ───────────────────────────────────────────────────────────────
+
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+}
+
+function parseRoster(raw, filePath) {
+  let rows;
+  try {
+    rows = parse(raw, { columns: header => header.map(h => h.trim().toLowerCase()), skip_empty_lines: true, trim: true });
+  } catch (e) {
+    throw new Error(`Could not parse roster '${filePath}': ${e.message}`);
+  }
+
+  const problems = [];
+  const sessions = rows.map((row, i) => {
+    const line = i + 2;
+    if (!isIsoDate(row.session_date)) {
+      problems.push(`row ${line}: session_date must be YYYY-MM-DD, got '${row.session_date ?? ""}'`);
+      return null;
+    }
+    if (!row.trainer_email && !row.trainer_name) {
+      problems.push(`row ${line}: needs trainer_email or trainer_name`);
+      return null;
+    }
+    return {
+      date:   row.session_date,
+      emails: row.trainer_email ? [row.trainer_email] : [],
+      name:   row.trainer_email ? null : row.trainer_name,
+      title:  row.title || null,
+      source: `${path.basename(filePath)}:${line}`,
+    };
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(`Roster '${filePath}' has ${problems.length} invalid row${problems.length > 1 ? "s" : ""}:`);
+    error.problems = problems;
+    throw error;
+  }
+  return sessions;
+}
+
+// ── Calendar (.ics) ──────────────────────────────────────────────────────────
+
+// RFC 5545 §3.1: a line starting with a space or tab continues the previous one
+function unfold(raw) {
+  return raw.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+}
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1").trim();
+}
+
+// DTSTART:20260220T090000Z, DTSTART;TZID=...:20260220T090000, DTSTART;VALUE=DATE:20260220
+function icsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function parseCalendar(raw, filePath) {
+  const sessions = [];
+  let event = null;
+
+  unfold(raw).forEach((line, i) => {
+    if (line === "BEGIN:VEVENT") {
+      event = { emails: [], line: i + 1 };
+      return;
+    }
+    if (!event) return;
+
+    if (line === "END:VEVENT") {
+      if (event.status !== "CANCELLED" && event.date && event.emails.length > 0) {
+        sessions.push({
+          date:   event.date,
+          emails: event.emails,
+          name:   null,
+          title:  event.summary || null,
+          source: `${path.basename(filePath)}:${event.line}`,
+        });
+      }
+      event = null;
+      return;
+    }
+
+    const colon = line.indexOf(":");
+    if (colon === -1) return;
+    const name  = line.slice(0, colon).split(";")[0].toUpperCase();
+    const value = line.slice(colon + 1);
+
+    if (name === "DTSTART") event.date = icsDate(value);
+    if (name === "SUMMARY") event.summary = unescapeText(value);
+    if (name === "STATUS")  event.status = value.trim().toUpperCase();
+    if (name === "ATTENDEE" || name === "ORGANIZER") {
+      const mailto = /^mailto:(.+)$/i.exec(value.trim());
+      if (mailto) event.emails.push(mailto[1]);
+    }
+  });
+
+  return sessions;
+}
+
+// ── Loading ──────────────────────────────────────────────────────────────────
+
+export function loadSchedule(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Schedule file not found at '${filePath}'`);
+  }
+  const raw = fs.readFileSync(filePath, "utf-8");
+  return path.extname(filePath).toLowerCase() === ".ics"
+    ? parseCalendar(raw, filePath)
+    : parseRoster(raw, filePath);
+}
+
+function belongsTo(session, trainer) {
+  if (session.name) return session.name.toLowerCase() === trainer.name.toLowerCase();
+  return session.emails.some(e => e.toLowerCase() === trainer.email.toLowerCase());
+}
+
+// Sessions for one trainer (matched on email, or on name when the roster
+// row has no email), oldest → newest
+export function sessionsFor(schedule, trainer) {
+  return schedule
+    .filter(s => belongsTo(s, trainer))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Sessions that match no trainer record — usually a typo in the roster
+export function unmatchedSessions(schedule, trainers) {
+  return schedule.filter(s => !trainers.some(t => belongsTo(s, t)));
+}
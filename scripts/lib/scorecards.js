@@ -0,0 +1,239 @@
+/**
+ * scorecards.js
+ *
+ * Per-trainer scorecards from feedback.csv, for analyze-feedback.js
+ * --scorecards. The programme statistics show what the guide does; these
+ * show how each trainer's sessions go against everyone else's, so coaching
+ * can go where it is needed: who keeps losing the room at the same section,
+ * who has setup issues every time.
+ *
+ * Each trainer's metrics are averaged over their own sessions and set
+ * against the cohort median — the median of every trainer's average, so a
+ * trainer with many sessions doesn't pull the benchmark towards themselves.
+ * Setup issues and unanswered questions are better below the median.
+ *
+ * The trend compares the earlier half of a trainer's sessions with the
+ * later half (the middle one is left out when the count is odd). It needs
+ * MIN_TREND_SESSIONS sessions; smaller moves than STEADY_WITHIN are called
+ * steady.
+ */
+
+export const SCORECARD_METRICS = [
+  { key: "ex1",                  label: "Exercise 1 completion",            unit: "%", decimals: 1, higherIsBetter: true },
+  { key: "ex2",                  label: "Exercise 2 completion",            unit: "%", decimals: 1, higherIsBetter: true },
+  { key: "energyOpening",        label: "Opening energy",                   unit: "",  decimals: 2, higherIsBetter: true },
+  { key: "energyExercises",      label: "Exercise energy",                  unit: "",  decimals: 2, higherIsBetter: true },
+  { key: "energyClosing",        label: "Closing energy",                   unit: "",  decimals: 2, higherIsBetter: true },
+  { key: "setupIssueRatePct",    label: "Setup issue rate",                 unit: "%", decimals: 1, higherIsBetter: false },
+  { key: "unansweredPerSession", label: "Unanswered questions per session", unit: "",  decimals: 1, higherIsBetter: false },
+];
+
+// Per-session values the trend is measured on
+const TREND_METRICS = [
+  { key: "ex1",           column: "ex1_completion_pct", label: "Exercise 1 completion", unit: "%", decimals: 1 },
+  { key: "ex2",           column: "ex2_completion_pct", label: "Exercise 2 completion", unit: "%", decimals: 1 },
+  { key: "energyClosing", column: "energy_closing",     label: "Closing energy",        unit: "",  decimals: 2 },
+];
+
+export const MIN_TREND_SESSIONS = 3;
+
+const STEADY_WITHIN = { ex1: 5, ex2: 5, energyClosing: 0.3 };
+
+// A pattern needs to turn up in at least this many of a trainer's sessions
+const PATTERN_SESSIONS = 2;
+
+// ── Statistics ───────────────────────────────────────────────────────────────
+
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function questionsIn(session) {
+  return (session.questions_unanswered || "").split("|").map(q => q.trim()).filter(Boolean);
+}
+
+function trainerMetrics(sessions) {
+  const num = (s, column) => parseFloat(s[column] || 0);
+  return {
+    ex1:                  mean(sessions.map(s => num(s, "ex1_completion_pct"))),
+    ex2:                  mean(sessions.map(s => num(s, "ex2_completion_pct"))),
+    energyOpening:        mean(sessions.map(s => num(s, "energy_opening"))),
+    energyExercises:      mean(sessions.map(s => num(s, "energy_exercises"))),
+    energyClosing:        mean(sessions.map(s => num(s, "energy_closing"))),
+    setupIssueRatePct:    (sessions.filter(s => s.setup_issues === "true").length / sessions.length) * 100,
+    unansweredPerSession: mean(sessions.map(s => questionsIn(s).length)),
+  };
+}
+
+function trend(sessions) {
+  if (sessions.length < MIN_TREND_SESSIONS) return null;
+  const half = Math.floor(sessions.length / 2);
+  const earlier = sessions.slice(0, half);
+  const later = sessions.slice(-half);
+  return TREND_METRICS.map(m => {
+    const before = mean(earlier.map(s => parseFloat(s[m.column] || 0)));
+    const after  = mean(later.map(s => parseFloat(s[m.column] || 0)));
+    const change = after - before;
+    const direction = Math.abs(change) < STEADY_WITHIN[m.key] ? "steady" : change > 0 ? "improving" : "declining";
+    return { ...m, earlier: before, later: after, change, direction };
+  });
+}
+
+// Things that happen in PATTERN_SESSIONS or more of one trainer's sessions
+function patterns(sessions) {
+  const found = [];
+  const of = `of ${sessions.length} session${sessions.length === 1 ? "" : "s"}`;
+
+  const lost = {};
+  sessions.filter(s => s.lost_room_at).forEach(s => { lost[s.lost_room_at] = (lost[s.lost_room_at] || 0) + 1; });
+  for (const [at, n] of Object.entries(lost).sort(([, a], [, b]) => b - a)) {
+    if (n >= PATTERN_SESSIONS) found.push(`Lost the room at ${at} in ${n} ${of}`);
+  }
+
+  const setup = sessions.filter(s => s.setup_issues === "true").length;
+  if (setup >= PATTERN_SESSIONS) found.push(`Setup issues in ${setup} ${of}`);
+
+  const bugs = {};
+  sessions.forEach(s => { if (s.hardest_bug) bugs[s.hardest_bug] = (bugs[s.hardest_bug] || 0) + 1; });
+  for (const [bug, n] of Object.entries(bugs).sort(([, a], [, b]) => b - a)) {
+    if (n >= PATTERN_SESSIONS && bug !== "none") found.push(`Hardest bug was ${bug} in ${n} ${of}`);
+  }
+
+  return found;
+}
+
+/**
+ * Builds one scorecard per trainer, sorted by name. Returns
+ *   { cohort: { trainers, sessions, median: { <metric>: n } },
+ *     cards:  [{ trainer, sessions (by date), metrics, comparison, trend, patterns }] }
+ * where comparison is [{ key, label, unit, decimals, value, median, difference, worse }]
+ * and trend is null below MIN_TREND_SESSIONS sessions.
+ */
+export function buildScorecards(sessions) {
+  const byTrainer = {};
+  for (const s of sessions) (byTrainer[s.trainer_name] = byTrainer[s.trainer_name] || []).push(s);
+
+  const trainers = Object.keys(byTrainer).sort((a, b) => a.localeCompare(b));
+  const metrics = Object.fromEntries(trainers.map(t => [t, trainerMetrics(byTrainer[t])]));
+  const cohortMedian = Object.fromEntries(SCORECARD_METRICS.map(m => [m.key, median(trainers.map(t => metrics[t][m.key]))]));
+
+  const cards = trainers.map(trainer => {
+    const own = [...byTrainer[trainer]].sort((a, b) => a.session_date.localeCompare(b.session_date));
+    const comparison = SCORECARD_METRICS.map(m => {
+      const difference = metrics[trainer][m.key] - cohortMedian[m.key];
+      const rounded = Number(difference.toFixed(m.decimals));
+      return {
+        ...m,
+        value:  metrics[trainer][m.key],
+        median: cohortMedian[m.key],
+        difference,
+        worse:  rounded !== 0 && (rounded < 0) === m.higherIsBetter,
+      };
+    });
+    return { trainer, sessions: own, metrics: metrics[trainer], comparison, trend: trend(own), patterns: patterns(own) };
+  });
+
+  return { cohort: { trainers: trainers.length, sessions: sessions.length, median: cohortMedian }, cards };
+}
+
+// ── Rendering ────────────────────────────────────────────────────────────────
+
+export function scorecardFilename(trainer) {
+  const slug = trainer.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `${slug || "trainer"}.md`;
+}
+
+function formatValue(value, m) {
+  return `${value.toFixed(m.decimals)}${m.unit}`;
+}
+
+function formatDifference(difference, m, zero = "at median") {
+  const rounded = Number(difference.toFixed(m.decimals));
+  if (rounded === 0) return zero;
+  return `${rounded > 0 ? "+" : "−"}${Math.abs(rounded).toFixed(m.decimals)}${m.unit === "%" ? " pts" : ""}`;
+}
+
+function energyCurve(values) {
+  return [values.energyOpening, values.energyExercises, values.energyClosing].map(v => v.toFixed(2)).join(" → ");
+}
+
+/**
+ * The markdown file for one trainer. `coaching` is the rendered coaching
+ * note, or null when it wasn't requested; `context` carries { generated,
+ * scope, prompts } for the header, prompts naming the prompt versions
+ * behind the coaching note (null without one).
+ */
+export function renderScorecardMarkdown(card, cohort, { generated, scope, prompts = null }, coaching = null) {
+  const n = card.sessions.length;
+  const dates = card.sessions.map(s => s.session_date);
+  const versions = [...new Set(card.sessions.map(s => s.guide_version))].sort().join(", ");
+  const formats = {};
+  card.sessions.forEach(s => { formats[s.delivery_format] = (formats[s.delivery_format] || 0) + 1; });
+
+  let md = `# Trainer Scorecard: ${card.trainer}
+
+**Generated:** ${generated}  
+**Sessions:** ${n} (${dates[0] === dates.at(-1) ? dates[0] : `${dates[0]} to ${dates.at(-1)}`})  
+**Guide versions:** ${versions}  
+**Delivery formats:** ${Object.entries(formats).map(([f, c]) => `${f} (${c})`).join(", ")}  
+**Cohort:** ${cohort.trainers} trainers, ${cohort.sessions} sessions (${scope})  
+${prompts ? `**Prompts:** ${prompts}  \n` : ""}
+---
+
+## Against the Cohort
+
+Cohort median is the median of every trainer's average.
+
+| Metric | ${card.trainer} | Cohort median | Difference |
+|---|---|---|---|
+`;
+  for (const c of card.comparison) {
+    md += `| ${c.label} | ${formatValue(c.value, c)} | ${formatValue(c.median, c)} | ${formatDifference(c.difference, c)}${c.worse ? " ⚠" : ""} |\n`;
+  }
+  md += `\nEnergy curve (opening → exercises → closing): ${energyCurve(card.metrics)}, cohort median ${energyCurve(cohort.median)}.\n\n`;
+
+  md += `## Patterns\n\n`;
+  md += card.patterns.length === 0
+    ? `Nothing repeated across ${n === 1 ? "this trainer's only session" : `these ${n} sessions`}.\n\n`
+    : card.patterns.map(p => `- ${p}`).join("\n") + "\n\n";
+
+  md += `## Trend\n\n`;
+  if (!card.trend) {
+    md += `${n} session${n === 1 ? "" : "s"} — a trend needs at least ${MIN_TREND_SESSIONS}.\n\n`;
+  } else {
+    const half = Math.floor(n / 2);
+    md += `Earlier ${half} session${half === 1 ? "" : "s"} against the later ${half}.\n\n`;
+    md += `| Metric | Earlier | Later | Change | Direction |\n`;
+    md += `|---|---|---|---|---|\n`;
+    for (const t of card.trend) {
+      md += `| ${t.label} | ${formatValue(t.earlier, t)} | ${formatValue(t.later, t)} | ${formatDifference(t.change, t, "none")} | ${t.direction} |\n`;
+    }
+    md += "\n";
+  }
+
+  md += `| Date | Version | Format | Ex1 | Ex2 | Energy | Setup issues | Questions | Lost room |\n`;
+  md += `|---|---|---|---|---|---|---|---|---|\n`;
+  for (const s of card.sessions) {
+    md += `| ${s.session_date} | v${s.guide_version} | ${s.delivery_format} | ${s.ex1_completion_pct}% | ${s.ex2_completion_pct}% | ` +
+      `${s.energy_opening}/${s.energy_exercises}/${s.energy_closing} | ${s.setup_issues === "true" ? "yes" : "no"} | ` +
+      `${questionsIn(s).length} | ${s.lost_room_at || "—"} |\n`;
+  }
+  md += "\n";
+
+  if (coaching) md += `## Coaching Note\n\n${coaching}`;
+
+  md += `## In Their Words\n\n`;
+  for (const s of card.sessions) {
+    md += `**${s.session_date}**\n\n`;
+    if (s.trainer_notes)      md += `- Notes: ${s.trainer_notes}\n`;
+    if (s.session_highlights) md += `- Highlight: ${s.session_highlights}\n`;
+    if (questionsIn(s).length > 0) md += `- Couldn't answer: ${questionsIn(s).map(q => `"${q}"`).join("; ")}\n`;
+    md += "\n";
+  }
+
+  return md;
+}
@@ -0,0 +1,44 @@
+/**
+ * trainer-audit-log.js
+ *
+ * Append-only record of every change made to trainer-versions.json by the
+ * self-registration service (registration-server.js): who changed, from
+ * which version to which, and when. check-versions.js reads it back to show
+ * when each trainer last confirmed an update.
+ *
+ * Log shape:
+ *   {
+ *     "entries": [
+ *       { "at": "2026-02-16T09:12:00.000Z", "email": "...", "trainer": "...",
+ *         "action": "version_confirmed", "from_version": "1.1", "to_version": "1.2",
+ *         "last_accessed_before": "2026-01-28", "last_accessed_after": "2026-02-16",
+ *         "source": "form", "remote_address": "127.0.0.1" }
+ *     ]
+ *   }
+ */
+
+import { readJsonFile, writeJsonAtomic } from "./json-store.js";
+
+// Shared by registration-server.js, which writes the log, and
+// check-versions.js, which reads it
+export const DEFAULT_AUDIT_LOG_PATH = "output/trainer-audit-log.json";
+
+export function loadAuditLog(filePath) {
+  return readJsonFile(filePath, "entries", "trainer audit log");
+}
+
+export function saveAuditLog(filePath, log) {
+  writeJsonAtomic(filePath, log);
+}
+
+export function appendAuditEntry(log, entry) {
+  log.entries.push(entry);
+}
+
+// All changes for one trainer, oldest → newest
+export function auditEntriesFor(log, email) {
+  const key = email.toLowerCase();
+  return log.entries
+    .filter(e => e.email.toLowerCase() === key)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
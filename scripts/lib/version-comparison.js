@@ -0,0 +1,296 @@
+/**
+ * version-comparison.js
+ *
+ * Compares session outcomes between guide versions, for the "Version
+ * Correlation" part of analyze-feedback.js. A handful of sessions per
+ * version makes raw averages misleading, so each metric gets:
+ *
+ *   difference   mean of the later version minus the earlier one, with a
+ *                95% bootstrap confidence interval
+ *   adjusted     the same difference measured within each delivery format
+ *                (and separately each team context) where both versions
+ *                have at least two sessions, weighted by stratum size —
+ *                a version delivered mostly on zoom isn't penalised for
+ *                zoom's lower energy
+ *   effect size  Cliff's delta: how often a session on the later version
+ *                beats one on the earlier, from −1 to 1
+ *   p-value      two-sided Mann–Whitney U test (normal approximation)
+ *
+ * A difference is called better or worse only when every interval
+ * (unadjusted and adjusted) excludes zero in the same direction. Versions
+ * with fewer than MIN_SESSIONS sessions are compared but flagged.
+ *
+ * The bootstrap uses a fixed seed, so the same data always gives the same
+ * intervals.
+ */
+
+import { normalizeVersion, compareVersions, parseVersion } from "./releases.js";
+
+export const COMPARISON_METRICS = [
+  { column: "ex1_completion_pct", label: "Exercise 1 completion", unit: "%", decimals: 1 },
+  { column: "ex2_completion_pct", label: "Exercise 2 completion", unit: "%", decimals: 1 },
+  { column: "energy_closing",     label: "Closing energy",        unit: "",  decimals: 2 },
+];
+
+export const STRATA = [
+  { column: "delivery_format", label: "format" },
+  { column: "team_context",    label: "team" },
+];
+
+// Below this many sessions on either side, a comparison is indicative only
+export const MIN_SESSIONS = 5;
+
+// A stratum needs this many sessions on each side to be resampled; with
+// one, its bootstrap spread is zero and the interval looks falsely tight
+const MIN_STRATUM_SESSIONS = 2;
+
+const BOOTSTRAP_ITERATIONS = 2000;
+const CONFIDENCE           = 0.95;
+const BOOTSTRAP_SEED       = 20260101;
+
+// ── Statistics ───────────────────────────────────────────────────────────────
+
+// Small seeded PRNG (mulberry32), so bootstrap intervals are reproducible
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function resample(values, random) {
+  return values.map(() => values[Math.floor(random() * values.length)]);
+}
+
+// Difference in means (b − a) within each cell, weighted by the cell's
+// share of the sessions compared
+function weightedDifference(cells) {
+  return cells.reduce((sum, c) => sum + c.weight * (mean(c.b) - mean(c.a)), 0);
+}
+
+// Point estimate plus a percentile interval from resampling each version
+// within each cell
+function bootstrapDifference(cells, random) {
+  const samples = [];
+  for (let i = 0; i < BOOTSTRAP_ITERATIONS; i++) {
+    samples.push(weightedDifference(cells.map(c => ({ ...c, a: resample(c.a, random), b: resample(c.b, random) }))));
+  }
+  samples.sort((x, y) => x - y);
+  const at = q => samples[Math.round(q * (samples.length - 1))];
+  return {
+    estimate: weightedDifference(cells),
+    low:      at((1 - CONFIDENCE) / 2),
+    high:     at(1 - (1 - CONFIDENCE) / 2),
+    sessions: cells.reduce((n, c) => n + c.a.length + c.b.length, 0),
+  };
+}
+
+// Strata both versions have enough sessions in; the rest can't be
+// compared like for like and are left out of the adjusted estimate
+function strataCells(rowsA, rowsB, stratum, column) {
+  const group = rows => rows.reduce((groups, row) => {
+    const key = row[stratum] || "unknown";
+    (groups[key] = groups[key] || []).push(Number(row[column]));
+    return groups;
+  }, {});
+  const a = group(rowsA);
+  const b = group(rowsB);
+  const shared = Object.keys(a)
+    .filter(key => b[key] && a[key].length >= MIN_STRATUM_SESSIONS && b[key].length >= MIN_STRATUM_SESSIONS)
+    .sort();
+  const total = shared.reduce((n, key) => n + a[key].length + b[key].length, 0);
+  return {
+    strata: shared,
+    cells:  shared.map(key => ({ a: a[key], b: b[key], weight: (a[key].length + b[key].length) / total })),
+  };
+}
+
+// Share of pairs where b beats a minus the share where a beats b
+function cliffsDelta(a, b) {
+  let score = 0;
+  for (const x of a) for (const y of b) score += Math.sign(y - x);
+  return score / (a.length * b.length);
+}
+
+// Romano et al. (2006) thresholds
+function deltaMagnitude(delta) {
+  const size = Math.abs(delta);
+  if (size < 0.147) return "negligible";
+  if (size < 0.33)  return "small";
+  if (size < 0.474) return "medium";
+  return "large";
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided Mann–Whitney U test with tie and continuity corrections
+function mannWhitneyP(a, b) {
+  const all = [...a.map(v => ({ v, b: false })), ...b.map(v => ({ v, b: true }))].sort((x, y) => x.v - y.v);
+  const n = all.length;
+  let rankSumB = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j < n && all[j].v === all[i].v) j++;
+    const rank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) if (all[k].b) rankSumB += rank;
+    tieTerm += (j - i) ** 3 - (j - i);
+    i = j;
+  }
+  const u = rankSumB - (b.length * (b.length + 1)) / 2;
+  const mu = (a.length * b.length) / 2;
+  const sigma = Math.sqrt((a.length * b.length / 12) * ((n + 1) - tieTerm / (n * (n - 1))));
+  if (!(sigma > 0)) return 1;
+  const z = Math.max(0, Math.abs(u - mu) - 0.5) / sigma;
+  return Math.min(1, 2 * (1 - normalCdf(z)));
+}
+
+// ── Comparison ───────────────────────────────────────────────────────────────
+
+function versionKey(row) {
+  return normalizeVersion(row.guide_version) || row.guide_version || "unknown";
+}
+
+function byVersionOrder(a, b) {
+  const known = [a, b].map(v => parseVersion(v) !== null);
+  if (known[0] && known[1]) return compareVersions(a, b);
+  return known[1] - known[0] || a.localeCompare(b);
+}
+
+// better / worse only when every interval agrees on the direction
+function verdict(estimates) {
+  if (estimates.every(e => e.low > 0))  return "better";
+  if (estimates.every(e => e.high < 0)) return "worse";
+  return "no clear difference";
+}
+
+/**
+ * Compares two guide versions (b against a) on every metric.
+ * Returns { a, b, sessions: { a, b }, enough, metrics: [...] }, each metric
+ * { column, label, unit, decimals, meanA, meanB, difference, adjusted:
+ * { format, team }, cliffsDelta, magnitude, pValue, verdict }. An adjusted
+ * estimate is null when the versions share no stratum.
+ */
+export function compareVersionPair(sessions, a, b, { minSessions = MIN_SESSIONS } = {}) {
+  const rowsA = sessions.filter(s => versionKey(s) === a);
+  const rowsB = sessions.filter(s => versionKey(s) === b);
+  const random = seededRandom(BOOTSTRAP_SEED);
+  const enough = rowsA.length >= minSessions && rowsB.length >= minSessions;
+
+  const metrics = COMPARISON_METRICS.map(metric => {
+    const valuesA = rowsA.map(r => Number(r[metric.column]));
+    const valuesB = rowsB.map(r => Number(r[metric.column]));
+    const difference = bootstrapDifference([{ a: valuesA, b: valuesB, weight: 1 }], random);
+
+    const adjusted = {};
+    for (const stratum of STRATA) {
+      const { strata, cells } = strataCells(rowsA, rowsB, stratum.column, metric.column);
+      adjusted[stratum.label] = cells.length === 0 ? null : { ...bootstrapDifference(cells, random), strata };
+    }
+
+    const delta = cliffsDelta(valuesA, valuesB);
+    return {
+      ...metric,
+      meanA:       mean(valuesA),
+      meanB:       mean(valuesB),
+      difference,
+      adjusted,
+      cliffsDelta: delta,
+      magnitude:   deltaMagnitude(delta),
+      pValue:      mannWhitneyP(valuesA, valuesB),
+      verdict:     enough
+        ? verdict([difference, ...Object.values(adjusted).filter(Boolean)])
+        : "too few sessions",
+    };
+  });
+
+  return { a, b, sessions: { a: rowsA.length, b: rowsB.length }, enough, metrics };
+}
+
+// The guide versions the sessions were delivered on, earliest first
+export function versionsIn(sessions) {
+  return [...new Set(sessions.map(versionKey))].sort(byVersionOrder);
+}
+
+// Every pair of versions in the sessions, earlier version first
+export function compareAllVersions(sessions, options = {}) {
+  const versions = versionsIn(sessions);
+  const pairs = [];
+  for (let i = 0; i < versions.length; i++) {
+    for (let j = i + 1; j < versions.length; j++) {
+      pairs.push(compareVersionPair(sessions, versions[i], versions[j], options));
+    }
+  }
+  return pairs;
+}
+
+// ── Formatting ───────────────────────────────────────────────────────────────
+
+function signed(value, decimals, unit) {
+  const text = Math.abs(value).toFixed(decimals);
+  const sign = Number(text) === 0 ? "±" : value > 0 ? "+" : "−";
+  return `${sign}${text}${unit ? ` ${unit === "%" ? "pts" : unit}` : ""}`;
+}
+
+export function formatDifference(estimate, metric) {
+  if (!estimate) return "—";
+  return `${signed(estimate.estimate, metric.decimals, metric.unit)} ` +
+    `(${signed(estimate.low, metric.decimals, "")} to ${signed(estimate.high, metric.decimals, "")})`;
+}
+
+export function formatP(p) {
+  return p < 0.001 ? "< 0.001" : p.toFixed(3);
+}
+
+function sampleNote(comparison, minSessions) {
+  return comparison.enough
+    ? ""
+    : ` — fewer than ${minSessions} sessions on a version, so indicative only`;
+}
+
+export function renderComparisonMarkdown(comparisons, { minSessions = MIN_SESSIONS } = {}) {
+  let md = "";
+  for (const c of comparisons) {
+    md += `**v${c.a} → v${c.b}** (${c.sessions.a} vs ${c.sessions.b} sessions${sampleNote(c, minSessions)})\n\n`;
+    md += `| Metric | v${c.a} | v${c.b} | Difference (95% CI) | Same format | Same team | Cliff's δ | p | Verdict |\n`;
+    md += `|---|---|---|---|---|---|---|---|---|\n`;
+    for (const m of c.metrics) {
+      md += `| ${m.label} | ${m.meanA.toFixed(m.decimals)}${m.unit} | ${m.meanB.toFixed(m.decimals)}${m.unit} | ` +
+        `${formatDifference(m.difference, m)} | ${formatDifference(m.adjusted.format, m)} | ${formatDifference(m.adjusted.team, m)} | ` +
+        `${m.cliffsDelta.toFixed(2)} (${m.magnitude}) | ${formatP(m.pValue)} | ${m.verdict} |\n`;
+    }
+    const shared = STRATA.map(s => {
+      const strata = c.metrics[0].adjusted[s.label]?.strata;
+      return `${s.label}: ${strata ? strata.join(", ") : "none shared"}`;
+    });
+    md += `\nAdjusted columns compare like with like within shared strata (${shared.join("; ")}).\n\n`;
+  }
+  return md;
+}
+
+// Plain lines for the prompt: the numbers Claude should reason from
+export function describeComparisons(comparisons, { minSessions = MIN_SESSIONS } = {}) {
+  return comparisons.map(c => {
+    const lines = c.metrics.map(m =>
+      `  - ${m.label}: ${m.meanA.toFixed(m.decimals)}${m.unit} → ${m.meanB.toFixed(m.decimals)}${m.unit}, ` +
+      `difference ${formatDifference(m.difference, m)}; ` +
+      STRATA.map(st => `same ${st.label} ${m.adjusted[st.label] ? formatDifference(m.adjusted[st.label], m) : "not measurable (none shared)"}; `).join("") +
+      `Cliff's delta ${m.cliffsDelta.toFixed(2)} (${m.magnitude}); Mann–Whitney p ${formatP(m.pValue)} → ${m.verdict}`
+    );
+    return `- v${c.a} → v${c.b} (${c.sessions.a} vs ${c.sessions.b} sessions${sampleNote(c, minSessions)}):\n${lines.join("\n")}`;
+  }).join("\n");
+}
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+/**
+ * questions.js
+ *
+ * Works the unanswered-question log (question-log.json) that
+ * analyze-feedback.js fills from feedback.csv: lists the question
+ * clusters, moves them through the FAQ lifecycle and reports the FAQ
+ * response SLA.
+ *
+ *   new → drafted (FAQ entry written) → approved → merged (into a guide version)
+ *
+ * Each move is dated (today unless --date is given), and the SLA is
+ * computed from those dates: a question is answered when its cluster is
+ * merged, and should be within 14 days of first being asked.
+ *
+ * No external dependencies. No API calls. Pure logic.
+ *
+ * Usage:
+ *   node scripts/questions.js list                        (open clusters)
+ *   node scripts/questions.js list --all                  (include merged)
+ *   node scripts/questions.js list --status drafted
+ *   node scripts/questions.js show Q-004
+ *   node scripts/questions.js draft Q-004 --question "..." --answer "..."
+ *   node scripts/questions.js approve Q-004 Q-006 --note "Reviewed by Sam"
+ *   node scripts/questions.js merge Q-004 --version 1.3
+ *   node scripts/questions.js join Q-006 Q-004            (move Q-006's questions into Q-004)
+ *   node scripts/questions.js sla
+ *   node scripts/questions.js ... --log path/to/question-log.json  (default: output/question-log.json)
+ *   node scripts/questions.js merge ... --releases path/to/releases.json  (default: sample-data/releases.json)
+ *   node scripts/questions.js approve ... --date 2026-02-12
+ */
+
+import fs from "fs";
+import path from "path";
+
+import {
+  loadQuestionLog,
+  saveQuestionLog,
+  findCluster,
+  advanceCluster,
+  firstAsked,
+  clusterTrainers,
+  clusterAsks,
+  questionSla,
+  STATUSES,
+  STATUS_LABELS,
+  PATTERN_TRAINERS,
+} from "./lib/question-log.js";
+import { loadReleaseManifest, findRelease, normalizeVersion } from "./lib/releases.js";
+
+// ═══════════════════════════════════════════════════════════════════
+//  CLI ARGUMENT PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+
+function getArg(flag, defaultValue) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1]) return args[index + 1];
+  return defaultValue;
+}
+
+const VALUE_FLAGS = ["--log", "--releases", "--date", "--note", "--version", "--question", "--answer", "--status"];
+
+// Everything that isn't a flag or a flag's value: the command, then cluster ids
+const positional = args.filter((arg, i) => !arg.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+
+const COMMAND       = positional[0] || "list";
+const IDS           = positional.slice(1);
+const LOG_PATH      = getArg("--log",      "output/question-log.json");
+const RELEASES_PATH = getArg("--releases", "sample-data/releases.json");
+const DATE          = getArg("--date",     new Date().toISOString().split("T")[0]);
+const NOTE          = getArg("--note",     null);
+const VERSION       = getArg("--version",  null);
+const FAQ_QUESTION  = getArg("--question", null);
+const FAQ_ANSWER    = getArg("--answer",   null);
+const STATUS        = getArg("--status",   null);
+const SHOW_ALL      = args.includes("--all");
+
+// Response SLA from SYSTEMS.md §4 — same value analyze-feedback.js exports
+const SLA_DAYS = 14;
+
+// ═══════════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════════
+
+function fail(message, details = []) {
+  console.error(`\nError: ${message}`);
+  details.forEach(d => console.error(`  - ${d}`));
+  process.exit(1);
+}
+
+function daysSince(date) {
+  return Math.round((new Date(`${DATE}T00:00:00Z`) - new Date(`${date}T00:00:00Z`)) / 86400000);
+}
+
+function clustersFor(log, ids) {
+  if (ids.length === 0) fail(`'${COMMAND}' needs at least one cluster id, e.g. Q-004.`);
+  const unknown = ids.filter(id => !findCluster(log, id));
+  if (unknown.length > 0) fail(`No cluster with id ${unknown.join(", ")} in '${LOG_PATH}'.`);
+  return ids.map(id => findCluster(log, id));
+}
+
+function clusterLine(cluster) {
+  const trainers = clusterTrainers(cluster);
+  const flags = [];
+  if (cluster.status !== "merged" && daysSince(firstAsked(cluster)) > SLA_DAYS) flags.push("OVERDUE");
+  if (cluster.status === "new" && trainers.length >= PATTERN_TRAINERS) flags.push("PATTERN");
+  const version = cluster.merged_version ? ` v${cluster.merged_version}` : "";
+  const counts  = `${clusterAsks(cluster)} asked, ${trainers.length} trainer${trainers.length === 1 ? "" : "s"}`;
+  return `  ${cluster.id}  ${(STATUS_LABELS[cluster.status] + version).padEnd(14)} ${counts.padEnd(22)} ` +
+    `since ${firstAsked(cluster)}  ${cluster.title}${flags.length ? `  [${flags.join(", ")}]` : ""}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  COMMANDS
+// ═══════════════════════════════════════════════════════════════════
+
+function list(log) {
+  if (STATUS && !STATUSES.includes(STATUS)) fail(`Unknown status '${STATUS}'. Use one of: ${STATUSES.join(", ")}.`);
+  const clusters = log.clusters.filter(c =>
+    STATUS ? c.status === STATUS : SHOW_ALL || c.status !== "merged"
+  );
+
+  console.log(`\n  ${clusters.length} cluster${clusters.length === 1 ? "" : "s"} in ${LOG_PATH}${STATUS ? ` (${STATUS})` : SHOW_ALL ? "" : " (open)"}\n`);
+  clusters.forEach(c => console.log(clusterLine(c)));
+  console.log(`\n  OVERDUE: open for more than ${SLA_DAYS} days. PATTERN: ${PATTERN_TRAINERS}+ trainers asked — draft an FAQ entry.\n`);
+}
+
+function show(log) {
+  for (const cluster of clustersFor(log, IDS)) {
+    console.log(`\n${clusterLine(cluster)}\n`);
+    for (const question of cluster.questions) {
+      console.log(`    "${question.text}"`);
+      question.asked.forEach(a => console.log(`      ${a.date}  ${a.trainer}  (${a.session_id})`));
+    }
+    if (cluster.faq) {
+      console.log(`\n    FAQ  Q: ${cluster.faq.question}`);
+      console.log(`         A: ${cluster.faq.answer}`);
+    }
+    console.log("\n    History:");
+    cluster.history.forEach(h => console.log(`      ${h.date}  ${STATUS_LABELS[h.status]}${h.note ? ` — ${h.note}` : ""}`));
+  }
+  console.log();
+}
+
+function advance(log, status) {
+  const clusters = clustersFor(log, IDS);
+  let version = null;
+
+  if (status === "merged") {
+    if (!VERSION) fail("'merge' needs --version, the guide version the FAQ entry went into.");
+    version = normalizeVersion(VERSION) || VERSION;
+    try {
+      if (!findRelease(loadReleaseManifest(RELEASES_PATH), version)) {
+        fail(`v${version} is not in the release manifest '${RELEASES_PATH}'. Publish it with release.js first.`);
+      }
+    } catch (e) {
+      fail(e.message);
+    }
+  }
+
+  let faq = null;
+  if (FAQ_QUESTION || FAQ_ANSWER) {
+    if (!FAQ_QUESTION || !FAQ_ANSWER) fail("Give the FAQ entry as both --question and --answer.");
+    faq = { question: FAQ_QUESTION, answer: FAQ_ANSWER };
+  }
+
+  const problems = [];
+  for (const cluster of clusters) {
+    try {
+      advanceCluster(cluster, status, { date: DATE, note: NOTE, version, faq });
+    } catch (e) {
+      problems.push(e.message);
+    }
+  }
+  if (problems.length > 0) fail("Nothing was changed:", problems);
+
+  saveQuestionLog(LOG_PATH, log);
+  clusters.forEach(c => console.log(`  ✓ ${c.id} → ${STATUS_LABELS[status]}${version ? ` v${version}` : ""} (${DATE})`));
+}
+
+function join(log) {
+  if (IDS.length !== 2) fail("'join' takes two ids: the cluster to fold in, then the one to keep.");
+  const [source, target] = clustersFor(log, IDS);
+  if (source === target) fail("Give two different clusters to join.");
+  if (source.status !== "new") {
+    fail(`${source.id} is already ${STATUS_LABELS[source.status].toLowerCase()} — only a new cluster can be folded into another.`);
+  }
+  if (target.status === "merged") fail(`${target.id} is already merged — join into an open cluster.`);
+
+  for (const question of source.questions) {
+    const existing = target.questions.find(q => q.key === question.key);
+    if (!existing) {
+      target.questions.push(question);
+      continue;
+    }
+    question.asked
+      .filter(a => !existing.asked.some(e => e.session_id === a.session_id))
+      .forEach(a => existing.asked.push(a));
+  }
+  if (firstAsked(source) < firstAsked(target)) target.history[0].date = firstAsked(source);
+  log.clusters = log.clusters.filter(c => c !== source);
+
+  saveQuestionLog(LOG_PATH, log);
+  console.log(`  ✓ ${source.id} joined into ${target.id} (${target.questions.length} questions, ${clusterAsks(target)} asks)`);
+}
+
+function sla(log) {
+  const report = questionSla(log, { slaDays: SLA_DAYS, asOf: DATE });
+
+  console.log(`\n  FAQ response SLA (${SLA_DAYS} days) — ${LOG_PATH}, as of ${DATE}\n`);
+  console.log(`  Questions logged:       ${report.questionsLogged}`);
+  console.log(`  Answered (merged):      ${report.questionsAnswered}`);
+  console.log(`  Answered within SLA:    ${report.questionsAnsweredWithinSla}`);
+  console.log(`  Adherence:              ${report.slaAdherencePct}% of ${report.questionsDue} due`);
+  console.log(`  Average days to answer: ${report.avgDaysToAnswer}`);
+
+  if (report.overdue.length > 0) {
+    console.log(`\n  Overdue (${report.overdue.length}):`);
+    report.overdue
+      .sort((a, b) => a.asked.localeCompare(b.asked))
+      .forEach(q => console.log(`    ${q.cluster.id}  asked ${q.asked} (${daysSince(q.asked)} days)  ${STATUS_LABELS[q.cluster.status]}  ${q.text}`));
+  }
+  console.log();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  MAIN
+// ═══════════════════════════════════════════════════════════════════
+
+function main() {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(DATE) || isNaN(new Date(DATE))) fail(`--date must be YYYY-MM-DD, got '${DATE}'.`);
+  if (!fs.existsSync(LOG_PATH)) {
+    fail(`Question log not found at '${LOG_PATH}'.`, [
+      "analyze-feedback.js creates it on its first run — run it first, or pass --log (the sample log is sample-data/question-log.json).",
+    ]);
+  }
+
+  let log;
+  try {
+    log = loadQuestionLog(LOG_PATH);
+  } catch (e) {
+    fail(e.message);
+  }
+
+  switch (COMMAND) {
+    case "list":    return list(log);
+    case "show":    return show(log);
+    case "draft":   return advance(log, "drafted");
+    case "approve": return advance(log, "approved");
+    case "merge":   return advance(log, "merged");
+    case "join":    return join(log);
+    case "sla":     return sla(log);
+    default:
+      fail(`Unknown command '${COMMAND}'.`, ["Use one of: list, show, draft, approve, merge, join, sla."]);
+  }
+}
+
+main();
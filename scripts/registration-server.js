@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+
+/**
+ * registration-server.js
+ *
+ * Small local HTTP service where trainers confirm they have read a guide
+ * version. Replaces updating trainer-versions.json by hand "as trainers
+ * confirm updates": the notification emails from check-versions.js carry a
+ * personal link (see lib/registration.js), the trainer picks the version
+ * they have read, and their record is updated.
+ *
+ * Every confirmation is checked against the release manifest, written to
+ * trainer-versions.json atomically (temp file + rename), and recorded in
+ * the trainer audit log so the compliance report can show when each
+ * trainer updated.
+ *
+ * No external dependencies. No API calls.
+ *
+ * Usage:
+ *   node scripts/registration-server.js
+ *   node scripts/registration-server.js --port 3210 --host 127.0.0.1
+ *   node scripts/registration-server.js --input sample-data/trainer-versions.json
+ *   node scripts/registration-server.js --releases sample-data/releases.json
+ *   node scripts/registration-server.js --audit-log path/to/trainer-audit-log.json  (default: output/trainer-audit-log.json)
+ *
+ * Endpoints:
+ *   GET  /confirm?email=...&token=...   form for the trainer's personal link
+ *   POST /confirm                       form submission (HTML response)
+ *   POST /api/confirm                   JSON { email, token, version }
+ *
+ * Requires REGISTRATION_SECRET in the environment (.env) — the same secret
+ * check-versions.js uses to sign the links it emails. The service won't
+ * start with a short secret or the example value, since anyone holding
+ * it can forge every trainer's link.
+ */
+
+import dotenv from "dotenv";
+dotenv.config({ quiet: true });
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+import {
+  loadReleaseManifest,
+  validateReleaseManifest,
+  latestVersion,
+  normalizeVersion,
+  compareVersions,
+  findRelease,
+} from "./lib/releases.js";
+import { registrationConfigFromEnv, verifyRegistrationToken, secretProblem } from "./lib/registration.js";
+import { DEFAULT_AUDIT_LOG_PATH, loadAuditLog, saveAuditLog, appendAuditEntry } from "./lib/trainer-audit-log.js";
+import { greetingName } from "./lib/email-templates.js";
+
+// ═══════════════════════════════════════════════════════════════════
+//  CLI ARGUMENT PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+
+function getArg(flag, defaultValue) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1]) return args[index + 1];
+  return defaultValue;
+}
+
+const INPUT_PATH     = getArg("--input",     "sample-data/trainer-versions.json");
+const RELEASES_PATH  = getArg("--releases",  path.join(path.dirname(INPUT_PATH), "releases.json"));
+const AUDIT_LOG_PATH = getArg("--audit-log", DEFAULT_AUDIT_LOG_PATH);
+const PORT           = parseInt(getArg("--port", "3210"));
+const HOST           = getArg("--host",      "127.0.0.1");
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+// ═══════════════════════════════════════════════════════════════════
+//  DATA ACCESS
+//  Files are re-read on every request, so a release published or a
+//  record edited while the service runs is picked up immediately.
+// ═══════════════════════════════════════════════════════════════════
+
+function loadReleases() {
+  const manifest = loadReleaseManifest(RELEASES_PATH);
+  const problems = validateReleaseManifest(manifest);
+  if (problems.length > 0) {
+    throw new Error(`Release manifest '${RELEASES_PATH}' is inconsistent: ${problems.join(" ")}`);
+  }
+  return manifest;
+}
+
+function loadTrainers() {
+  const data = JSON.parse(fs.readFileSync(INPUT_PATH, "utf-8"));
+  if (!Array.isArray(data.trainers)) {
+    throw new Error(`'${INPUT_PATH}' must have a 'trainers' array.`);
+  }
+  return data;
+}
+
+// Start and end offsets of each record in the file's trainers array
+function recordSpans(text) {
+  const start = text.indexOf("[", text.search(/"trainers"\s*:/));
+  const spans = [];
+  let depth = 0, inString = false, open = null;
+  for (let i = start + 1; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (c === "\\") i++;
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') inString = true;
+    else if (c === "{" || c === "[") {
+      if (depth === 0) open = i;
+      depth++;
+    } else if (c === "}" || c === "]") {
+      if (depth === 0) break;   // end of the trainers array
+      depth--;
+      if (depth === 0) spans.push([open, i + 1]);
+    }
+  }
+  return spans;
+}
+
+// One record in the file's hand-kept layout: a field per line, and lists
+// of objects (version_history, certifications) with one object per line
+function formatRecord(record, indent, step) {
+  const pad    = " ".repeat(indent + step);
+  const inline = item => `{ ${Object.entries(item).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(", ")} }`;
+  const fields = Object.entries(record).map(([key, value]) => {
+    const objects = Array.isArray(value) && value.length > 0 && value.every(v => v && typeof v === "object" && !Array.isArray(v));
+    if (!objects) return `${pad}${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+    return `${pad}${JSON.stringify(key)}: [\n${value.map(v => pad + " ".repeat(step) + inline(v)).join(",\n")}\n${pad}]`;
+  });
+  return `{\n${fields.join(",\n")}\n${" ".repeat(indent)}}`;
+}
+
+// Rewrites only the changed record, so a confirmation is a diff of a few
+// lines and the rest of the file keeps its formatting. Temp file + rename:
+// readers (check-versions.js, a second request) only ever see the old file
+// or the new one, never a partial write.
+function writeTrainersAtomically(data, index) {
+  const text  = fs.readFileSync(INPUT_PATH, "utf-8");
+  const spans = recordSpans(text);
+  let updated;
+  if (spans.length === data.trainers.length) {
+    const [start, end] = spans[index];
+    const indent = start - text.lastIndexOf("\n", start) - 1;
+    const step   = Math.max(1, (/\n( *)/.exec(text.slice(start))?.[1].length ?? indent + 2) - indent);
+    updated = text.slice(0, start) + formatRecord(data.trainers[index], indent, step) + text.slice(end);
+  } else {
+    updated = JSON.stringify(data, null, 2) + "\n";   // layout not recognised
+  }
+
+  const tmp = `${INPUT_PATH}.tmp`;
+  fs.writeFileSync(tmp, updated, "utf-8");
+  fs.renameSync(tmp, INPUT_PATH);
+}
+
+function today() {
+  return new Date().toISOString().split("T")[0];
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  CONFIRMATION
+//  Shared by the form and the JSON endpoint. Throws a RequestError
+//  carrying the HTTP status for anything the trainer can fix.
+// ═══════════════════════════════════════════════════════════════════
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function findTrainer(data, email) {
+  const key = String(email).trim().toLowerCase();
+  return data.trainers.find(t => t.email.toLowerCase() === key) || null;
+}
+
+// Runs synchronously from read to write, so two requests can never
+// interleave their read-modify-write of trainer-versions.json
+function confirmVersion({ email, token, version }, { secret, source, remoteAddress }) {
+  // The token comes first: nothing about a trainer, not even whether a
+  // field is missing, is answered for a request that doesn't prove the email
+  if (!email || !token || !verifyRegistrationToken(secret, email, token)) {
+    throw new RequestError(403, "This link is not valid. Use the link from your most recent notification email.");
+  }
+  if (!version) {
+    throw new RequestError(400, "Choose the version you have read.");
+  }
+
+  const releases = loadReleases();
+  const wanted   = normalizeVersion(version);
+  if (!wanted) {
+    throw new RequestError(400, `"${version}" is not a version number.`);
+  }
+  if (!findRelease(releases, wanted)) {
+    throw new RequestError(400, `v${wanted} has not been released. The latest version is v${latestVersion(releases)}.`);
+  }
+
+  const data    = loadTrainers();
+  const trainer = findTrainer(data, email);
+  if (!trainer) {
+    throw new RequestError(404, "No trainer record for this email. Contact the training team.");
+  }
+
+  const previous = normalizeVersion(trainer.current_version);
+  if (previous && compareVersions(wanted, previous) < 0) {
+    throw new RequestError(409, `Our records already show you on v${previous}, which is newer than v${wanted}.`);
+  }
+
+  const change = {
+    at:                   new Date().toISOString(),
+    email:                trainer.email,
+    trainer:              trainer.name,
+    action:               "version_confirmed",
+    from_version:         trainer.current_version,
+    to_version:           wanted,
+    last_accessed_before: trainer.last_accessed,
+    last_accessed_after:  today(),
+    source,
+    remote_address:       remoteAddress,
+  };
+
+  trainer.current_version = wanted;
+  trainer.last_accessed   = change.last_accessed_after;
+  // Kept for point-in-time reports (check-versions.js --as-of). A record
+  // with no history yet starts it with the version they were on until now.
+  if (wanted !== previous) {
+    const history = trainer.version_history
+      || (previous && change.last_accessed_before ? [{ version: previous, date: change.last_accessed_before }] : []);
+    trainer.version_history = [...history, { version: wanted, date: change.last_accessed_after }];
+  }
+  writeTrainersAtomically(data, data.trainers.indexOf(trainer));
+
+  const log = loadAuditLog(AUDIT_LOG_PATH);
+  appendAuditEntry(log, change);
+  saveAuditLog(AUDIT_LOG_PATH, log);
+
+  console.log(`  ${change.at}  ${trainer.name.padEnd(20)}  v${change.from_version} → v${wanted}  (${source})`);
+
+  return {
+    trainer:          trainer.name,
+    previous_version: change.from_version,
+    current_version:  wanted,
+    last_accessed:    trainer.last_accessed,
+    latest_version:   latestVersion(releases),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  HTML
+// ═══════════════════════════════════════════════════════════════════
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, c => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  })[c]);
+}
+
+function page(title, content) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem; color: #1e293b; }
+  label { display: block; margin-top: 1rem; font-weight: 600; }
+  select, button { margin-top: 0.5rem; font-size: 1rem; padding: 0.4rem 0.6rem; }
+  .error { color: #b91c1c; }
+  .ok { color: #15803d; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${content}
+</body>
+</html>`;
+}
+
+function formPage({ email, token, releases, error = null }) {
+  const trainer = findTrainer(loadTrainers(), email);
+  const latest  = latestVersion(releases);
+  const options = [...releases.versions].reverse().map(r =>
+    `<option value="${escapeHtml(r.version)}"${r.version === latest ? " selected" : ""}>v${escapeHtml(r.version)} — released ${escapeHtml(r.released)}</option>`
+  ).join("\n    ");
+
+  return page("Confirm your guide version", `
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+<p>${trainer ? `Hi ${escapeHtml(greetingName(trainer))}, our` : "Our"} records show you on
+<strong>v${escapeHtml(trainer?.current_version ?? "?")}</strong>. The current version is <strong>v${escapeHtml(latest)}</strong>.</p>
+<p>Once you have read the updated guide, confirm the version below.</p>
+<form method="post" action="/confirm">
+  <input type="hidden" name="email" value="${escapeHtml(email)}">
+  <input type="hidden" name="token" value="${escapeHtml(token)}">
+  <label for="version">I have read</label>
+  <select id="version" name="version">
+    ${options}
+  </select>
+  <div><button type="submit">Confirm</button></div>
+</form>`);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  HTTP
+// ═══════════════════════════════════════════════════════════════════
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf-8");
+    req.on("data", chunk => {
+      body += chunk;
+      if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+        // Stop reading but keep the socket, so the 413 still reaches the client
+        req.removeAllListeners("data");
+        req.pause();
+        reject(new RequestError(413, "Request body too large."));
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, contentType, body) {
+  const headers = { "Content-Type": `${contentType}; charset=utf-8`, "Cache-Control": "no-store" };
+  if (status === 413) headers.Connection = "close";   // the rest of the body is never read
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+async function handle(req, res, secret) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  const remoteAddress = req.socket.remoteAddress;
+
+  // ── JSON endpoint ─────────────────────────────────────────────
+  if (url.pathname === "/api/confirm") {
+    if (req.method !== "POST") return send(res, 405, "application/json", JSON.stringify({ ok: false, error: "Use POST." }));
+    try {
+      let input;
+      try {
+        input = JSON.parse(await readBody(req));
+      } catch (e) {
+        if (e instanceof RequestError) throw e;
+        throw new RequestError(400, "Body must be JSON: { email, token, version }.");
+      }
+      const result = confirmVersion(input || {}, { secret, source: "api", remoteAddress });
+      return send(res, 200, "application/json", JSON.stringify({ ok: true, ...result }));
+    } catch (e) {
+      if (!(e instanceof RequestError)) throw e;
+      return send(res, e.status, "application/json", JSON.stringify({ ok: false, error: e.message }));
+    }
+  }
+
+  // ── Form ──────────────────────────────────────────────────────
+  if (url.pathname === "/confirm" || url.pathname === "/") {
+    if (req.method === "GET") {
+      const email = url.searchParams.get("email");
+      const token = url.searchParams.get("token");
+      if (!email || !token || !verifyRegistrationToken(secret, email, token)) {
+        return send(res, 403, "text/html", page("Link not valid",
+          `<p class="error">This link is not valid. Use the link from your most recent notification email.</p>`));
+      }
+      return send(res, 200, "text/html", formPage({ email, token, releases: loadReleases() }));
+    }
+
+    if (req.method === "POST") {
+      let form = {};
+      try {
+        form = Object.fromEntries(new URLSearchParams(await readBody(req)));
+        const result = confirmVersion(form, { secret, source: "form", remoteAddress });
+        const note = result.current_version === result.latest_version
+          ? "You're on the current version — thank you."
+          : `The current version is v${result.latest_version}; please read it before your next session.`;
+        return send(res, 200, "text/html", page("Thanks — you're recorded", `
+<p class="ok">Recorded: you have read <strong>v${escapeHtml(result.current_version)}</strong> (previously v${escapeHtml(result.previous_version)}).</p>
+<p>${escapeHtml(note)}</p>`));
+      } catch (e) {
+        if (!(e instanceof RequestError)) throw e;
+        // The form shows the trainer's name and version, so only a verified link gets it back
+        const verified = form.email && form.token && verifyRegistrationToken(secret, form.email, form.token);
+        if (!verified || e.status === 403 || e.status === 404 || e.status === 413) {
+          return send(res, e.status, "text/html", page("Could not confirm", `<p class="error">${escapeHtml(e.message)}</p>`));
+        }
+        return send(res, e.status, "text/html", formPage({ ...form, releases: loadReleases(), error: e.message }));
+      }
+    }
+
+    return send(res, 405, "text/plain", "Method not allowed.");
+  }
+
+  return send(res, 404, "text/plain", "Not found.");
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  MAIN
+// ═══════════════════════════════════════════════════════════════════
+
+function main() {
+  const { secret } = registrationConfigFromEnv();
+  const problem = secretProblem(secret);
+  if (problem) {
+    console.error(`\nError: ${problem}`);
+    console.error("Set a long random secret in .env (see .env.example) — check-versions.js signs the links in its emails with the same secret.");
+    process.exit(1);
+  }
+
+  // Fail fast on files the service can't work with
+  try {
+    loadReleases();
+    loadTrainers();
+    loadAuditLog(AUDIT_LOG_PATH);
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    process.exit(1);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res, secret).catch(err => {
+      console.error("Unexpected error:", err);
+      if (!res.headersSent) send(res, 500, "text/plain", "Something went wrong. Contact the training team.");
+    });
+  });
+
+  server.on("error", err => {
+    console.error(`\nError: could not start the service: ${err.message}`);
+    process.exit(1);
+  });
+
+  server.listen(PORT, HOST, () => {
+    console.log("\n" + "═".repeat(64));
+    console.log("  TRAINER SELF-REGISTRATION");
+    console.log("═".repeat(64));
+    console.log(`\n  Listening on http://${HOST}:${PORT}`);
+    console.log(`  Trainer records: ${INPUT_PATH}`);
+    console.log(`  Audit log:       ${AUDIT_LOG_PATH}`);
+    console.log("\n  Confirmations:\n");
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main();
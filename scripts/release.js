@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * release.js
+ *
+ * Publishes a new guide version to the shared release manifest
+ * (sample-data/releases.json). Appends the version with its release date,
+ * notes, section list and major/minor/patch type, then validates the whole
+ * manifest — ordering, dates, bump type — and refuses to write it if
+ * anything is inconsistent.
+ *
+ * check-versions.js and analyze-feedback.js both read the manifest, so this
+ * is the only step needed when a new version ships.
+ *
+ * No external dependencies. No API calls. Pure logic.
+ *
+ * Usage:
+ *   node scripts/release.js --version 1.3 --type minor --notes "What changed."
+ *   node scripts/release.js --version 1.3 --type minor --notes "..." --date 2026-03-02
+ *   node scripts/release.js --version 2.0 --type major --notes "..." --sections sections.txt
+ *   node scripts/release.js --version 1.2.1 --type patch --notes "Fixed exercise1.py import."
+ *   node scripts/release.js --version 1.3 --type minor --notes "..." --dry-run
+ *   node scripts/release.js --check                      (validate the manifest only)
+ *   node scripts/release.js --manifest path/to/releases.json ...
+ *
+ * --sections takes a text file with one section title per line. When omitted,
+ * a minor or patch release inherits the section list of the previous version;
+ * a major release must always supply its own. Patch releases (broken exercise
+ * file, factual error) need no re-read and never count against trainers.
+ */
+
+import fs from "fs";
+
+import {
+  loadReleaseManifest,
+  writeReleaseManifest,
+  validateReleaseManifest,
+  latestVersion,
+  normalizeVersion,
+} from "./lib/releases.js";
+
+// ═══════════════════════════════════════════════════════════════════
+//  CLI ARGUMENT PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+
+function getArg(flag, defaultValue) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1]) return args[index + 1];
+  return defaultValue;
+}
+
+const MANIFEST_PATH = getArg("--manifest", "sample-data/releases.json");
+const VERSION       = getArg("--version",  null);
+const TYPE          = getArg("--type",     null);
+const NOTES         = getArg("--notes",    null);
+const DATE          = getArg("--date",     new Date().toISOString().split("T")[0]);
+const SECTIONS_PATH = getArg("--sections", null);
+const DRY_RUN       = args.includes("--dry-run");
+const CHECK_ONLY    = args.includes("--check");
+
+// ═══════════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════════
+
+function fail(message, details = []) {
+  console.error(`\nError: ${message}`);
+  details.forEach(d => console.error(`  - ${d}`));
+  process.exit(1);
+}
+
+function readSections(filePath) {
+  if (!fs.existsSync(filePath)) fail(`Sections file not found: '${filePath}'`);
+  return fs.readFileSync(filePath, "utf-8")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+//  MAIN
+// ═══════════════════════════════════════════════════════════════════
+
+function main() {
+  let manifest;
+  try {
+    manifest = loadReleaseManifest(MANIFEST_PATH);
+  } catch (e) {
+    fail(e.message);
+  }
+
+  // Never build on top of a manifest that is already broken
+  const existingProblems = validateReleaseManifest(manifest);
+  if (existingProblems.length > 0) {
+    fail(`Release manifest '${MANIFEST_PATH}' is inconsistent. Fix it before releasing:`, existingProblems);
+  }
+
+  if (CHECK_ONLY) {
+    console.log(`\n  ✓ ${MANIFEST_PATH} is consistent.`);
+    console.log(`    ${manifest.versions.length} versions, current v${latestVersion(manifest)}\n`);
+    return;
+  }
+
+  // ── Build the new release entry ───────────────────────────────
+  const missing = [["--version", VERSION], ["--type", TYPE], ["--notes", NOTES]]
+    .filter(([, value]) => !value)
+    .map(([flag]) => flag);
+  if (missing.length > 0) {
+    fail(`Missing required argument${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`, [
+      'Usage: node release.js --version 1.3 --type minor --notes "What changed."',
+    ]);
+  }
+
+  const previous = manifest.versions.at(-1);
+  let sections;
+  if (SECTIONS_PATH) {
+    sections = readSections(SECTIONS_PATH);
+  } else if (TYPE === "major") {
+    fail("A major release changes the guide structure — pass its section list with --sections <file>.");
+  } else {
+    sections = [...previous.sections];
+  }
+
+  const release = {
+    version:  normalizeVersion(VERSION) || VERSION,
+    released: DATE,
+    type:     TYPE,
+    notes:    NOTES,
+    sections,
+  };
+
+  const candidate = { ...manifest, versions: [...manifest.versions, release] };
+
+  // ── Refuse to publish an inconsistent manifest ────────────────
+  const problems = validateReleaseManifest(candidate);
+  if (problems.length > 0) {
+    fail(`Refusing to publish v${release.version} — the manifest would be inconsistent:`, problems);
+  }
+
+  console.log("\n" + "═".repeat(64));
+  console.log(`  RELEASE v${release.version} (${release.type})${DRY_RUN ? "  [dry run]" : ""}`);
+  console.log("═".repeat(64));
+  console.log(`\n  Previous:  v${previous.version} (released ${previous.released})`);
+  console.log(`  Released:  ${release.released}`);
+  console.log(`  Notes:     ${release.notes}`);
+  console.log(`  Sections:  ${release.sections.length}${SECTIONS_PATH ? "" : ` (inherited from v${previous.version})`}`);
+  release.sections.forEach(s => console.log(`    - ${s}`));
+
+  if (DRY_RUN) {
+    console.log(`\n  Manifest is consistent. Nothing written (--dry-run).\n`);
+    return;
+  }
+
+  writeReleaseManifest(MANIFEST_PATH, candidate);
+  console.log(`\n  Manifest updated: ${MANIFEST_PATH}`);
+  console.log("  check-versions.js and analyze-feedback.js will pick up the new version on their next run.\n");
+}
+
+main();
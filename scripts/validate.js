@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * validate.js
+ *
+ * Checks the programme's data files against each other
+ * (lib/data-consistency.js): every version that feedback_meta.json,
+ * trainer-versions.json and the session feedback mention must be in the
+ * release manifest, nothing can be dated before its version was released,
+ * each trainer's current_version must be where their version_history ends,
+ * and feedback must match the trainer records. Each inconsistency is
+ * listed with its file and line and a suggested fix.
+ *
+ * analyze-feedback.js and check-versions.js run the same checks before
+ * they report and refuse to when there are errors; this lists everything,
+ * warnings included.
+ *
+ * No external dependencies. No API calls. Pure logic.
+ *
+ * Usage:
+ *   node scripts/validate.js
+ *   node scripts/validate.js --dir path/to/data         (every file below defaults to this folder)
+ *   node scripts/validate.js --releases path/to/releases.json
+ *   node scripts/validate.js --meta path/to/feedback_meta.json
+ *   node scripts/validate.js --trainers path/to/trainer-versions.json
+ *   node scripts/validate.js --csv path/to/feedback.csv
+ *   node scripts/validate.js --sources path/to/feedback-sources.json  (replaces --csv)
+ *   node scripts/validate.js --strict                   (warnings fail the check too)
+ *
+ * Files other than the manifest are skipped when they don't exist at
+ * their default path; a path given on the command line must exist.
+ *
+ * Exit codes: 0 consistent (warnings allowed unless --strict); 1 errors.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { checkDataFiles, findingLocation } from "./lib/data-consistency.js";
+
+// ═══════════════════════════════════════════════════════════════════
+//  CLI ARGUMENT PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+
+function getArg(flag, defaultValue) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1]) return args[index + 1];
+  return defaultValue;
+}
+
+const DATA_DIR = getArg("--dir", "sample-data");
+const STRICT   = args.includes("--strict");
+
+// A default that isn't there is skipped; a path given explicitly is checked
+function optionalPath(flag, filename) {
+  const given = getArg(flag, null);
+  if (given) return given;
+  const fallback = path.join(DATA_DIR, filename);
+  return fs.existsSync(fallback) ? fallback : null;
+}
+
+const RELEASES_PATH = getArg("--releases", path.join(DATA_DIR, "releases.json"));
+const META_PATH     = optionalPath("--meta",     "feedback_meta.json");
+const TRAINERS_PATH = optionalPath("--trainers", "trainer-versions.json");
+const SOURCES_PATH  = getArg("--sources", null);
+const CSV_PATH      = SOURCES_PATH ? null : optionalPath("--csv", "feedback.csv");
+
+// ═══════════════════════════════════════════════════════════════════
+//  MAIN
+// ═══════════════════════════════════════════════════════════════════
+
+function printFindings(title, findings) {
+  console.log(`\n  ${title} (${findings.length}):`);
+  for (const f of findings) {
+    console.log(`\n    ${findingLocation(f)}`);
+    console.log(`      ${f.message}`);
+    console.log(`      Fix: ${f.fix}`);
+  }
+}
+
+function main() {
+  const { errors, warnings, files } = checkDataFiles({
+    releases: RELEASES_PATH,
+    meta:     META_PATH,
+    trainers: TRAINERS_PATH,
+    feedback: CSV_PATH,
+    sources:  SOURCES_PATH,
+  });
+
+  console.log("\n" + "═".repeat(64));
+  console.log("  DATA CONSISTENCY");
+  console.log("═".repeat(64));
+  console.log(`\n  Checked: ${files.join(", ")}`);
+
+  if (errors.length > 0)   printFindings("Errors", errors);
+  if (warnings.length > 0) printFindings("Warnings", warnings);
+
+  const failed = errors.length > 0 || (STRICT && warnings.length > 0);
+  if (errors.length === 0 && warnings.length === 0) {
+    console.log("\n  ✓ The files agree.\n");
+  } else {
+    console.log(`\n  ${errors.length} error${errors.length === 1 ? "" : "s"}, ${warnings.length} warning${warnings.length === 1 ? "" : "s"}.` +
+      (errors.length > 0 ? " analyze-feedback.js and check-versions.js won't report until the errors are fixed." : "") + "\n");
+  }
+  if (failed) process.exit(1);
+}
+
+main();